@@ -1,5 +1,10 @@
 const User = require('../models/User');
 const JobScan = require('../models/JobScan');
+const DetectionRule = require('../models/DetectionRule');
+const { getDetectors } = require('../utils/analyzer');
+const { PROFILES } = require('../utils/analyzer/scanTypes');
+const { subscribeScanEvents } = require('../utils/scanEvents');
+const { openEventStream } = require('../utils/eventStream');
 const ErrorResponse = require('../utils/errorResponse');
 
 /**
@@ -34,7 +39,8 @@ exports.getDashboardStats = async (req, res, next) => {
     const riskLevels = {
       low: 0,
       medium: 0,
-      high: 0
+      high: 0,
+      insufficient_data: 0
     };
     
     riskLevelStats.forEach(stat => {
@@ -224,14 +230,22 @@ exports.getAllScans = async (req, res, next) => {
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 20;
     const skip = (page - 1) * limit;
+    const scanType = req.query.scanType;
+
+    const query = {};
+
+    // Scans from before scan types existed are postings
+    if (scanType) {
+      query.scanType = scanType === 'posting' ? { $in: ['posting', null] } : scanType;
+    }
     
-    const scans = await JobScan.find()
+    const scans = await JobScan.find(query)
       .populate('user', 'firstName lastName email')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
     
-    const total = await JobScan.countDocuments();
+    const total = await JobScan.countDocuments(query);
     
     res.status(200).json({
       success: true,
@@ -245,3 +259,176 @@ exports.getAllScans = async (req, res, next) => {
     next(new ErrorResponse('Error fetching scans', 500));
   }
 };
+
+/**
+ * @desc    Record whether a scan really was a scam (a training label for the classifier)
+ * @route   PUT /api/v1/admin/scans/:id/review
+ * @access  Private/Admin
+ */
+exports.reviewScan = async (req, res, next) => {
+  try {
+    const jobScan = await JobScan.findById(req.params.id);
+
+    if (!jobScan) {
+      return next(new ErrorResponse('Job scan not found', 404));
+    }
+
+    jobScan.review = {
+      verdict: req.body.verdict,
+      note: req.body.note,
+      reviewedBy: req.user.id,
+      reviewedAt: Date.now()
+    };
+
+    await jobScan.save();
+
+    res.status(200).json({
+      success: true,
+      data: jobScan.review
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Stream newly completed high-risk scans (Server-Sent Events)
+ * @route   GET /api/v1/admin/scans/events
+ * @access  Private/Admin
+ */
+exports.getHighRiskScanEvents = (req, res) => {
+  let unsubscribe = () => {};
+  const stream = openEventStream(req, res, () => unsubscribe());
+
+  unsubscribe = subscribeScanEvents(event => {
+    if (event.type === 'result' && event.data.riskLevel === 'high') {
+      stream.send('high_risk_scan', {
+        ...event.data,
+        user: event.user
+      });
+    }
+  });
+};
+
+/**
+ * @desc    Get detection rules (built-in detectors, stored rules and per-scan-type weight profiles)
+ * @route   GET /api/v1/admin/rules
+ * @access  Private/Admin
+ */
+exports.getRules = async (req, res, next) => {
+  try {
+    const storedRules = await DetectionRule.find().sort({ ruleId: 1 });
+
+    const builtinRules = getDetectors().map(detector => ({
+      ruleId: detector.id,
+      flagType: detector.flagType,
+      severity: detector.severity,
+      weight: detector.weight,
+      description: detector.description,
+      scanTypes: detector.scanTypes || null
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        builtinRules,
+        storedRules,
+        profiles: PROFILES
+      }
+    });
+  } catch (err) {
+    next(new ErrorResponse('Error fetching detection rules', 500));
+  }
+};
+
+/**
+ * @desc    Create a custom rule or override a built-in detector
+ * @route   POST /api/v1/admin/rules
+ * @access  Private/Admin
+ */
+exports.createRule = async (req, res, next) => {
+  try {
+    const isBuiltin = getDetectors().some(detector => detector.id === req.body.ruleId);
+
+    if (isBuiltin && req.body.matchType && req.body.matchType !== 'builtin') {
+      return next(
+        new ErrorResponse(`Rule ID ${req.body.ruleId} is reserved for a built-in detector`, 400)
+      );
+    }
+
+    if (!isBuiltin && req.body.matchType === 'builtin') {
+      return next(
+        new ErrorResponse(`No built-in detector with ID ${req.body.ruleId}`, 400)
+      );
+    }
+
+    const rule = await DetectionRule.create({
+      ...req.body,
+      matchType: isBuiltin ? 'builtin' : req.body.matchType,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a stored rule (enable/disable, reweight, edit patterns)
+ * @route   PUT /api/v1/admin/rules/:ruleId
+ * @access  Private/Admin
+ */
+exports.updateRule = async (req, res, next) => {
+  try {
+    const rule = await DetectionRule.findOne({ ruleId: req.params.ruleId });
+
+    if (!rule) {
+      return next(new ErrorResponse('Detection rule not found', 404));
+    }
+
+    const fieldsToUpdate = ['flagType', 'severity', 'weight', 'description', 'enabled', 'field', 'patterns', 'scanTypes'];
+
+    fieldsToUpdate.forEach(field => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete a stored rule (restores a built-in detector's defaults)
+ * @route   DELETE /api/v1/admin/rules/:ruleId
+ * @access  Private/Admin
+ */
+exports.deleteRule = async (req, res, next) => {
+  try {
+    const rule = await DetectionRule.findOne({ ruleId: req.params.ruleId });
+
+    if (!rule) {
+      return next(new ErrorResponse('Detection rule not found', 404));
+    }
+
+    await rule.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(new ErrorResponse('Error deleting detection rule', 500));
+  }
+};
@@ -1,14 +1,43 @@
 const JobScan = require('../models/JobScan');
 const ErrorResponse = require('../utils/errorResponse');
+const { SCAN_TYPES } = require('../utils/analyzer/scanTypes');
+
+// Optional ?scanType= filter; scans from before scan types existed count as postings
+const scanTypeFilter = (scanType) => {
+  if (!SCAN_TYPES.includes(scanType)) {
+    return {};
+  }
+  return scanType === 'posting'
+    ? { scanType: { $in: ['posting', null] } }
+    : { scanType };
+};
+
+// Scan counts, high-risk counts and average scam probability per scan type
+const scanTypeBreakdown = (match) => JobScan.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: { $ifNull: ['$scanType', 'posting'] },
+      count: { $sum: 1 },
+      highRisk: {
+        $sum: { $cond: [{ $eq: ['$riskLevel', 'high'] }, 1, 0] }
+      },
+      averageScamProbability: { $avg: '$scamProbability' }
+    }
+  },
+  {
+    $sort: { count: -1 }
+  }
+]);
 
 // @desc    Get user analytics
 // @route   GET /api/v1/analytics/user
 // @access  Private
 exports.getUserAnalytics = async (req, res, next) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, scanType } = req.query;
 
-    const dateFilter = {};
+    const dateFilter = { ...scanTypeFilter(scanType) };
     if (startDate || endDate) {
       dateFilter.createdAt = {};
       if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
@@ -36,6 +65,9 @@ exports.getUserAnalytics = async (req, res, next) => {
           lowRiskScans: {
             $sum: { $cond: [{ $eq: ['$riskLevel', 'low'] }, 1, 0] }
           },
+          insufficientDataScans: {
+            $sum: { $cond: [{ $eq: ['$riskLevel', 'insufficient_data'] }, 1, 0] }
+          },
           averageScamProbability: { $avg: '$scamProbability' },
           recentScans: { $sum: 1 }
         }
@@ -98,6 +130,8 @@ exports.getUserAnalytics = async (req, res, next) => {
       }
     ]);
 
+    const byScanType = await scanTypeBreakdown({ user: req.user._id, ...dateFilter });
+
     res.status(200).json({
       success: true,
       data: {
@@ -106,10 +140,12 @@ exports.getUserAnalytics = async (req, res, next) => {
           highRiskScans: 0,
           mediumRiskScans: 0,
           lowRiskScans: 0,
+          insufficientDataScans: 0,
           averageScamProbability: 0
         },
         scansByMonth,
-        topWarningFlags: warningFlagStats
+        topWarningFlags: warningFlagStats,
+        byScanType
       }
     });
   } catch (error) {
@@ -122,9 +158,9 @@ exports.getUserAnalytics = async (req, res, next) => {
 // @access  Private/Admin
 exports.getGlobalAnalytics = async (req, res, next) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, scanType } = req.query;
 
-    const dateFilter = {};
+    const dateFilter = { ...scanTypeFilter(scanType) };
     if (startDate || endDate) {
       dateFilter.createdAt = {};
       if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
@@ -149,6 +185,9 @@ exports.getGlobalAnalytics = async (req, res, next) => {
           flaggedForReview: {
             $sum: { $cond: [{ $eq: ['$riskLevel', 'medium'] }, 1, 0] }
           },
+          insufficientData: {
+            $sum: { $cond: [{ $eq: ['$riskLevel', 'insufficient_data'] }, 1, 0] }
+          },
           averageScamProbability: { $avg: '$scamProbability' },
           reportedJobs: {
             $sum: { $cond: ['$isReported', 1, 0] }
@@ -210,12 +249,15 @@ exports.getGlobalAnalytics = async (req, res, next) => {
       }
     ]);
 
+    const byScanType = await scanTypeBreakdown(dateFilter);
+
     res.status(200).json({
       success: true,
       data: {
         globalStats: globalStats[0] || {},
         scamTypeDistribution,
-        monthlyTrends
+        monthlyTrends,
+        byScanType
       }
     });
   } catch (error) {
@@ -253,6 +295,9 @@ exports.getTrends = async (req, res, next) => {
           },
           flaggedJobs: {
             $sum: { $cond: [{ $eq: ['$riskLevel', 'medium'] }, 1, 0] }
+          },
+          insufficientData: {
+            $sum: { $cond: [{ $eq: ['$riskLevel', 'insufficient_data'] }, 1, 0] }
           }
         }
       },
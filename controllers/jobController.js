@@ -1,9 +1,22 @@
 const JobScan = require('../models/JobScan');
 const ErrorResponse = require('../utils/errorResponse');
 const { deleteFile } = require('../middleware/fileUpload');
-const fs = require('fs').promises;
-
-// @desc    Create job scan
+const { enqueueScan } = require('../utils/scanQueue');
+const {
+  processScan,
+  reanalyzeScan,
+  markScanFailed,
+  summarizeScan,
+  needsExtraction
+} = require('../utils/scanProcessor');
+const { publishScanEvent, subscribeScanEvents } = require('../utils/scanEvents');
+const { openEventStream } = require('../utils/eventStream');
+const { annotateDescription } = require('../utils/analyzer/evidence');
+
+// Longest description accepted for synchronous scans
+const SYNC_SCAN_MAX_LENGTH = parseInt(process.env.SYNC_SCAN_MAX_LENGTH) || 5000;
+
+// @desc    Create job scan (queued for the worker, or analyzed inline with ?sync=true)
 // @route   POST /api/v1/jobs
 // @access  Private
 exports.createJobScan = async (req, res, next) => {
@@ -15,11 +28,24 @@ exports.createJobScan = async (req, res, next) => {
       companyWebsite,
       companyEmail,
       jobTitle,
-      location
+      location,
+      scanType
     } = req.body;
 
-    // Get job description from file if uploaded
-    let finalJobDescription = jobDescription;
+    // Synchronous mode is limited to small text-only scans
+    const synchronous = req.query.sync === 'true';
+
+    // URL-only scans need the posting fetched, which is left to the worker
+    if (synchronous && (req.file || !jobDescription || jobDescription.length > SYNC_SCAN_MAX_LENGTH)) {
+      return next(
+        new ErrorResponse(
+          `Synchronous scans are only available for text-only submissions up to ${SYNC_SCAN_MAX_LENGTH} characters`,
+          400
+        )
+      );
+    }
+
+    // Text is extracted from uploaded files by the scan pipeline
     let uploadedFile = null;
 
     if (req.file) {
@@ -28,41 +54,51 @@ exports.createJobScan = async (req, res, next) => {
         originalName: req.file.originalname,
         path: req.file.path,
         size: req.file.size,
-        mimetype: req.file.mimetype
+        mimetype: req.file.mimetype,
+        securityFindings: req.file.securityFindings || []
       };
-
-      // Read file content for text files
-      if (req.file.mimetype === 'text/plain') {
-        const fileContent = await fs.readFile(req.file.path, 'utf-8');
-        finalJobDescription = fileContent;
-      }
     }
 
     // Create job scan document
     const jobScan = await JobScan.create({
       user: req.user.id,
       jobUrl,
-      jobDescription: finalJobDescription,
+      jobDescription,
       companyName,
       companyWebsite,
       companyEmail,
       jobTitle,
       location,
+      scanType,
       uploadedFile,
-      status: 'analyzing'
+      status: 'pending'
     });
 
-    // Perform scam analysis
-    const analysisResults = await performScamAnalysis(jobScan);
+    await publishScanEvent(jobScan, 'status', { status: 'pending' });
 
-    // Update job scan with analysis results
-    jobScan.warningFlags = analysisResults.warningFlags;
-    jobScan.scamProbability = analysisResults.scamProbability;
-    jobScan.analysisResults = analysisResults.details;
-    jobScan.riskLevel = jobScan.calculateRiskLevel();
-    jobScan.status = 'completed';
+    if (!synchronous) {
+      await enqueueScan(jobScan._id);
 
-    await jobScan.save();
+      return res.status(202).json({
+        success: true,
+        message: 'Job scan queued for analysis',
+        data: {
+          jobScan: {
+            id: jobScan._id,
+            status: jobScan.status,
+            createdAt: jobScan.createdAt
+          }
+        }
+      });
+    }
+
+    // Perform scam analysis
+    try {
+      await processScan(jobScan);
+    } catch (error) {
+      await markScanFailed(jobScan, error);
+      throw error;
+    }
 
     res.status(201).json({
       success: true,
@@ -72,8 +108,10 @@ exports.createJobScan = async (req, res, next) => {
           id: jobScan._id,
           jobTitle: jobScan.jobTitle,
           companyName: jobScan.companyName,
+          status: jobScan.status,
           riskLevel: jobScan.riskLevel,
           scamProbability: jobScan.scamProbability,
+          coverage: jobScan.coverage,
           warningFlags: jobScan.warningFlags.filter(f => f.detected),
           createdAt: jobScan.createdAt
         }
@@ -97,6 +135,7 @@ exports.getJobScans = async (req, res, next) => {
     const limit = parseInt(req.query.limit, 10) || 10;
     const sort = req.query.sort || '-createdAt';
     const riskLevel = req.query.riskLevel;
+    const scanType = req.query.scanType;
 
     const query = { user: req.user.id };
 
@@ -104,6 +143,11 @@ exports.getJobScans = async (req, res, next) => {
       query.riskLevel = riskLevel;
     }
 
+    // Scans from before scan types existed are postings
+    if (scanType) {
+      query.scanType = scanType === 'posting' ? { $in: ['posting', null] } : scanType;
+    }
+
     const startIndex = (page - 1) * limit;
 
     const total = await JobScan.countDocuments(query);
@@ -142,7 +186,7 @@ exports.getJobScans = async (req, res, next) => {
   }
 };
 
-// @desc    Get single job scan
+// @desc    Get single job scan (?annotate=true adds the description split into flagged sentences)
 // @route   GET /api/v1/jobs/:id
 // @access  Private
 exports.getJobScan = async (req, res, next) => {
@@ -167,9 +211,131 @@ exports.getJobScan = async (req, res, next) => {
       await jobScan.save();
     }
 
+    const data = { jobScan };
+    if (req.query.annotate === 'true') {
+      data.annotatedDescription = annotateDescription(jobScan.jobDescription, jobScan.warningFlags);
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Stream job scan progress (Server-Sent Events)
+// @route   GET /api/v1/jobs/:id/events
+// @access  Private
+exports.getJobScanEvents = async (req, res, next) => {
+  try {
+    const jobScan = await JobScan.findById(req.params.id);
+
+    if (!jobScan) {
+      return next(new ErrorResponse('Job scan not found', 404));
+    }
+
+    // Make sure user owns job scan
+    if (jobScan.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return next(
+        new ErrorResponse('Not authorized to access this job scan', 403)
+      );
+    }
+
+    const scanId = jobScan._id.toString();
+    let unsubscribe = () => {};
+    const stream = openEventStream(req, res, () => unsubscribe());
+
+    // Subscribe before sending the snapshot so no transition is missed
+    unsubscribe = subscribeScanEvents(event => {
+      if (event.jobScan.toString() !== scanId) {
+        return;
+      }
+
+      stream.send(event.type, event.data);
+
+      if (event.type === 'status' && ['completed', 'failed'].includes(event.data.status)) {
+        stream.close();
+      }
+    });
+
+    // Current state, for clients connecting mid-scan or after it finished
+    const current = await JobScan.findById(scanId);
+    stream.send('status', { status: current.status, errorReason: current.errorReason });
+
+    if (current.status === 'completed') {
+      stream.send('result', summarizeScan(current));
+      stream.close();
+    } else if (current.status === 'failed') {
+      stream.close();
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Re-run analysis on a job scan with the current detection logic
+// @route   POST /api/v1/jobs/:id/reanalyze
+// @access  Private
+exports.reanalyzeJobScan = async (req, res, next) => {
+  try {
+    const jobScan = await JobScan.findById(req.params.id);
+
+    if (!jobScan) {
+      return next(new ErrorResponse('Job scan not found', 404));
+    }
+
+    // Make sure user owns job scan
+    if (jobScan.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return next(
+        new ErrorResponse('Not authorized to re-analyze this job scan', 403)
+      );
+    }
+
+    if (['pending', 'analyzing'].includes(jobScan.status)) {
+      return next(
+        new ErrorResponse('Job scan is still being analyzed, try again once it has finished', 409)
+      );
+    }
+
+    // Uploads that were never extracted and pages never fetched need OCR or a fetch, which belong to the worker
+    if (needsExtraction(jobScan)) {
+      jobScan.status = 'pending';
+      await jobScan.save();
+      await publishScanEvent(jobScan, 'status', { status: 'pending' });
+      await enqueueScan(jobScan._id);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Job scan queued for re-analysis',
+        data: {
+          jobScan: {
+            id: jobScan._id,
+            status: jobScan.status
+          }
+        }
+      });
+    }
+
+    let diff;
+    try {
+      diff = await reanalyzeScan(jobScan);
+    } catch (error) {
+      await markScanFailed(jobScan, error);
+      throw error;
+    }
+
     res.status(200).json({
       success: true,
-      data: { jobScan }
+      message: 'Job scan re-analyzed successfully',
+      data: {
+        jobScan: {
+          ...summarizeScan(jobScan),
+          analyzerVersion: jobScan.analyzerVersion
+        },
+        diff
+      }
     });
   } catch (error) {
     next(error);
@@ -222,6 +388,13 @@ exports.reportJob = async (req, res, next) => {
       return next(new ErrorResponse('Job scan not found', 404));
     }
 
+    // Make sure user owns job scan
+    if (jobScan.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return next(
+        new ErrorResponse('Not authorized to report this job scan', 403)
+      );
+    }
+
     jobScan.isReported = true;
     jobScan.reportReason = req.body.reason;
 
@@ -252,145 +425,3 @@ exports.getPublicStats = async (req, res, next) => {
     next(error);
   }
 };
-
-// Helper function to perform scam analysis
-const performScamAnalysis = async (jobScan) => {
-  const warningFlags = [];
-  let scamScore = 0;
-
-  // Analyze job description
-  if (jobScan.jobDescription) {
-    const description = jobScan.jobDescription.toLowerCase();
-
-    // Check for unrealistic salary keywords
-    if (
-      description.includes('earn $') ||
-      description.includes('make money fast') ||
-      description.includes('unlimited income') ||
-      description.includes('get rich')
-    ) {
-      warningFlags.push({
-        type: 'unrealistic_salary',
-        severity: 'high',
-        description: 'Job posting contains unrealistic salary claims',
-        detected: true
-      });
-      scamScore += 25;
-    }
-
-    // Check for upfront payment requests
-    if (
-      description.includes('pay') ||
-      description.includes('fee') ||
-      description.includes('deposit') ||
-      description.includes('investment required')
-    ) {
-      warningFlags.push({
-        type: 'upfront_payment',
-        severity: 'high',
-        description: 'Job requires upfront payment or fees',
-        detected: true
-      });
-      scamScore += 30;
-    }
-
-    // Check for pressure tactics
-    if (
-      description.includes('act now') ||
-      description.includes('limited time') ||
-      description.includes('urgent') ||
-      description.includes('immediate start')
-    ) {
-      warningFlags.push({
-        type: 'pressure_tactics',
-        severity: 'medium',
-        description: 'Job posting uses pressure or urgency language',
-        detected: true
-      });
-      scamScore += 15;
-    }
-
-    // Check for vague descriptions
-    if (description.length < 100) {
-      warningFlags.push({
-        type: 'vague_description',
-        severity: 'medium',
-        description: 'Job description is unusually vague or short',
-        detected: true
-      });
-      scamScore += 10;
-    }
-
-    // Check for personal info requests
-    if (
-      description.includes('social security') ||
-      description.includes('ssn') ||
-      description.includes('bank account') ||
-      description.includes('credit card')
-    ) {
-      warningFlags.push({
-        type: 'personal_info_request',
-        severity: 'high',
-        description: 'Job requests sensitive personal or financial information',
-        detected: true
-      });
-      scamScore += 30;
-    }
-  }
-
-  // Analyze company email
-  if (jobScan.companyEmail) {
-    const email = jobScan.companyEmail.toLowerCase();
-    const freeProviders = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com'];
-    const domain = email.split('@')[1];
-
-    if (freeProviders.includes(domain)) {
-      warningFlags.push({
-        type: 'suspicious_email',
-        severity: 'medium',
-        description: 'Company uses a free email provider instead of a corporate domain',
-        detected: true
-      });
-      scamScore += 15;
-    }
-  }
-
-  // Analyze company website
-  if (!jobScan.companyWebsite || jobScan.companyWebsite.length === 0) {
-    warningFlags.push({
-      type: 'no_company_presence',
-      severity: 'medium',
-      description: 'No company website provided',
-      detected: true
-    });
-    scamScore += 10;
-  }
-
-  // Calculate final scam probability (cap at 100)
-  const scamProbability = Math.min(scamScore, 100);
-
-  return {
-    warningFlags,
-    scamProbability,
-    details: {
-      companyLegitimacy: {
-        score: 100 - scamScore,
-        details: `Analysis based on ${warningFlags.length} warning flags`
-      },
-      websiteAnalysis: {
-        exists: !!jobScan.companyWebsite,
-        details: jobScan.companyWebsite ? 'Website provided' : 'No website provided'
-      },
-      emailAnalysis: {
-        isValidDomain: jobScan.companyEmail ? !jobScan.companyEmail.includes('@gmail') : false,
-        isFreeProvider: jobScan.companyEmail ? jobScan.companyEmail.includes('@gmail') || jobScan.companyEmail.includes('@yahoo') : false,
-        details: 'Email domain analyzed'
-      },
-      contentAnalysis: {
-        clarity: jobScan.jobDescription ? Math.max(0, 100 - scamScore) : 0,
-        authenticity: Math.max(0, 100 - scamScore),
-        details: 'Job description analyzed for scam patterns'
-      }
-    }
-  };
-};
@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const JobScan = require('../models/JobScan');
 const ErrorResponse = require('../utils/errorResponse');
+const { inboundAddressFor } = require('../utils/inboundAddress');
 
 // @desc    Get user profile
 // @route   GET /api/v1/users/profile
@@ -82,6 +83,51 @@ exports.updateProfile = async (req, res, next) => {
   }
 };
 
+// @desc    Get the user's secret inbound scan address, creating it on first use
+// @route   GET /api/v1/users/inbound-address
+// @access  Private
+exports.getInboundAddress = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+inboundToken');
+
+    if (!user.inboundToken) {
+      user.generateInboundToken();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        address: inboundAddressFor(user.inboundToken)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the inbound scan address; the old one stops accepting mail
+// @route   POST /api/v1/users/inbound-address
+// @access  Private
+exports.rotateInboundAddress = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    user.generateInboundToken();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Inbound address replaced',
+      data: {
+        address: inboundAddressFor(user.inboundToken)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Delete user account
 // @route   DELETE /api/v1/users/account
 // @access  Private
@@ -0,0 +1,38 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before any module reads its settings
+dotenv.config();
+
+const fs = require('fs');
+const connectDB = require('./config/database');
+const { createInboundServer } = require('./utils/inboundMail');
+
+const PORT = parseInt(process.env.INBOUND_SMTP_PORT) || 2525;
+const HOST = process.env.INBOUND_SMTP_HOST || '0.0.0.0';
+
+// STARTTLS is offered only when a certificate is configured
+const tls = process.env.INBOUND_TLS_KEY && process.env.INBOUND_TLS_CERT
+  ? { key: fs.readFileSync(process.env.INBOUND_TLS_KEY), cert: fs.readFileSync(process.env.INBOUND_TLS_CERT) }
+  : {};
+
+const run = async () => {
+  await connectDB();
+
+  const server = createInboundServer(tls);
+  server.on('error', error => console.error(`Inbound SMTP error: ${error.message}`));
+
+  server.listen(PORT, HOST, () => {
+    console.log(`Inbound SMTP listening on ${HOST}:${PORT}`);
+  });
+
+  // Stop accepting mail and let open sessions finish
+  const shutdown = () => {
+    console.log('Inbound SMTP shutting down');
+    server.close(() => process.exit(0));
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+run();
@@ -2,6 +2,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const ErrorResponse = require('../utils/errorResponse');
+const { inspectFile } = require('../utils/fileInspector');
 
 // Create uploads directory if it doesn't exist
 const uploadDir = process.env.UPLOAD_PATH || './uploads';
@@ -21,17 +22,16 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter - only allow specific file types
+// File filter - only allow specific file extensions
+// Client-supplied mimetypes are not trusted; contents are verified by inspectUploadedFile
 const fileFilter = (req, file, cb) => {
-  // Allowed extensions
-  const allowedTypes = /pdf|doc|docx|txt/;
+  const allowedTypes = /^\.(pdf|doc|docx|txt|png|jpe?g|eml|json)$/;
   const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
 
-  if (mimetype && extname) {
+  if (extname) {
     return cb(null, true);
   } else {
-    cb(new ErrorResponse('Only PDF, DOC, DOCX, and TXT files are allowed', 400));
+    cb(new ErrorResponse('Only PDF, DOC, DOCX, TXT, PNG, JPEG, EML and JSON (Telegram export) files are allowed', 400));
   }
 };
 
@@ -60,6 +60,27 @@ exports.handleUploadError = (err, req, res, next) => {
   next();
 };
 
+// Verify the uploaded file by its contents (magic bytes, archive size, dangerous features)
+// Rejected files are deleted; findings are kept on req.file for the analyzer
+exports.inspectUploadedFile = async (req, res, next) => {
+  if (!req.file) {
+    return next();
+  }
+
+  try {
+    const inspection = await inspectFile(req.file);
+
+    req.file.mimetype = inspection.mimetype;
+    req.file.detectedType = inspection.detectedType;
+    req.file.securityFindings = inspection.findings;
+
+    next();
+  } catch (err) {
+    exports.deleteFile(req.file.path);
+    next(err);
+  }
+};
+
 // Delete uploaded file
 exports.deleteFile = (filePath) => {
   if (fs.existsSync(filePath)) {
@@ -1,4 +1,5 @@
 const { validationResult, body, param, query } = require('express-validator');
+const { SCAN_TYPES } = require('../utils/analyzer/scanTypes');
 
 // Validation error handler
 exports.validate = (req, res, next) => {
@@ -121,18 +122,30 @@ exports.jobScanValidation = [
     .isURL({ protocols: ['http', 'https'], require_protocol: true })
     .withMessage('Please provide a valid company website URL'),
   
+  // Kept as written apart from case: Gmail dots and "+" tags are evidence ("hr.department")
   body('companyEmail')
     .optional()
     .trim()
     .isEmail()
     .withMessage('Please provide a valid company email')
-    .normalizeEmail(),
+    .normalizeEmail({
+      gmail_remove_dots: false,
+      gmail_remove_subaddress: false,
+      outlookdotcom_remove_subaddress: false,
+      yahoo_remove_subaddress: false,
+      icloud_remove_subaddress: false
+    }),
   
   body('jobTitle')
     .optional()
     .trim()
     .isLength({ max: 200 })
     .withMessage('Job title cannot exceed 200 characters'),
+
+  body('scanType')
+    .optional()
+    .isIn(SCAN_TYPES)
+    .withMessage(`Scan type must be one of ${SCAN_TYPES.join(', ')}`),
   
   // Either jobUrl or jobDescription must be provided
   body().custom((value, { req }) => {
@@ -193,7 +206,12 @@ exports.paginationValidation = [
   query('sort')
     .optional()
     .isIn(['createdAt', '-createdAt', 'scamProbability', '-scamProbability', 'riskLevel'])
-    .withMessage('Invalid sort parameter')
+    .withMessage('Invalid sort parameter'),
+
+  query('scanType')
+    .optional()
+    .isIn(SCAN_TYPES)
+    .withMessage(`Scan type must be one of: ${SCAN_TYPES.join(', ')}`)
 ];
 
 // Report job validation
@@ -204,4 +222,97 @@ exports.reportJobValidation = [
     .withMessage('Report reason is required')
     .isLength({ min: 10, max: 500 })
     .withMessage('Reason must be between 10 and 500 characters')
-];
\ No newline at end of file
+];
+
+// Scan review validation
+exports.scanReviewValidation = [
+  body('verdict')
+    .isIn(['scam', 'legitimate'])
+    .withMessage('Verdict must be scam or legitimate'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+// Detection rule validation
+exports.detectionRuleValidation = [
+  body('ruleId')
+    .trim()
+    .notEmpty()
+    .withMessage('Rule ID is required')
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Rule ID can only contain lowercase letters, numbers and dashes'),
+
+  body('matchType')
+    .optional()
+    .isIn(['builtin', 'keyword', 'regex'])
+    .withMessage('Match type must be builtin, keyword or regex'),
+
+  body('severity')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Severity must be low, medium or high'),
+
+  body('weight')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Weight must be between 0 and 100')
+    .toFloat(),
+
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean')
+    .toBoolean(),
+
+  body('patterns')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Patterns must be a non-empty array'),
+
+  body('scanTypes')
+    .optional()
+    .isArray()
+    .withMessage('Scan types must be an array'),
+
+  body('scanTypes.*')
+    .isIn(SCAN_TYPES)
+    .withMessage(`Each scan type must be one of ${SCAN_TYPES.join(', ')}`)
+];
+
+// Detection rule update validation
+exports.updateDetectionRuleValidation = [
+  body('severity')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Severity must be low, medium or high'),
+
+  body('weight')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Weight must be between 0 and 100')
+    .toFloat(),
+
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean')
+    .toBoolean(),
+
+  body('patterns')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Patterns must be a non-empty array'),
+
+  body('scanTypes')
+    .optional()
+    .isArray()
+    .withMessage('Scan types must be an array'),
+
+  body('scanTypes.*')
+    .isIn(SCAN_TYPES)
+    .withMessage(`Each scan type must be one of ${SCAN_TYPES.join(', ')}`)
+];
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const safeRegex = require('safe-regex2');
+const FLAG_TYPES = require('../utils/analyzer/flagTypes');
+const { SCAN_TYPES } = require('../utils/analyzer/scanTypes');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DetectionRule:
+ *       type: object
+ *       required:
+ *         - ruleId
+ *       properties:
+ *         ruleId:
+ *           type: string
+ *           description: Unique rule identifier. Using the ID of a built-in detector overrides it
+ *         flagType:
+ *           type: string
+ *           description: Warning flag type raised when the rule matches
+ *         severity:
+ *           type: string
+ *           enum: [low, medium, high]
+ *         weight:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Score added to the scam probability when the rule matches
+ *         description:
+ *           type: string
+ *           description: Explanation shown on the warning flag
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         matchType:
+ *           type: string
+ *           enum: [builtin, keyword, regex]
+ *           description: builtin overrides a registered detector, keyword and regex define a custom rule
+ *         field:
+ *           type: string
+ *           enum: [jobDescription, jobTitle, companyName, companyEmail, companyWebsite, jobUrl]
+ *         patterns:
+ *           type: array
+ *           items:
+ *             type: string
+ *         scanTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [posting, offer_letter, recruiter_email, message, conversation]
+ *           description: Scan types the rule runs on; empty runs it on every type
+ */
+
+const detectionRuleSchema = new mongoose.Schema(
+  {
+    ruleId: {
+      type: String,
+      required: [true, 'Please provide a rule ID'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9-]+$/, 'Rule ID can only contain lowercase letters, numbers and dashes']
+    },
+    flagType: {
+      type: String,
+      enum: FLAG_TYPES
+    },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high']
+    },
+    weight: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Description cannot be more than 300 characters']
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    matchType: {
+      type: String,
+      enum: ['builtin', 'keyword', 'regex'],
+      default: 'keyword'
+    },
+    field: {
+      type: String,
+      enum: ['jobDescription', 'jobTitle', 'companyName', 'companyEmail', 'companyWebsite', 'jobUrl'],
+      default: 'jobDescription'
+    },
+    patterns: [
+      {
+        type: String,
+        trim: true
+      }
+    ],
+    // Limit the rule to some scan types; empty means every type
+    scanTypes: [
+      {
+        type: String,
+        enum: SCAN_TYPES
+      }
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Custom rules must be complete, builtin overrides only carry the fields they change
+detectionRuleSchema.pre('validate', function (next) {
+  if (this.matchType === 'builtin') {
+    return next();
+  }
+
+  if (!this.flagType || !this.severity || this.weight === undefined) {
+    this.invalidate('matchType', 'Custom rules require a flag type, severity and weight');
+  }
+
+  if (!this.patterns || this.patterns.length === 0) {
+    this.invalidate('patterns', 'Custom rules require at least one pattern');
+  }
+
+  if (this.matchType === 'regex') {
+    this.patterns.forEach(pattern => {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (err) {
+        this.invalidate('patterns', `Invalid regular expression: ${pattern}`);
+        return;
+      }
+
+      if (!DetectionRule.isSafePattern(pattern)) {
+        this.invalidate('patterns', `Regular expression could take exponential time on some input (nested or overlapping repetition, or longer than ${MAX_PATTERN_LENGTH} characters): ${pattern}`);
+      }
+    });
+  }
+
+  next();
+});
+
+// Longest regular expression accepted from an admin
+const MAX_PATTERN_LENGTH = 300;
+
+// Whether a regex pattern is free of the nested repetition that backtracks catastrophically
+// ("(a+)+"); every scan runs these against the description
+detectionRuleSchema.statics.isSafePattern = function (pattern) {
+  return typeof pattern === 'string' && pattern.length <= MAX_PATTERN_LENGTH && safeRegex(pattern);
+};
+
+const DetectionRule = mongoose.model('DetectionRule', detectionRuleSchema);
+
+module.exports = DetectionRule;
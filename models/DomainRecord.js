@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Registration and certificate facts for a domain, read by the Mongo domain-intelligence provider
+// Filled by scripts/importDomainIntel.js or any operator-run WHOIS/RDAP sync
+const domainRecordSchema = new mongoose.Schema(
+  {
+    domain: {
+      type: String,
+      required: [true, 'Please provide a domain'],
+      unique: true,
+      lowercase: true,
+      trim: true
+    },
+    registeredAt: Date,
+    registrar: {
+      type: String,
+      trim: true
+    },
+    tls: {
+      valid: Boolean,
+      issuer: String,
+      expiresAt: Date
+    },
+    // Where the facts came from (import file name, rdap, manual)
+    source: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('DomainRecord', domainRecordSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const FLAG_TYPES = require('../utils/analyzer/flagTypes');
+const { SCAN_TYPES } = require('../utils/analyzer/scanTypes');
+const { RISK_LEVELS, getScoringConfig, riskLevelFor } = require('../utils/analyzer/scoring');
 
 /**
  * @swagger
@@ -18,28 +21,101 @@ const mongoose = require('mongoose');
  *           description: URL of the job posting
  *         jobDescription:
  *           type: string
- *           description: Full job description text
+ *           description: Full job description text, or the chat transcript for conversation scans
+ *         scanType:
+ *           type: string
+ *           enum: [posting, offer_letter, recruiter_email, message, conversation]
+ *           description: What was submitted. Selects the rules and weights used; conversation scans are also split into speaker turns and get a red-flag timeline in analysisResults.conversationAnalysis
+ *         scanTypeDetected:
+ *           type: boolean
+ *           description: True when the scan type was detected from the content rather than given by the user
+ *         conversation:
+ *           type: object
+ *           description: Platform, participants and speaker turns of a conversation scan
  *         companyName:
  *           type: string
  *           description: Name of the company
  *         riskLevel:
  *           type: string
- *           enum: [low, medium, high]
- *           description: Calculated risk level
+ *           enum: [low, medium, high, insufficient_data]
+ *           description: Calculated risk level; insufficient_data when too little was submitted to rule out a scam
+ *         coverage:
+ *           type: object
+ *           description: How much of the scan could be assessed (score 0-100), what each input contributed, and the missing fields that would improve it most (improvements)
  *         scamProbability:
  *           type: number
  *           minimum: 0
  *           maximum: 100
- *           description: Percentage probability of being a scam
+ *           description: Percentage probability of being a scam; the rules' score blended with the trained classifier's when a model is installed
  *         warningFlags:
  *           type: array
+ *           description: Detected flags, each with the rule that matched (ruleId), the matched text and its offsets (evidence) and its share of scamProbability (contribution)
+ *           items:
+ *             type: object
+ *         entities:
+ *           type: array
+ *           description: URLs, email addresses, messaging handles, phone numbers and wallet addresses found in the description, with their offsets and domain checks
+ *           items:
+ *             type: object
+ *         fetchedPage:
+ *           type: object
+ *           description: Where the posting was fetched from when only a jobUrl was submitted, and whether it came from schema.org JSON-LD or page text
+ *         emailHeaders:
+ *           type: object
+ *           description: From, Reply-To, Authentication-Results and Received headers of an uploaded .eml email
+ *         ocr:
+ *           type: object
+ *           description: Text recognized in an uploaded screenshot and its confidence (0-100)
+ *         review:
+ *           type: object
+ *           description: Admin verdict (scam or legitimate) used to label the scan for classifier training
+ *         firedRules:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the detection rules that matched
+ *         analyzerVersion:
+ *           type: string
+ *           description: Version of the detection logic that produced the verdict
+ *         analysisHistory:
+ *           type: array
+ *           description: Previous verdicts, kept when the scan is re-analyzed
  *           items:
  *             type: object
  *         analysisResults:
  *           type: object
  *           description: Detailed analysis results
+ *         source:
+ *           type: string
+ *           enum: [api, email]
+ *           description: Whether the scan came from the API or from an email forwarded to the inbound address
+ *         status:
+ *           type: string
+ *           enum: [pending, analyzing, completed, failed]
+ *         errorReason:
+ *           type: string
+ *           description: Why the last analysis attempt failed
  */
 
+// Result of the URL reputation checks in utils/analyzer/urlAnalysis.js
+const urlAnalysisFields = {
+  url: String,
+  hostname: String,
+  domain: String,
+  unicodeHostname: String,
+  isIpHost: Boolean,
+  isPunycode: Boolean,
+  isShortener: Boolean,
+  suspiciousTld: Boolean,
+  lookalikeOf: String,
+  checks: [
+    {
+      check: String,
+      description: String
+    }
+  ]
+};
+
 const jobScanSchema = new mongoose.Schema(
   {
     user: {
@@ -55,6 +131,32 @@ const jobScanSchema = new mongoose.Schema(
       type: String,
       required: false  // Made optional - can use jobUrl or file instead
     },
+    // What was submitted; left empty until the processor detects it when the user does not say
+    scanType: {
+      type: String,
+      enum: SCAN_TYPES
+    },
+    scanTypeDetected: {
+      type: Boolean,
+      default: false
+    },
+    // Speaker turns of a conversation scan, with offsets into jobDescription
+    conversation: {
+      platform: {
+        type: String,
+        enum: ['whatsapp', 'telegram', 'text']
+      },
+      participants: [String],
+      turns: [
+        {
+          speaker: String,
+          timestamp: String,
+          text: String,
+          start: Number,
+          end: Number
+        }
+      ]
+    },
     companyName: {
       type: String,
       trim: true
@@ -79,13 +181,52 @@ const jobScanSchema = new mongoose.Schema(
     salary: {
       min: Number,
       max: Number,
-      currency: String
+      currency: String,
+      text: String,
+      period: {
+        type: String,
+        enum: ['hour', 'day', 'week', 'month', 'year', 'unspecified']
+      },
+      annualMinUsd: Number,
+      annualMaxUsd: Number
     },
+    // Links, email addresses, messaging handles, phone numbers and wallets found in the description
+    entities: [
+      {
+        type: {
+          type: String,
+          enum: ['url', 'email', 'handle', 'phone', 'wallet']
+        },
+        value: String,
+        platform: String,
+        start: Number,
+        end: Number,
+        analysis: urlAnalysisFields
+      }
+    ],
     riskLevel: {
       type: String,
-      enum: ['low', 'medium', 'high'],
+      enum: RISK_LEVELS,
       default: 'low'
     },
+    // Which inputs and analyzers contributed, from utils/analyzer/coverage.js
+    coverage: {
+      score: Number,
+      inputs: [
+        {
+          input: String,
+          weight: Number,
+          contributed: Number
+        }
+      ],
+      improvements: [
+        {
+          field: String,
+          gain: Number,
+          reason: String
+        }
+      ]
+    },
     scamProbability: {
       type: Number,
       min: 0,
@@ -96,33 +237,62 @@ const jobScanSchema = new mongoose.Schema(
       {
         type: {
           type: String,
-          enum: [
-            'fake_recruiter',
-            'phishing',
-            'advance_fee',
-            'data_harvesting',
-            'mlm_disguised',
-            'unrealistic_salary',
-            'vague_description',
-            'pressure_tactics',
-            'suspicious_email',
-            'no_company_presence',
-            'upfront_payment',
-            'personal_info_request'
-          ]
+          enum: FLAG_TYPES
         },
         severity: {
           type: String,
           enum: ['low', 'medium', 'high']
         },
         description: String,
+        ruleId: String,
+        // Text the rule matched, as offsets into the stored field (jobDescription, companyEmail...)
+        evidence: [
+          {
+            field: String,
+            start: Number,
+            end: Number,
+            text: String
+          }
+        ],
+        // Points of scamProbability this flag accounts for
+        contribution: Number,
         detected: {
           type: Boolean,
           default: false
         }
       }
     ],
+    firedRules: [String],
+    analyzerVersion: String,
+    // Previous verdicts, kept when a scan is re-analyzed
+    analysisHistory: [
+      {
+        analyzerVersion: String,
+        riskLevel: String,
+        scamProbability: Number,
+        coverage: Number,
+        warningFlags: [
+          {
+            type: { type: String },
+            severity: String,
+            description: String,
+            ruleId: String
+          }
+        ],
+        firedRules: [String],
+        analyzedAt: Date
+      }
+    ],
     analysisResults: {
+      // How the fired rules were combined into scamProbability
+      scoring: {
+        method: {
+          type: String,
+          enum: ['additive', 'noisy_or', 'logistic']
+        },
+        ruleProbability: Number,
+        details: String
+      },
       companyLegitimacy: {
         score: { type: Number, min: 0, max: 100 },
         details: String
@@ -130,12 +300,50 @@ const jobScanSchema = new mongoose.Schema(
       websiteAnalysis: {
         exists: Boolean,
         domainAge: Number,
+        registeredAt: Date,
+        registrar: String,
         sslCertificate: Boolean,
+        jobUrl: urlAnalysisFields,
+        companyWebsite: urlAnalysisFields,
         details: String
       },
       emailAnalysis: {
+        address: String,
+        domain: String,
         isValidDomain: Boolean,
         isFreeProvider: Boolean,
+        isDisposable: Boolean,
+        isRoleAccount: Boolean,
+        matchesWebsite: Boolean,
+        websiteDomain: String,
+        lookalikeOf: String,
+        checks: [
+          {
+            check: String,
+            description: String
+          }
+        ],
+        domainAnalysis: urlAnalysisFields,
+        headers: {
+          from: String,
+          fromName: String,
+          replyTo: String,
+          returnPath: String,
+          subject: String,
+          spf: String,
+          dkim: String,
+          dmarc: String,
+          hops: Number,
+          originHost: String,
+          originIp: String,
+          spoofedBrand: String,
+          checks: [
+            {
+              check: String,
+              description: String
+            }
+          ]
+        },
         details: String
       },
       contentAnalysis: {
@@ -143,6 +351,62 @@ const jobScanSchema = new mongoose.Schema(
         authenticity: { type: Number, min: 0, max: 100 },
         details: String
       },
+      obfuscation: {
+        detected: Boolean,
+        techniques: [String],
+        details: String
+      },
+      linkAnalysis: {
+        total: Number,
+        flagged: Number,
+        mismatches: [
+          {
+            anchorText: String,
+            href: String,
+            description: String
+          }
+        ],
+        details: String
+      },
+      salaryAnalysis: {
+        plausible: Boolean,
+        benchmarkTitle: String,
+        region: String,
+        benchmarkMinUsd: Number,
+        benchmarkMaxUsd: Number,
+        ratio: Number,
+        details: String
+      },
+      conversationAnalysis: {
+        platform: String,
+        turnCount: Number,
+        participants: [String],
+        // The turn (1-based) at which each red flag first appeared
+        timeline: [
+          {
+            turn: Number,
+            speaker: String,
+            timestamp: String,
+            excerpt: String,
+            ruleId: String,
+            flagType: String,
+            severity: String,
+            stage: String,
+            description: String
+          }
+        ],
+        stages: [String],
+        details: String
+      },
+      // Trained classifier's probability, blended with the rules' score into scamProbability
+      classifierAnalysis: {
+        modelVersion: String,
+        probability: Number,
+        weight: Number,
+        ruleProbability: Number,
+        indicators: [String],
+        details: String
+      },
       onlinePresence: {
         linkedIn: Boolean,
         glassdoor: Boolean,
@@ -155,13 +419,65 @@ const jobScanSchema = new mongoose.Schema(
       originalName: String,
       path: String,
       size: Number,
-      mimetype: String
+      mimetype: String,
+      extractedFormat: String,
+      securityFindings: [
+        {
+          type: { type: String },
+          description: String
+        }
+      ]
+    },
+    ocr: {
+      text: String,
+      confidence: { type: Number, min: 0, max: 100 }
+    },
+    // Headers of an uploaded .eml recruiter email
+    emailHeaders: {
+      from: {
+        address: String,
+        name: String
+      },
+      replyTo: {
+        address: String,
+        name: String
+      },
+      returnPath: String,
+      subject: String,
+      date: Date,
+      messageId: String,
+      authenticationResults: [String],
+      received: [String]
+    },
+    // Page fetched from jobUrl when the scan was submitted without a description
+    fetchedPage: {
+      url: String,
+      source: {
+        type: String,
+        enum: ['json-ld', 'html', 'text']
+      },
+      fetchedAt: Date
+    },
+    // How the scan was submitted: the API, or an email forwarded to the inbound address
+    source: {
+      type: String,
+      enum: ['api', 'email'],
+      default: 'api'
+    },
+    inboundEmail: {
+      from: String,
+      subject: String,
+      messageId: String,
+      receivedAt: Date,
+      repliedAt: Date
     },
     status: {
       type: String,
       enum: ['pending', 'analyzing', 'completed', 'failed'],
       default: 'pending'
     },
+    errorReason: String,
+    completedAt: Date,
     reportViewed: {
       type: Boolean,
       default: false
@@ -172,6 +488,19 @@ const jobScanSchema = new mongoose.Schema(
       default: false
     },
     reportReason: String,
+    // Admin verdict on whether the scan really was a scam; used as a training label
+    review: {
+      verdict: {
+        type: String,
+        enum: ['scam', 'legitimate']
+      },
+      note: String,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date
+    },
     notes: String
   },
   {
@@ -184,30 +513,18 @@ jobScanSchema.index({ user: 1, createdAt: -1 });
 jobScanSchema.index({ riskLevel: 1 });
 jobScanSchema.index({ scamProbability: -1 });
 jobScanSchema.index({ companyName: 1 });
+jobScanSchema.index({ user: 1, scanType: 1 });
 
 // Virtual for determining if scan needs attention
 jobScanSchema.virtual('needsAttention').get(function () {
-  return this.riskLevel === 'high' || this.scamProbability >= 70;
+  return this.riskLevel === 'high' || this.scamProbability >= getScoringConfig().riskLevels.high.minProbability;
 });
 
-// Method to calculate risk level based on warning flags
+// Method to calculate risk level from the probability, warning flags and coverage, using the
+// thresholds in the scoring config
 jobScanSchema.methods.calculateRiskLevel = function () {
-  const highSeverityCount = this.warningFlags.filter(
-    flag => flag.detected && flag.severity === 'high'
-  ).length;
-  
-  const mediumSeverityCount = this.warningFlags.filter(
-    flag => flag.detected && flag.severity === 'medium'
-  ).length;
-  
-  if (highSeverityCount >= 2 || this.scamProbability >= 70) {
-    this.riskLevel = 'high';
-  } else if (highSeverityCount >= 1 || mediumSeverityCount >= 2 || this.scamProbability >= 40) {
-    this.riskLevel = 'medium';
-  } else {
-    this.riskLevel = 'low';
-  }
-  
+  const coverage = this.coverage && typeof this.coverage.score === 'number' ? this.coverage.score : null;
+  this.riskLevel = riskLevelFor(this.scamProbability, this.warningFlags, coverage);
   return this.riskLevel;
 };
 
@@ -241,6 +558,9 @@ jobScanSchema.statics.getAnalytics = async function (userId = null, dateRange =
         lowRisk: {
           $sum: { $cond: [{ $eq: ['$riskLevel', 'low'] }, 1, 0] }
         },
+        insufficientData: {
+          $sum: { $cond: [{ $eq: ['$riskLevel', 'insufficient_data'] }, 1, 0] }
+        },
         averageScamProbability: { $avg: '$scamProbability' }
       }
     }
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Scan progress events, written by the API and the worker and tailed by SSE streams
+// Capped so the collection behaves like a rolling log and supports tailable cursors
+const scanEventSchema = new mongoose.Schema(
+  {
+    jobScan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobScan',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    type: {
+      type: String,
+      enum: ['status', 'stage', 'result'],
+      required: true
+    },
+    data: mongoose.Schema.Types.Mixed,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    capped: { size: 10 * 1024 * 1024, max: 50000 },
+    versionKey: false
+  }
+);
+
+module.exports = mongoose.model('ScanEvent', scanEventSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Work queue entry for asynchronous scan analysis, processed by worker.js
+const scanJobSchema = new mongoose.Schema(
+  {
+    jobScan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobScan',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'done', 'failed'],
+      default: 'queued'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3
+    },
+    // Earliest time the job may be picked up (pushed back on retry)
+    runAt: {
+      type: Date,
+      default: Date.now
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    lastError: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for claiming the next due job
+scanJobSchema.index({ status: 1, runAt: 1 });
+scanJobSchema.index({ jobScan: 1 });
+
+module.exports = mongoose.model('ScanJob', scanJobSchema);
@@ -102,6 +102,13 @@ const userSchema = new mongoose.Schema(
     verificationToken: String,
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    // Secret part of the user's own inbound scan address (scan+<token>@...)
+    inboundToken: {
+      type: String,
+      unique: true,
+      sparse: true,
+      select: false
+    },
     lastLogin: Date,
     loginAttempts: {
       type: Number,
@@ -205,4 +212,10 @@ userSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+// Generate a new inbound address token, replacing any previous one
+userSchema.methods.generateInboundToken = function () {
+  this.inboundToken = require('crypto').randomBytes(16).toString('hex');
+  return this.inboundToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
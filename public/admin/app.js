@@ -11,6 +11,11 @@ const loginBtn = document.getElementById('loginBtn');
 const logoutBtn = document.getElementById('logoutBtn');
 const refreshBtn = document.getElementById('refreshBtn');
 const adminEmail = document.getElementById('adminEmail');
+const liveAlerts = document.getElementById('liveAlerts');
+
+// Live high-risk scan stream
+const MAX_LIVE_ALERTS = 20;
+let liveStreamController = null;
 
 // Initialize app
 function init() {
@@ -19,6 +24,7 @@ function init() {
     if (token) {
         showDashboard();
         loadDashboardData();
+        subscribeHighRiskScans();
     } else {
         showLogin();
     }
@@ -78,6 +84,7 @@ async function handleLogin(e) {
         adminEmail.textContent = email;
         showDashboard();
         loadDashboardData();
+        subscribeHighRiskScans();
 
     } catch (error) {
         loginError.textContent = error.message;
@@ -90,6 +97,7 @@ async function handleLogin(e) {
 
 // Handle logout
 function handleLogout() {
+    unsubscribeHighRiskScans();
     localStorage.removeItem(STORAGE_KEY);
     showLogin();
     loginForm.reset();
@@ -163,6 +171,104 @@ function updateOverviewStats(overview, riskLevels, statusCounts) {
     }
 }
 
+// Subscribe to the server-sent stream of new high-risk scans
+// Uses fetch instead of EventSource so the bearer token can be sent
+async function subscribeHighRiskScans() {
+    const token = localStorage.getItem(STORAGE_KEY);
+
+    if (!token || liveStreamController) {
+        return;
+    }
+
+    liveStreamController = new AbortController();
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/admin/scans/events`, {
+            headers: {
+                'Authorization': `Bearer ${token}`
+            },
+            signal: liveStreamController.signal
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to subscribe to live scans');
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+            events.forEach(handleStreamEvent);
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return;
+        }
+        console.error('Live scan stream error:', error);
+    }
+
+    // Reconnect after the stream drops, unless we logged out
+    if (liveStreamController && !liveStreamController.signal.aborted) {
+        liveStreamController = null;
+        setTimeout(subscribeHighRiskScans, 5000);
+    }
+}
+
+function unsubscribeHighRiskScans() {
+    if (liveStreamController) {
+        liveStreamController.abort();
+        liveStreamController = null;
+    }
+}
+
+function handleStreamEvent(rawEvent) {
+    let eventName = 'message';
+    let data = '';
+
+    rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event: ')) eventName = line.slice(7);
+        if (line.startsWith('data: ')) data += line.slice(6);
+    });
+
+    if (eventName === 'high_risk_scan' && data) {
+        addLiveAlert(JSON.parse(data));
+    }
+}
+
+function addLiveAlert(scan) {
+    const empty = liveAlerts.querySelector('.live-alerts-empty');
+    if (empty) empty.remove();
+
+    const item = document.createElement('li');
+    item.className = 'live-alert';
+    item.innerHTML = `
+        <div>
+            <strong>${escapeHtml(scan.companyName || 'Unknown Company')}</strong>
+            - ${escapeHtml(scan.jobTitle || 'Untitled Position')}
+            <div class="live-alert-meta">${escapeHtml(scan.warningFlags.map(flag => flag.type).join(', '))}</div>
+        </div>
+        <div>
+            <strong>${scan.scamProbability}%</strong>
+            <div class="live-alert-meta">${formatDate(scan.completedAt || new Date())}</div>
+        </div>
+    `;
+
+    liveAlerts.prepend(item);
+
+    while (liveAlerts.children.length > MAX_LIVE_ALERTS) {
+        liveAlerts.lastElementChild.remove();
+    }
+}
+
 // Utility functions
 function formatNumber(num) {
     return num.toLocaleString();
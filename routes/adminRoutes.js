@@ -2,9 +2,23 @@ const express = require('express');
 const {
     getDashboardStats,
     getAllUsers,
-    getAllScans
+    getAllScans,
+    getHighRiskScanEvents,
+    reviewScan,
+    getRules,
+    createRule,
+    updateRule,
+    deleteRule
 } = require('../controllers/adminController');
 const { protect, authorize } = require('../middleware/auth');
+const {
+    detectionRuleValidation,
+    updateDetectionRuleValidation,
+    scanReviewValidation,
+    mongoIdValidation,
+    paginationValidation,
+    validate
+} = require('../middleware/validators');
 
 const router = express.Router();
 
@@ -74,14 +88,152 @@ router.get('/users', protect, authorize('admin'), getAllUsers);
  *         schema:
  *           type: integer
  *         description: Number of items per page
+ *       - in: query
+ *         name: scanType
+ *         schema:
+ *           type: string
+ *           enum: [posting, offer_letter, recruiter_email, message, conversation]
+ *         description: Filter by scan type
  *     responses:
  *       200:
  *         description: Scans retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Not authorized
  *       403:
  *         description: Not authorized (admin only)
  */
-router.get('/scans', protect, authorize('admin'), getAllScans);
+router.get('/scans', protect, authorize('admin'), paginationValidation, validate, getAllScans);
+
+/**
+ * @swagger
+ * /api/v1/admin/scans/events:
+ *   get:
+ *     summary: Stream newly completed high-risk scans
+ *     description: Server-Sent Events stream emitting a high_risk_scan event for every scan that completes with a high risk level.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Event stream (text/event-stream)
+ *       403:
+ *         description: Not authorized (admin only)
+ */
+router.get('/scans/events', protect, authorize('admin'), getHighRiskScanEvents);
+
+/**
+ * @swagger
+ * /api/v1/admin/scans/{id}/review:
+ *   put:
+ *     summary: Record an admin verdict on a scan
+ *     description: Marks the scan as a confirmed scam or as legitimate. Reviewed scans are the labels the classifier is trained on (npm run train-classifier).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - verdict
+ *             properties:
+ *               verdict:
+ *                 type: string
+ *                 enum: [scam, legitimate]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verdict recorded
+ *       404:
+ *         description: Job scan not found
+ *       403:
+ *         description: Not authorized (admin only)
+ */
+router.put('/scans/:id/review', protect, authorize('admin'), mongoIdValidation, scanReviewValidation, validate, reviewScan);
+
+/**
+ * @swagger
+ * /api/v1/admin/rules:
+ *   get:
+ *     summary: Get built-in detectors and stored detection rules
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Detection rules retrieved successfully
+ *       403:
+ *         description: Not authorized (admin only)
+ *   post:
+ *     summary: Create a custom detection rule or override a built-in detector
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DetectionRule'
+ *     responses:
+ *       201:
+ *         description: Detection rule created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized (admin only)
+ */
+router.get('/rules', protect, authorize('admin'), getRules);
+router.post('/rules', protect, authorize('admin'), detectionRuleValidation, validate, createRule);
+
+/**
+ * @swagger
+ * /api/v1/admin/rules/{ruleId}:
+ *   put:
+ *     summary: Update a stored detection rule (enable/disable, reweight, edit patterns)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Detection rule updated successfully
+ *       404:
+ *         description: Detection rule not found
+ *   delete:
+ *     summary: Delete a stored detection rule
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Detection rule deleted successfully
+ *       404:
+ *         description: Detection rule not found
+ */
+router.put('/rules/:ruleId', protect, authorize('admin'), updateDetectionRuleValidation, validate, updateRule);
+router.delete('/rules/:ruleId', protect, authorize('admin'), deleteRule);
 
 module.exports = router;
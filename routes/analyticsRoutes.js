@@ -36,6 +36,12 @@ const { protect, optionalAuth, authorize } = require('../middleware/auth');
  *           type: string
  *           format: date
  *         description: End date for analytics (ISO format)
+ *       - in: query
+ *         name: scanType
+ *         schema:
+ *           type: string
+ *           enum: [posting, offer_letter, recruiter_email, message, conversation]
+ *         description: Only count scans of this type. Results also include a byScanType breakdown
  *     responses:
  *       200:
  *         description: User analytics retrieved successfully
@@ -63,6 +69,12 @@ router.get('/user', protect, getUserAnalytics);
  *         schema:
  *           type: string
  *           format: date
+ *       - in: query
+ *         name: scanType
+ *         schema:
+ *           type: string
+ *           enum: [posting, offer_letter, recruiter_email, message, conversation]
+ *         description: Only count scans of this type. Results also include a byScanType breakdown
  *     responses:
  *       200:
  *         description: Global analytics retrieved successfully
@@ -4,6 +4,8 @@ const {
   createJobScan,
   getJobScans,
   getJobScan,
+  getJobScanEvents,
+  reanalyzeJobScan,
   deleteJobScan,
   reportJob,
   getPublicStats
@@ -17,7 +19,7 @@ const {
   validate
 } = require('../middleware/validators');
 const { scanLimiter, uploadLimiter } = require('../middleware/rateLimiter');
-const { uploadJobFile, handleUploadError } = require('../middleware/fileUpload');
+const { uploadJobFile, handleUploadError, inspectUploadedFile } = require('../middleware/fileUpload');
 
 /**
  * @swagger
@@ -31,9 +33,16 @@ const { uploadJobFile, handleUploadError } = require('../middleware/fileUpload')
  * /api/v1/jobs:
  *   post:
  *     summary: Create a new job scan
+ *     description: Scans are queued and analyzed by the worker. Poll GET /api/v1/jobs/{id} for the result, or pass sync=true to analyze small text-only scans immediately.
  *     tags: [Jobs]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sync
+ *         schema:
+ *           type: boolean
+ *         description: Analyze inside the request (text-only scans only)
  *     requestBody:
  *       required: true
  *       content:
@@ -60,13 +69,19 @@ const { uploadJobFile, handleUploadError } = require('../middleware/fileUpload')
  *               jobTitle:
  *                 type: string
  *                 example: Senior Developer
+ *               scanType:
+ *                 type: string
+ *                 enum: [posting, offer_letter, recruiter_email, message, conversation]
+ *                 description: What was submitted, which selects the rules and weights used. Detected from the content when omitted
  *               jobFile:
  *                 type: string
  *                 format: binary
- *                 description: Job description file (PDF, DOC, DOCX, TXT)
+ *                 description: Job description file (PDF, DOC, DOCX, TXT) or screenshot (PNG, JPEG) or recruiter email (EML) or chat export (WhatsApp TXT, Telegram JSON)
  *     responses:
  *       201:
- *         description: Job scan created successfully
+ *         description: Job scan analyzed synchronously
+ *       202:
+ *         description: Job scan queued for analysis
  *       400:
  *         description: Validation error
  *       401:
@@ -79,6 +94,7 @@ router.post(
   uploadLimiter,
   uploadJobFile,
   handleUploadError,
+  inspectUploadedFile,
   jobScanValidation,
   validate,
   createJobScan
@@ -119,8 +135,14 @@ router.post(
  *         name: riskLevel
  *         schema:
  *           type: string
- *           enum: [low, medium, high]
+ *           enum: [low, medium, high, insufficient_data]
  *         description: Filter by risk level
+ *       - in: query
+ *         name: scanType
+ *         schema:
+ *           type: string
+ *           enum: [posting, offer_letter, recruiter_email, message, conversation]
+ *         description: Filter by scan type
  *     responses:
  *       200:
  *         description: Job scans retrieved successfully
@@ -162,6 +184,11 @@ router.get('/stats', optionalAuth, getPublicStats);
  *         schema:
  *           type: string
  *         description: Job scan ID
+ *       - in: query
+ *         name: annotate
+ *         schema:
+ *           type: boolean
+ *         description: Also return annotatedDescription, the description as consecutive segments with the sentences that raised flags marked (flags, severity) for highlighting
  *     responses:
  *       200:
  *         description: Job scan retrieved successfully
@@ -178,6 +205,76 @@ router.get(
   getJobScan
 );
 
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/events:
+ *   get:
+ *     summary: Stream job scan progress
+ *     description: |
+ *       Server-Sent Events stream. Emits `status` events (pending, analyzing, completed, failed),
+ *       a `stage` event as each analyzer stage completes, and a `result` event with the risk summary.
+ *       The stream closes once the scan is completed or failed.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job scan ID
+ *     responses:
+ *       200:
+ *         description: Event stream (text/event-stream)
+ *       404:
+ *         description: Job scan not found
+ *       401:
+ *         description: Not authorized
+ */
+router.get(
+  '/:id/events',
+  protect,
+  mongoIdValidation,
+  validate,
+  getJobScanEvents
+);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/reanalyze:
+ *   post:
+ *     summary: Re-run analysis on a job scan with the current detection logic
+ *     description: The previous verdict is kept in analysisHistory. The response includes a diff of the risk level, probability and flags that changed.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job scan ID
+ *     responses:
+ *       200:
+ *         description: Job scan re-analyzed successfully
+ *       202:
+ *         description: Job scan queued for the worker, since its upload or page still has to be read
+ *       404:
+ *         description: Job scan not found
+ *       409:
+ *         description: Job scan is still being analyzed
+ */
+router.post(
+  '/:id/reanalyze',
+  protect,
+  scanLimiter,
+  mongoIdValidation,
+  validate,
+  reanalyzeJobScan
+);
+
 /**
  * @swagger
  * /api/v1/jobs/{id}:
@@ -239,6 +336,8 @@ router.delete(
  *     responses:
  *       200:
  *         description: Job reported successfully
+ *       403:
+ *         description: Not authorized to report this job scan
  *       404:
  *         description: Job scan not found
  */
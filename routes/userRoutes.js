@@ -3,6 +3,8 @@ const router = express.Router();
 const {
   getProfile,
   updateProfile,
+  getInboundAddress,
+  rotateInboundAddress,
   deleteAccount
 } = require('../controllers/userController');
 const { protect } = require('../middleware/auth');
@@ -75,6 +77,33 @@ router.put(
   updateProfile
 );
 
+/**
+ * @swagger
+ * /api/v1/users/inbound-address:
+ *   get:
+ *     summary: Get the user's secret address for forwarding emails to scan
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Inbound address (created on first request)
+ *       401:
+ *         description: Not authorized
+ *   post:
+ *     summary: Replace the inbound address, e.g. after it leaked
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: New inbound address; the previous one no longer accepts mail
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/inbound-address', protect, getInboundAddress);
+router.post('/inbound-address', protect, rotateInboundAddress);
+
 /**
  * @swagger
  * /api/v1/users/account:
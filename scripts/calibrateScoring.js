@@ -0,0 +1,120 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before any module reads its settings
+dotenv.config();
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const JobScan = require('../models/JobScan');
+const { loadRules } = require('../utils/analyzer/ruleEngine');
+const { calibrate } = require('../utils/analyzer/calibration');
+const { labelOf, labelledQuery } = require('../utils/analyzer/trainingLabels');
+
+// Registers the built-in detectors
+require('../utils/analyzer/detectors');
+
+const USAGE = `Fit the scoring to labelled job scans and write a scoring config with calibrated
+logistic coefficients, so that a stated probability matches the observed scam rate.
+
+Usage: npm run calibrate-scoring -- [options]
+
+Labels come from admin reviews and, with --include-reports, from scans users reported as
+scams. Each scan is scored on the rules it fired when it was last analyzed, so re-analyze
+old scans first if the rules have changed. Point SCORING_CONFIG at the written file and restart
+the server and worker to use it.
+
+Options:
+  --out <file>                Where to write the config (default ./scoring-calibrated.json)
+  --include-reports           Also count scans users reported as scams; reports are not
+                              reviewed and any user can file one
+  --low-risk-as-legitimate    Also use unreported, unreviewed low-risk scans as legitimate
+                              examples; these were picked by the current scoring, so they
+                              make it look better calibrated than it is
+  --dry-run                   Report calibration without writing the file
+  --help                      Show this message`;
+
+const parseArgs = (argv) => {
+  const options = { out: './scoring-calibrated.json' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--out':
+        options.out = argv[++i];
+        break;
+      case '--include-reports':
+        options.includeReports = true;
+        break;
+      case '--low-risk-as-legitimate':
+        options.lowRiskAsLegitimate = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+const printReliability = (label, report) => {
+  console.log(`${label}: Brier score ${report.brier}, log loss ${report.logLoss}`);
+  report.bins.forEach(bin => {
+    const predicted = Math.round(bin.predicted * 100);
+    const observed = Math.round(bin.observed * 100);
+    console.log(`  ${String(bin.from).padStart(3)}-${String(bin.to).padEnd(3)}%  ${String(bin.count).padStart(6)} scan(s)  predicted ${String(predicted).padStart(3)}%  observed ${String(observed).padStart(3)}%`);
+  });
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  await connectDB();
+
+  const examples = [];
+  const cursor = JobScan.find({ status: 'completed', ...labelledQuery(options) })
+    .select('firedRules scanType review isReported status riskLevel')
+    .lean()
+    .cursor();
+
+  for await (const jobScan of cursor) {
+    const label = labelOf(jobScan, options);
+    if (label !== null) {
+      examples.push({ firedRules: jobScan.firedRules || [], label, scanType: jobScan.scanType });
+    }
+  }
+
+  const result = calibrate(examples, await loadRules());
+  const { calibration } = result;
+
+  console.log(`Calibrated on ${calibration.scam} scam and ${calibration.legitimate} legitimate scan(s)`);
+  printReliability('Current scoring', calibration.before);
+  printReliability('Calibrated', calibration.after);
+
+  if (options.dryRun) {
+    console.log('Dry run; no file written');
+    return;
+  }
+
+  fs.writeFileSync(options.out, `${JSON.stringify(result, null, 2)}\n`);
+  console.log(`Wrote ${options.out}; set SCORING_CONFIG=${options.out} and restart to use it`);
+};
+
+run()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
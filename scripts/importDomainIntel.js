@@ -0,0 +1,61 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before any module reads its settings
+dotenv.config();
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const DomainRecord = require('../models/DomainRecord');
+
+const USAGE = `Import domain registration and certificate facts for the Mongo domain-intelligence provider.
+
+Usage: npm run import-domains -- <file.json>
+
+The file holds an array of records, or an object keyed by domain:
+  [{ "domain": "example.com", "registeredAt": "2024-05-01", "registrar": "Example Registrar",
+     "tls": { "valid": true, "issuer": "Let's Encrypt", "expiresAt": "2024-08-01" } }]
+
+Existing records for the same domain are replaced.`;
+
+const readRecords = (filePath) => {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return Array.isArray(data)
+    ? data
+    : Object.keys(data).map(domain => ({ domain, ...data[domain] }));
+};
+
+const run = async () => {
+  const [filePath] = process.argv.slice(2);
+
+  if (!filePath || filePath === '--help') {
+    console.log(USAGE);
+    return;
+  }
+
+  const records = readRecords(filePath);
+  const invalid = records.filter(record => !record.domain);
+  if (invalid.length > 0) {
+    throw new Error(`${invalid.length} record(s) have no domain`);
+  }
+
+  await connectDB();
+
+  const result = await DomainRecord.bulkWrite(records.map(record => ({
+    replaceOne: {
+      filter: { domain: record.domain.toLowerCase() },
+      replacement: { source: path.basename(filePath), ...record, domain: record.domain.toLowerCase() },
+      upsert: true
+    }
+  })));
+
+  console.log(`Imported ${records.length} domain(s): ${result.upsertedCount} new, ${result.modifiedCount} updated`);
+};
+
+run()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,171 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before any module reads its settings
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const JobScan = require('../models/JobScan');
+const { ANALYZER_VERSION } = require('../utils/analyzer');
+const { RISK_LEVELS } = require('../utils/analyzer/scoring');
+const { reanalyzeScan, markScanFailed, needsExtraction } = require('../utils/scanProcessor');
+const { enqueueScan } = require('../utils/scanQueue');
+const { publishScanEvent } = require('../utils/scanEvents');
+
+const USAGE = `Re-run analysis on stored job scans with the current detection logic.
+
+Usage: npm run reanalyze -- [options]
+
+Scans whose upload was never extracted or whose page was never fetched are queued for the
+worker instead, so OCR and page fetches do not run here.
+
+Options:
+  --from <date>          Only scans created on or after this date (ISO format)
+  --to <date>            Only scans created on or before this date (ISO format); a date
+                         without a time means the end of that day
+  --risk-level <level>   Only scans with this risk level (low, medium, high, insufficient_data)
+  --outdated             Only scans produced by an older analyzer version
+  --limit <n>            Re-analyze at most n scans
+  --dry-run              List matching scans without changing them
+  --help                 Show this message`;
+
+// A date without a time covers the whole day (UTC, like new Date('2024-01-31'))
+const endOfDay = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value || '')
+  ? new Date(`${value}T23:59:59.999Z`)
+  : new Date(value));
+
+const parseArgs = (argv) => {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--from':
+        options.from = new Date(argv[++i]);
+        break;
+      case '--to':
+        options.to = endOfDay(argv[++i]);
+        break;
+      case '--risk-level':
+        options.riskLevel = argv[++i];
+        break;
+      case '--limit':
+        options.limit = parseInt(argv[++i], 10);
+        break;
+      case '--outdated':
+        options.outdated = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if ([options.from, options.to].some(date => date && isNaN(date.getTime()))) {
+    throw new Error('Dates must be in ISO format, e.g. 2024-01-31');
+  }
+
+  if (options.riskLevel && !RISK_LEVELS.includes(options.riskLevel)) {
+    throw new Error(`Risk level must be one of ${RISK_LEVELS.join(', ')}`);
+  }
+
+  return options;
+};
+
+const buildQuery = (options) => {
+  // Scans still queued or running are left to the worker
+  const query = { status: { $in: ['completed', 'failed'] } };
+
+  if (options.from || options.to) {
+    query.createdAt = {};
+    if (options.from) query.createdAt.$gte = options.from;
+    if (options.to) query.createdAt.$lte = options.to;
+  }
+
+  if (options.riskLevel) {
+    query.riskLevel = options.riskLevel;
+  }
+
+  if (options.outdated) {
+    query.analyzerVersion = { $ne: ANALYZER_VERSION };
+  }
+
+  return query;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  await connectDB();
+
+  const query = buildQuery(options);
+  const total = await JobScan.countDocuments(query);
+  console.log(`${total} scan(s) match; analyzer version ${ANALYZER_VERSION}${options.dryRun ? ' (dry run)' : ''}`);
+
+  let cursor = JobScan.find(query).sort({ createdAt: 1 });
+  if (options.limit) {
+    cursor = cursor.limit(options.limit);
+  }
+
+  const summary = { reanalyzed: 0, changed: 0, failed: 0, queued: 0 };
+
+  for await (const jobScan of cursor.cursor()) {
+    const queue = needsExtraction(jobScan);
+
+    if (options.dryRun) {
+      console.log(`${jobScan._id}  ${jobScan.riskLevel}  ${jobScan.scamProbability}%  v${jobScan.analyzerVersion || '1.0.0'}${queue ? '  (would be queued)' : ''}`);
+      continue;
+    }
+
+    // OCR and page fetches belong to the worker
+    if (queue) {
+      jobScan.status = 'pending';
+      await jobScan.save();
+      await publishScanEvent(jobScan, 'status', { status: 'pending' });
+      await enqueueScan(jobScan._id);
+      summary.queued += 1;
+      continue;
+    }
+
+    try {
+      const diff = await reanalyzeScan(jobScan);
+      summary.reanalyzed += 1;
+
+      const changed = diff.riskLevel.from !== diff.riskLevel.to ||
+        diff.scamProbability.change !== 0 ||
+        diff.flagsAdded.length > 0 ||
+        diff.flagsRemoved.length > 0;
+
+      if (changed) {
+        summary.changed += 1;
+        console.log(JSON.stringify({ id: jobScan._id, ...diff }));
+      }
+    } catch (error) {
+      summary.failed += 1;
+      await markScanFailed(jobScan, error);
+      console.error(`${jobScan._id} failed: ${error.message}`);
+    }
+  }
+
+  if (!options.dryRun) {
+    console.log(`Re-analyzed ${summary.reanalyzed}, changed ${summary.changed}, failed ${summary.failed}, queued for the worker ${summary.queued}`);
+  }
+};
+
+run()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,123 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before any module reads its settings
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const JobScan = require('../models/JobScan');
+const { CLASSIFIER_DIR, normalizeFields, trainModel, saveModel } = require('../utils/analyzer/classifier');
+const { labelOf, labelledQuery } = require('../utils/analyzer/trainingLabels');
+
+const USAGE = `Train the scam classifier from labelled job scans and write a versioned model file.
+
+Usage: npm run train-classifier -- [options]
+
+Labels come from admin reviews (PUT /api/v1/admin/scans/:id/review) and, with
+--include-reports, from scans users reported as scams that no admin has reviewed.
+
+Options:
+  --out <dir>                 Directory for the model file (default CLASSIFIER_DIR or ./classifiers)
+  --include-reports           Also count scans users reported as scams; reports are not
+                              reviewed and any user can file one
+  --low-risk-as-legitimate    Also use unreported, unreviewed low-risk scans as legitimate examples
+  --min-count <n>             Ignore words and word pairs found in fewer than n scans (default 2)
+  --max-features <n>          Keep at most n features (default 50000)
+  --epochs <n>                Training passes over the examples (default 15)
+  --dry-run                   Count the labelled scans without training
+  --help                      Show this message`;
+
+const parseArgs = (argv) => {
+  const options = { out: CLASSIFIER_DIR, training: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--out':
+        options.out = argv[++i];
+        break;
+      case '--include-reports':
+        options.includeReports = true;
+        break;
+      case '--low-risk-as-legitimate':
+        options.lowRiskAsLegitimate = true;
+        break;
+      case '--min-count':
+        options.training.minCount = parseInt(argv[++i], 10);
+        break;
+      case '--max-features':
+        options.training.maxFeatures = parseInt(argv[++i], 10);
+        break;
+      case '--epochs':
+        options.training.epochs = parseInt(argv[++i], 10);
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if (Object.values(options.training).some(value => isNaN(value) || value < 1)) {
+    throw new Error('--min-count, --max-features and --epochs must be positive integers');
+  }
+
+  return options;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  await connectDB();
+
+  const query = { jobDescription: { $nin: [null, ''] }, ...labelledQuery(options) };
+
+  async function* loadExamples() {
+    const cursor = JobScan.find(query)
+      .select('jobTitle companyName jobDescription review isReported status riskLevel')
+      .sort({ _id: 1 })
+      .lean()
+      .cursor();
+
+    for await (const jobScan of cursor) {
+      const label = labelOf(jobScan, options);
+      if (label !== null) {
+        yield { fields: normalizeFields(jobScan), label };
+      }
+    }
+  }
+
+  if (options.dryRun) {
+    const counts = [0, 0];
+    for await (const example of loadExamples()) {
+      counts[example.label] += 1;
+    }
+    console.log(`${counts[1]} scam and ${counts[0]} legitimate scan(s) labelled (dry run)`);
+    return;
+  }
+
+  const model = await trainModel(loadExamples, options.training);
+  const filePath = saveModel(model, options.out);
+
+  const { training } = model;
+  console.log(`Trained ${model.version} on ${training.scam} scam and ${training.legitimate} legitimate scan(s), ${training.features} features`);
+  console.log(`Training accuracy ${training.accuracy}, log loss ${training.logLoss}`);
+  console.log(`Wrote ${filePath}`);
+};
+
+run()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,20 @@
+const { parseConversation } = require('../utils/analyzer/conversation');
+
+describe('parseConversation', () => {
+  test('reads pasted speaker turns', () => {
+    const conversation = parseConversation('Recruiter: Hi, are you open to a remote role?\nMe: Sure, tell me more\nRecruiter: Please move to Telegram');
+    expect(conversation.participants).toEqual(['Recruiter', 'Me']);
+    expect(conversation.turns).toHaveLength(3);
+  });
+
+  test('does not read job board field labels as speakers', () => {
+    const posting = [
+      'Job Type: Full-time',
+      'Benefits: Health insurance',
+      'Schedule: 8 hour shift',
+      'Experience: 1 year preferred',
+      'Work Location: In person'
+    ].join('\n');
+    expect(parseConversation(posting)).toBeNull();
+  });
+});
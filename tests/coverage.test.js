@@ -0,0 +1,36 @@
+const DetectionRule = require('../models/DetectionRule');
+const JobScan = require('../models/JobScan');
+const { analyzeJobScan } = require('../utils/analyzer');
+const { riskLevelFor } = require('../utils/analyzer/scoring');
+
+// Analyze with the built-in detectors only, without a database
+const analyze = async (fields) => {
+  jest.spyOn(DetectionRule, 'find').mockReturnValue({ lean: async () => [] });
+  const jobScan = new JobScan({ user: '64b000000000000000000000', scanType: 'posting', ...fields });
+  const result = await analyzeJobScan(jobScan);
+  return riskLevelFor(result.scamProbability, result.warningFlags, result.coverage.score);
+};
+
+const POSTING = 'We are hiring a Customer Support Specialist to join our growing team in Austin. ' +
+  'You will answer customer questions by phone and email, document issues in our ticketing system, ' +
+  'and work with the product team to resolve bugs. Requirements: two years of support experience, ' +
+  'clear writing, and comfort with software tools. Benefits include health insurance, 401k matching and paid time off. No calls.';
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('coverage and insufficient data', () => {
+  test('rates a 400-character description-only posting on its content', async () => {
+    expect(POSTING.length).toBeLessThanOrEqual(400);
+    expect(await analyze({ jobDescription: POSTING })).not.toBe('insufficient_data');
+  });
+
+  test('still asks for more when only a company name is given', async () => {
+    expect(await analyze({ companyName: 'Acme Corp' })).toBe('insufficient_data');
+  });
+
+  test('reports a high-severity flag however little was submitted', () => {
+    const flags = [{ type: 'upfront_payment', severity: 'high', detected: true }];
+    expect(riskLevelFor(45, flags, 10)).toBe('medium');
+    expect(riskLevelFor(10, [], 10)).toBe('insufficient_data');
+  });
+});
@@ -0,0 +1,43 @@
+const DetectionRule = require('../models/DetectionRule');
+
+const customRule = (patterns) => new DetectionRule({
+  ruleId: 'custom-regex',
+  matchType: 'regex',
+  flagType: 'phishing',
+  severity: 'high',
+  weight: 30,
+  patterns
+});
+
+// Schema validation runs the pre-validate hook, without a database
+const patternError = async (rule) => {
+  try {
+    await rule.validate();
+    return null;
+  } catch (error) {
+    return error.errors && error.errors.patterns ? error.errors.patterns.message : null;
+  }
+};
+
+describe('DetectionRule regex patterns', () => {
+  test.each([
+    '\\bwire\\s+transfer\\b',
+    'telegram\\W{0,3}@\\w+',
+    '(pay|send)\\s+\\$\\d+'
+  ])('accepts %s', async (pattern) => {
+    expect(await patternError(customRule([pattern]))).toBeNull();
+  });
+
+  test.each([
+    '(a+)+$',
+    '(\\w+\\s?)*$',
+    '([a-z]+)*@',
+    `${'a?'.repeat(200)}`
+  ])('rejects %s', async (pattern) => {
+    expect(await patternError(customRule([pattern]))).toMatch(/exponential time/);
+  });
+
+  test('rejects invalid syntax', async () => {
+    expect(await patternError(customRule(['(unclosed']))).toMatch(/Invalid regular expression/);
+  });
+});
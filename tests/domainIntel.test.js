@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DetectionRule = require('../models/DetectionRule');
+const JobScan = require('../models/JobScan');
+const { analyzeJobScan } = require('../utils/analyzer');
+const { setProviders, lookupDomain, lookupDomains } = require('../utils/analyzer/domainIntel');
+const createFileProvider = require('../utils/analyzer/domainIntel/fileProvider');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+// Object keyed by domain, as an operator would sync a snapshot by hand
+const FIXTURE = {
+  'acme-logistics.com': {
+    registeredAt: daysAgo(3000),
+    registrar: 'Example Registrar',
+    tls: { valid: true, issuer: 'Example CA' }
+  },
+  'acme-hiring-desk.com': {
+    registeredAt: daysAgo(12),
+    registrar: 'Cheap Names',
+    tls: { valid: false }
+  }
+};
+
+let fixturePath;
+
+beforeAll(() => {
+  fixturePath = path.join(os.tmpdir(), `domain-intel-${process.pid}.json`);
+  fs.writeFileSync(fixturePath, JSON.stringify(FIXTURE));
+});
+
+afterAll(() => {
+  fs.unlinkSync(fixturePath);
+  setProviders(null);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('file domain-intelligence provider', () => {
+  test('answers from the fixture and reads the file once', async () => {
+    const readFile = jest.spyOn(fs, 'readFileSync');
+    const provider = createFileProvider(fixturePath);
+
+    expect(await provider.lookup('acme-logistics.com')).toMatchObject({
+      domain: 'acme-logistics.com',
+      registrar: 'Example Registrar'
+    });
+    expect(await provider.lookup('unknown.example')).toBeNull();
+    expect(readFile.mock.calls.filter(([file]) => file === fixturePath)).toHaveLength(1);
+  });
+
+  test('accepts an array of records', async () => {
+    const listPath = path.join(os.tmpdir(), `domain-intel-list-${process.pid}.json`);
+    fs.writeFileSync(listPath, JSON.stringify([{ domain: 'Globex.com', registrar: 'Example Registrar' }]));
+    try {
+      expect(await createFileProvider(listPath).lookup('globex.com')).toMatchObject({ registrar: 'Example Registrar' });
+    } finally {
+      fs.unlinkSync(listPath);
+    }
+  });
+});
+
+describe('provider chain', () => {
+  test('falls back past failing and unknowing providers', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = { name: 'rdap', lookup: jest.fn(async () => { throw new Error('rate limited'); }) };
+    const empty = { name: 'mongo', lookup: jest.fn(async () => null) };
+    setProviders([failing, empty, createFileProvider(fixturePath)]);
+
+    expect(await lookupDomain('acme-hiring-desk.com')).toMatchObject({
+      domain: 'acme-hiring-desk.com',
+      provider: 'file'
+    });
+    expect(failing.lookup).toHaveBeenCalled();
+    expect(empty.lookup).toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/via rdap failed: rate limited/));
+  });
+
+  test('looks each domain up once', async () => {
+    const provider = { name: 'file', lookup: jest.fn(async () => null) };
+    setProviders([provider]);
+
+    const records = await lookupDomains(['acme-logistics.com', 'acme-logistics.com', null, 'globex.com']);
+    expect([...records.keys()]).toEqual(['acme-logistics.com', 'globex.com']);
+    expect(provider.lookup).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('domain signals', () => {
+  const analyze = async (companyWebsite) => {
+    jest.spyOn(DetectionRule, 'find').mockReturnValue({ lean: async () => [] });
+    setProviders([createFileProvider(fixturePath)]);
+    const jobScan = new JobScan({
+      user: '64b000000000000000000000',
+      scanType: 'posting',
+      jobTitle: 'Logistics Coordinator',
+      companyName: 'Acme Logistics',
+      companyWebsite,
+      jobDescription: 'Coordinate inbound shipments with carriers and keep delivery records up to date.'
+    });
+    return analyzeJobScan(jobScan);
+  };
+
+  test('flags a young domain without a valid certificate', async () => {
+    const result = await analyze('https://acme-hiring-desk.com');
+
+    expect(result.firedRules).toEqual(expect.arrayContaining(['young-domain', 'missing-tls']));
+    expect(result.details.websiteAnalysis).toMatchObject({ domainAge: 12, registrar: 'Cheap Names', sslCertificate: false });
+    const young = result.warningFlags.find(flag => flag.ruleId === 'young-domain');
+    expect(young.description).toBe('Domain acme-hiring-desk.com was registered 12 days ago');
+  });
+
+  test('leaves an established domain with valid TLS alone', async () => {
+    const result = await analyze('https://www.acme-logistics.com/careers');
+
+    expect(result.firedRules).not.toContain('young-domain');
+    expect(result.firedRules).not.toContain('missing-tls');
+    expect(result.details.websiteAnalysis).toMatchObject({ domainAge: 3000, sslCertificate: true });
+  });
+});
@@ -0,0 +1,71 @@
+const { jobScanValidation } = require('../middleware/validators');
+const { analyzeEmail } = require('../utils/analyzer/emailAnalysis');
+const { analyzeUrl } = require('../utils/analyzer/urlAnalysis');
+
+const checksOf = (email, options) => analyzeEmail(email, options).checks.map(item => item.check);
+
+describe('company email role accounts', () => {
+  test.each([
+    'hr.department@gmail.com',
+    'Careers.Acme@Gmail.com',
+    'jobs+acme@outlook.com'
+  ])('still reads %s as a role account after validation', async (companyEmail) => {
+    const req = { body: { companyEmail } };
+    await Promise.all(jobScanValidation.map(chain => chain.run(req)));
+
+    expect(req.body.companyEmail).toBe(companyEmail.toLowerCase());
+    expect(analyzeEmail(req.body.companyEmail).isRoleAccount).toBe(true);
+    expect(checksOf(req.body.companyEmail)).toContain('role_account_on_free_provider');
+  });
+});
+
+describe('company email against the company website', () => {
+  test.each([
+    ['jane@acme.co.uk', 'https://www.acme.com'],
+    ['jane@acme.de', 'https://acme.com'],
+    ['jane@mail.acme.com.au', 'https://acme.com']
+  ])('accepts %s as the company\'s regional domain for %s', (email, companyWebsite) => {
+    const analysis = analyzeEmail(email, { companyWebsite });
+    expect(analysis.matchesWebsite).toBe(true);
+    expect(analysis.lookalikeOf).toBeNull();
+    expect(checksOf(email, { companyWebsite })).toEqual([]);
+  });
+
+  test.each([
+    ['jane@acme.xyz', 'https://acme.com'],
+    ['jane@acme-careers.com', 'https://acme.com'],
+    ['jane@acmme.com', 'https://acme.com']
+  ])('flags %s as imitating %s', (email, companyWebsite) => {
+    expect(checksOf(email, { companyWebsite })).toContain('lookalike_website');
+  });
+
+  test('reports an unrelated domain as a mismatch', () => {
+    expect(checksOf('jane@globex.com', { companyWebsite: 'https://acme.com' })).toEqual(['website_mismatch']);
+  });
+});
+
+describe('lookalike brand and company domains', () => {
+  test.each([
+    ['https://amaz0n-careers.com', 'Amazon'],
+    ['https://linkedin-careers.com', 'LinkedIn'],
+    ['https://amazon-hiring.com', 'Amazon'],
+    ['https://careers-amazon.com', 'Amazon']
+  ])('flags %s as imitating %s with recruiting words', (url, brand) => {
+    expect(analyzeUrl(url).lookalikeOf).toBe(brand);
+    expect(analyzeUrl(url).checks.map(item => item.check)).toContain('lookalike_domain');
+  });
+
+  test('flags an address imitating the company name when there is no website', () => {
+    const analysis = analyzeEmail('hr@amaz0n-careers.com', { companyName: 'Amazon' });
+    expect(analysis.lookalikeOf).toBe('Amazon');
+    expect(checksOf('hr@amaz0n-careers.com', { companyName: 'Amazon' })).toContain('lookalike_company_name');
+  });
+
+  test('flags a lookalike of a company that is not a known brand', () => {
+    expect(checksOf('jobs@g1obex-careers.com', { companyName: 'Globex Corporation' })).toContain('lookalike_company_name');
+  });
+
+  test('accepts the company name spelled correctly when there is no website', () => {
+    expect(checksOf('jane@globex-careers.com', { companyName: 'Globex Corporation' })).toEqual([]);
+  });
+});
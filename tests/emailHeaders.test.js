@@ -0,0 +1,99 @@
+const { analyzeEmailHeaders, headerCheck } = require('../utils/analyzer/emailHeaders');
+
+const checksOf = (headers) => analyzeEmailHeaders(headers).checks.map(item => item.check);
+
+const FROM = { address: 'jane@acme.com', name: 'Jane Doe' };
+
+describe('Reply-To diversion', () => {
+  test('flags replies sent to another domain', () => {
+    const analysis = analyzeEmailHeaders({ from: FROM, replyTo: { address: 'acme.hiring@gmail.com' } });
+    expect(analysis.checks).toEqual([{
+      check: 'reply_to_mismatch',
+      description: 'Replies go to acme.hiring@gmail.com, not to the sender\'s domain acme.com'
+    }]);
+  });
+
+  test('accepts replies to another host of the sender\'s domain', () => {
+    expect(checksOf({ from: FROM, replyTo: { address: 'recruiting@mail.acme.com' } })).toEqual([]);
+  });
+});
+
+describe('display-name spoofing', () => {
+  test('flags a brand in the name of a sender outside the brand', () => {
+    const analysis = analyzeEmailHeaders({ from: { address: 'offers.team@gmail.com', name: 'Amazon Recruiting' } });
+    expect(analysis.spoofedBrand).toBe('Amazon');
+    expect(analysis.checks.map(item => item.check)).toEqual(['display_name_spoofing']);
+  });
+
+  test('accepts the brand\'s own domain', () => {
+    expect(checksOf({ from: { address: 'jobs@amazon.com', name: 'Amazon Recruiting' } })).toEqual([]);
+  });
+
+  test('flags an address in the name that is not the sender\'s', () => {
+    expect(checksOf({ from: { address: 'x1@mailer.example.net', name: 'hr@acme.com' } })).toEqual(['display_name_address']);
+  });
+});
+
+describe('Authentication-Results', () => {
+  test('reads SPF, DKIM and DMARC and reports failures', () => {
+    const analysis = analyzeEmailHeaders({
+      from: FROM,
+      authenticationResults: ['mx.google.com; spf=softfail smtp.mailfrom=acme.com; dkim=none; dmarc=fail (p=REJECT) header.from=acme.com']
+    });
+    expect(analysis).toMatchObject({ spf: 'softfail', dkim: 'none', dmarc: 'fail' });
+    expect(headerCheck({ emailAnalysis: { headers: analysis } }, 'authentication_failed').description)
+      .toBe('The sender failed SPF (softfail), DMARC (fail) authentication');
+  });
+
+  test('trusts the topmost header over ones the sender could have written', () => {
+    const analysis = analyzeEmailHeaders({
+      from: FROM,
+      authenticationResults: ['mx.example.org; spf=fail smtp.mailfrom=acme.com', 'forged.example; spf=pass dkim=pass dmarc=pass']
+    });
+    expect(analysis).toMatchObject({ spf: 'fail', dkim: 'pass', dmarc: 'pass' });
+  });
+
+  test('raises nothing when every method passes', () => {
+    expect(checksOf({ from: FROM, authenticationResults: ['mx.example.org; spf=pass; dkim=pass; dmarc=pass'] })).toEqual([]);
+  });
+});
+
+describe('Received chain', () => {
+  const hop = (from, peer, date) => `from ${from} (${peer}) by mx.example.org with ESMTPS; ${date}`;
+
+  test('finds the origin below internal relays and flags a dynamic connection', () => {
+    const analysis = analyzeEmailHeaders({
+      from: FROM,
+      received: [
+        hop('relay.internal', 'relay.internal [10.0.0.5]', 'Tue, 1 Oct 2024 10:02:00 +0000'),
+        hop('laptop', 'ppp-93-45-12-7.dynamic.example.net [93.45.12.7]', 'Tue, 1 Oct 2024 10:01:00 +0000')
+      ]
+    });
+    expect(analysis).toMatchObject({ hops: 2, originIp: '93.45.12.7', originHost: 'ppp-93-45-12-7.dynamic.example.net' });
+    expect(analysis.checks.map(item => item.check)).toEqual(['received_dynamic_origin']);
+  });
+
+  test('flags a HELO naming the sender\'s domain from another server', () => {
+    const received = [hop('acme.com', 'mailer.cheaphost.net [93.45.12.8]', 'Tue, 1 Oct 2024 10:00:00 +0000')];
+    expect(checksOf({ from: FROM, received })).toEqual(['received_forged_helo']);
+  });
+
+  test('flags hops out of time order', () => {
+    const received = [
+      hop('mx1.acme.com', 'mx1.acme.com [93.45.12.9]', 'Tue, 1 Oct 2024 08:00:00 +0000'),
+      hop('mail.acme.com', 'mail.acme.com [93.45.12.10]', 'Tue, 1 Oct 2024 10:00:00 +0000')
+    ];
+    expect(checksOf({ from: FROM, received })).toEqual(['received_time_anomaly']);
+  });
+
+  test('flags an origin without reverse DNS', () => {
+    const received = [hop('mail.acme.com', 'unknown [93.45.12.11]', 'Tue, 1 Oct 2024 10:00:00 +0000')];
+    expect(checksOf({ from: FROM, received })).toEqual(['received_no_reverse_dns']);
+  });
+});
+
+describe('headerCheck', () => {
+  test('finds nothing when no email was uploaded', () => {
+    expect(headerCheck({ emailAnalysis: { headers: null } }, 'reply_to_mismatch')).toBeFalsy();
+  });
+});
@@ -0,0 +1,22 @@
+const { extractEntities } = require('../utils/analyzer/entities');
+
+const valuesOf = (text) => extractEntities(text).map(entity => `${entity.type}:${entity.value}`);
+
+describe('extractEntities', () => {
+  test('finds emails, spelled-out emails and bare domains', () => {
+    expect(valuesOf('Mail jane.doe+jobs@mail.example.co.uk or bob [at] corp [dot] com, see apply-now.xyz/form'))
+      .toEqual(['email:jane.doe+jobs@mail.example.co.uk', 'email:bob@corp.com', 'url:apply-now.xyz/form']);
+  });
+
+  test.each([
+    ['letters', 'a'.repeat(40000)],
+    ['dotted labels', 'a.'.repeat(20000)],
+    ['hyphens', 'a-'.repeat(20000)],
+    ['plus signs', 'a+'.repeat(20000)],
+    ['spelled-out dots', 'a [at] b [dot] '.repeat(3000)]
+  ])('scans 40k characters of %s in linear time', (name, text) => {
+    const started = Date.now();
+    extractEntities(text);
+    expect(Date.now() - started).toBeLessThan(500);
+  });
+});
@@ -0,0 +1,88 @@
+const DetectionRule = require('../models/DetectionRule');
+const JobScan = require('../models/JobScan');
+const { analyzeJobScan } = require('../utils/analyzer');
+const { setProviders } = require('../utils/analyzer/domainIntel');
+const { normalizeText } = require('../utils/analyzer/normalizer');
+const { createEvidenceRecorder, annotateDescription } = require('../utils/analyzer/evidence');
+
+// Zero-width characters and Cyrillic lookalikes ahead of the matched phrase shift every
+// normalized offset after them
+const DISGUISED = 'Gre\u200bat \u043e\u200cpportunity for remote w\u043erkers!\u200d ' +
+  'You must pay a registration fee of $50 before you start. Training is online.';
+
+const analyze = async (jobDescription) => {
+  jest.spyOn(DetectionRule, 'find').mockReturnValue({ lean: async () => [] });
+  setProviders([]);
+  const jobScan = new JobScan({ user: '64b000000000000000000000', scanType: 'posting', jobTitle: 'Data Entry', jobDescription });
+  return analyzeJobScan(jobScan);
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('evidence offsets', () => {
+  test('point at the original text after zero-width characters and homoglyphs', async () => {
+    const result = await analyze(DISGUISED);
+    const evidence = result.warningFlags.flatMap(flag => flag.evidence);
+
+    expect(evidence.length).toBeGreaterThan(0);
+    evidence.forEach(item => {
+      expect(DISGUISED.slice(item.start, item.end)).toBe(item.text);
+    });
+
+    const fee = result.warningFlags.find(flag => flag.ruleId === 'advance-fee');
+    expect(fee.evidence).toEqual([{
+      field: 'jobDescription',
+      start: DISGUISED.indexOf('registration fee'),
+      end: DISGUISED.indexOf('registration fee') + 'registration fee'.length,
+      text: 'registration fee'
+    }]);
+  });
+
+  test('maps a normalized span that covers removed characters', () => {
+    const jobScan = { jobDescription: 'Pay the \u200bf.e.e now' };
+    const normalized = normalizeText(jobScan.jobDescription);
+    const recorder = createEvidenceRecorder(jobScan, { jobDescription: normalized.offsets });
+    const start = normalized.text.indexOf('fee');
+
+    const { evidence } = recorder.collect(() =>
+      recorder.cite('jobDescription', [{ start, end: start + 3 }]));
+    expect(evidence).toEqual([{ field: 'jobDescription', start: 9, end: 14, text: 'f.e.e' }]);
+  });
+
+  test('keeps raw spans as they are and drops spans outside the field', () => {
+    const jobScan = { jobDescription: 'Contact hr@acme.example today' };
+    const recorder = createEvidenceRecorder(jobScan, { jobDescription: [] });
+
+    const { evidence } = recorder.collect(() => recorder.cite('jobDescription', [
+      { start: 8, end: 23, raw: true },
+      { start: 20, end: 80, raw: true }
+    ]));
+    expect(evidence).toEqual([{ field: 'jobDescription', start: 8, end: 23, text: 'hr@acme.example' }]);
+  });
+});
+
+describe('annotateDescription', () => {
+  test.each([
+    DISGUISED,
+    'No punctuation at the end',
+    'First line\n\nSecond line!  Third?   ',
+    '\u200b\u200b',
+    ''
+  ])('segments join back into %j', (description) => {
+    const segments = annotateDescription(description, []);
+    expect(segments.map(segment => segment.text).join('')).toBe(description);
+    segments.forEach(segment => expect(description.slice(segment.start, segment.end)).toBe(segment.text));
+  });
+
+  test('marks the sentences holding evidence with their worst severity', async () => {
+    const result = await analyze(DISGUISED);
+    const segments = annotateDescription(DISGUISED, result.warningFlags);
+
+    expect(segments.map(segment => segment.text).join('')).toBe(DISGUISED);
+    const flagged = segments.filter(segment => segment.flags);
+    expect(flagged).toHaveLength(1);
+    expect(flagged[0].text).toContain('registration fee');
+    expect(flagged[0].severity).toBe('high');
+    expect(flagged[0].flags.map(flag => flag.ruleId)).toEqual(expect.arrayContaining(['advance-fee']));
+  });
+});
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { inspectFile } = require('../utils/fileInspector');
+
+const SECTOR = 512;
+const END_OF_CHAIN = 0xfffffffe;
+const FREE = 0xffffffff;
+
+// Minimal compound file: header, one FAT sector, one directory sector holding the given
+// entries after the root, and one sector of document text
+const buildDoc = (entries, text = '') => {
+  const buffer = Buffer.alloc(SECTOR * 4);
+  Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]).copy(buffer, 0);
+  buffer.writeUInt16LE(0x3e, 0x18);
+  buffer.writeUInt16LE(3, 0x1a);
+  buffer.writeUInt16LE(0xfffe, 0x1c);
+  buffer.writeUInt16LE(9, 0x1e);
+  buffer.writeUInt16LE(6, 0x20);
+  buffer.writeUInt32LE(1, 0x2c);
+  buffer.writeUInt32LE(1, 0x30);
+  buffer.writeUInt32LE(4096, 0x38);
+  buffer.writeUInt32LE(END_OF_CHAIN, 0x3c);
+  buffer.writeUInt32LE(END_OF_CHAIN, 0x44);
+  for (let i = 0; i < 109; i++) {
+    buffer.writeUInt32LE(i === 0 ? 0 : FREE, 0x4c + i * 4);
+  }
+
+  const fat = SECTOR;
+  for (let i = 0; i < SECTOR / 4; i++) {
+    buffer.writeUInt32LE(FREE, fat + i * 4);
+  }
+  buffer.writeUInt32LE(0xfffffffd, fat);
+  buffer.writeUInt32LE(END_OF_CHAIN, fat + 4);
+  buffer.writeUInt32LE(END_OF_CHAIN, fat + 8);
+
+  [{ name: 'Root Entry', type: 5 }, ...entries].forEach((entry, i) => {
+    const offset = SECTOR * 2 + i * 128;
+    buffer.write(entry.name, offset, 'utf16le');
+    buffer.writeUInt16LE((entry.name.length + 1) * 2, offset + 0x40);
+    buffer[offset + 0x42] = entry.type;
+  });
+
+  buffer.write(text, SECTOR * 3, 'utf16le');
+  return buffer;
+};
+
+// Zip archive of deflated entries; declared overrides the sizes written for an entry in the
+// central directory and local header ({ central, local } each { compressedSize, uncompressedSize })
+const buildZip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, content, declared = {} }) => {
+    const data = zlib.deflateRawSync(Buffer.from(content));
+    const sizes = { compressedSize: data.length, uncompressedSize: Buffer.byteLength(content) };
+    const central = { ...sizes, ...declared.central };
+    const local = { ...sizes, ...declared.local };
+    const nameBytes = Buffer.from(name);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(local.compressedSize, 18);
+    header.writeUInt32LE(local.uncompressedSize, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    locals.push(header, nameBytes, data);
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(20, 4);
+    record.writeUInt16LE(20, 6);
+    record.writeUInt16LE(8, 10);
+    record.writeUInt32LE(central.compressedSize, 20);
+    record.writeUInt32LE(central.uncompressedSize, 24);
+    record.writeUInt16LE(nameBytes.length, 28);
+    record.writeUInt32LE(offset, 42);
+    centrals.push(record, nameBytes);
+
+    offset += header.length + nameBytes.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const DOCX_ENTRIES = [
+  { name: '[Content_Types].xml', content: '<Types></Types>' },
+  { name: 'word/document.xml', content: '<w:document><w:body>Offer letter</w:body></w:document>' }
+];
+
+const inspectDoc = async (buffer, originalname = 'letter.doc') => {
+  const file = path.join(os.tmpdir(), `inspect-${process.pid}-${Date.now()}${path.extname(originalname)}`);
+  fs.writeFileSync(file, buffer);
+  try {
+    return await inspectFile({ path: file, originalname });
+  } finally {
+    fs.unlinkSync(file);
+  }
+};
+
+const typesOf = async (buffer) => (await inspectDoc(buffer)).findings.map(finding => finding.type);
+
+describe('inspectFile .doc documents', () => {
+  test('ignores VBA and Macros written in the document text', async () => {
+    const doc = buildDoc([{ name: 'WordDocument', type: 2 }], 'Experience with VBA Macros and ObjectPool required');
+    expect(await typesOf(doc)).toEqual([]);
+  });
+
+  test('reports a Macros storage', async () => {
+    const doc = buildDoc([{ name: 'WordDocument', type: 2 }, { name: 'Macros', type: 1 }, { name: 'VBA', type: 1 }]);
+    expect(await typesOf(doc)).toEqual(['macros']);
+  });
+
+  test('reports an ObjectPool storage', async () => {
+    const doc = buildDoc([{ name: 'WordDocument', type: 2 }, { name: 'ObjectPool', type: 1 }]);
+    expect(await typesOf(doc)).toEqual(['embedded_object']);
+  });
+
+  test('rejects a directory pointing past the end of the file', async () => {
+    const doc = buildDoc([{ name: 'WordDocument', type: 2 }]);
+    doc.writeUInt32LE(40, 0x30);
+    await expect(inspectDoc(doc)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('inspectFile .docx documents', () => {
+  const inspectDocx = (entries) => inspectDoc(buildZip(entries), 'letter.docx');
+
+  test('reads a document and reports a VBA project', async () => {
+    expect((await inspectDocx(DOCX_ENTRIES)).findings).toEqual([]);
+    const withMacros = [...DOCX_ENTRIES, { name: 'word/vbaProject.bin', content: 'macro' }];
+    expect((await inspectDocx(withMacros)).findings.map(finding => finding.type)).toEqual(['macros']);
+  });
+
+  test('rejects an entry that inflates past its declared size', async () => {
+    const bomb = {
+      name: 'word/media/padding.xml',
+      content: 'A'.repeat(4 * 1024 * 1024),
+      declared: { central: { uncompressedSize: 1000 }, local: { uncompressedSize: 1000 } }
+    };
+    await expect(inspectDocx([...DOCX_ENTRIES, bomb]))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/unsafe size/) });
+  });
+
+  test('rejects local header sizes that disagree with the central directory', async () => {
+    const mismatched = { ...DOCX_ENTRIES[1], declared: { local: { uncompressedSize: 10 * 1024 * 1024 } } };
+    await expect(inspectDocx([DOCX_ENTRIES[0], mismatched])).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
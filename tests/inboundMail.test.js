@@ -0,0 +1,102 @@
+const os = require('os');
+
+process.env.INBOUND_ADDRESS = 'scan@jobguard.test';
+process.env.UPLOAD_PATH = os.tmpdir();
+
+jest.mock('../utils/scanQueue', () => ({ enqueueScan: jest.fn(async () => {}) }));
+jest.mock('../utils/scanEvents', () => ({ publishScanEvent: jest.fn(async () => {}) }));
+
+const nodemailer = require('nodemailer');
+const User = require('../models/User');
+const JobScan = require('../models/JobScan');
+const { enqueueScan } = require('../utils/scanQueue');
+const { createInboundServer } = require('../utils/inboundMail');
+
+const TOKEN = 'a'.repeat(32);
+const USER = { _id: '64b000000000000000000001', email: 'pat@example.com' };
+
+const FORWARD = [
+  'Please check this one.',
+  '',
+  '---------- Forwarded message ---------',
+  'From: Hiring Team <hr@amaz0n-careers.com>',
+  'Subject: Your remote job offer',
+  '',
+  'Congratulations, you have been selected for the remote data entry position.',
+  'Buy your equipment from our vendor and we will reimburse you.'
+].join('\n');
+
+let server;
+let transport;
+
+beforeAll(async () => {
+  server = createInboundServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  transport = nodemailer.createTransport({
+    host: '127.0.0.1',
+    port: server.server.address().port,
+    secure: false,
+    ignoreTLS: true
+  });
+});
+
+afterAll(async () => {
+  transport.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.spyOn(User, 'findOne').mockImplementation(async (query) => (query.inboundToken === TOKEN ? USER : null));
+  jest.spyOn(JobScan, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(JobScan, 'create').mockImplementation(async (fields) => new JobScan(fields));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  enqueueScan.mockClear();
+});
+
+const forward = (overrides = {}) => transport.sendMail({
+  from: 'Pat <pat@example.com>',
+  to: `scan+${TOKEN}@jobguard.test`,
+  subject: 'Fwd: Your remote job offer',
+  text: FORWARD,
+  ...overrides
+});
+
+describe('inbound mail server', () => {
+  test('queues a recruiter email scan for a forwarded message', async () => {
+    const info = await forward();
+    expect(info.response).toMatch(/^250 Queued as scan/);
+
+    const jobScan = await JobScan.create.mock.results[0].value;
+    expect(jobScan.user.toString()).toBe(USER._id);
+    expect(jobScan).toMatchObject({
+      scanType: 'recruiter_email',
+      source: 'email',
+      status: 'pending',
+      companyEmail: 'hr@amaz0n-careers.com'
+    });
+    expect(jobScan.jobDescription).toContain('Buy your equipment from our vendor');
+    expect(jobScan.inboundEmail).toMatchObject({ from: USER.email, subject: 'Fwd: Your remote job offer' });
+    expect(enqueueScan).toHaveBeenCalledWith(jobScan._id);
+  });
+
+  test('refuses an unknown inbound token', async () => {
+    await expect(forward({ to: `scan+${'b'.repeat(32)}@jobguard.test` }))
+      .rejects.toMatchObject({ responseCode: 550 });
+    expect(JobScan.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses a message not sent from the account\'s email', async () => {
+    await expect(forward({ from: 'Someone <someone@example.org>' }))
+      .rejects.toMatchObject({ responseCode: 550 });
+    expect(JobScan.create).not.toHaveBeenCalled();
+  });
+
+  test('defers senders over the hourly scan limit', async () => {
+    JobScan.countDocuments.mockResolvedValue(20);
+    await expect(forward()).rejects.toMatchObject({ responseCode: 452 });
+    expect(enqueueScan).not.toHaveBeenCalled();
+  });
+});
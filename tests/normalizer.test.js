@@ -0,0 +1,61 @@
+const { normalizeText } = require('../utils/analyzer/normalizer');
+
+describe('normalizeText leetspeak and spaced-out words', () => {
+  test.each([
+    'Sponsorship for H1B visas is available.',
+    'Experience patching Log4j and OAuth2 services.',
+    'Must be authorized to work in the U.S.A. today.',
+    'Rotate between shifts A-B-C every week.',
+    'Great pay! Apply now!'
+  ])('leaves "%s" as written', (text) => {
+    const result = normalizeText(text);
+    expect(result.text).toBe(text);
+    expect(result.techniques).toEqual([]);
+  });
+
+  test.each([
+    ['Send the p@yment today', 'Send the payment today', 'leetspeak'],
+    ['A small f3e!', 'A small fee!', 'leetspeak'],
+    ['We need your S S N now', 'We need your SSN now', 'spaced_out_words'],
+    ['Pay the f.e.e first', 'Pay the fee first', 'spaced_out_words'],
+    ['S S N required 🙂', 'SSN required 🙂', 'spaced_out_words']
+  ])('repairs "%s"', (text, expected, technique) => {
+    const result = normalizeText(text);
+    expect(result.text).toBe(expected);
+    expect(result.techniques).toEqual([technique]);
+  });
+});
+
+describe('normalizeText with emoji', () => {
+  test('still repairs leetspeak and spaced-out words', () => {
+    const text = 'Send the p@yment f.e.e now 💰';
+    const result = normalizeText(text);
+    expect(result.text).toBe('Send the payment fee now 💰');
+    expect(result.techniques).toEqual(['leetspeak', 'spaced_out_words']);
+  });
+
+  test('maps offsets after an emoji back to the original text', () => {
+    const text = '💰 p@yment f.e.e';
+    const result = normalizeText(text);
+    const at = result.text.indexOf('fee');
+    expect(result.offsets[at]).toBe(text.indexOf('f.e.e'));
+  });
+});
+
+describe('normalizeText protected spans', () => {
+  test('leaves email addresses and URLs alone', () => {
+    const text = 'Write to p4y-r0ll@ex4mple.com or visit https://ex4mple.com/p@y';
+    expect(normalizeText(text).text).toBe(text);
+  });
+
+  test.each([
+    ['dotted labels', 'a.'.repeat(20000)],
+    ['hyphens', 'a-'.repeat(20000)],
+    ['underscores', '_'.repeat(40000)],
+    ['plus signs', 'a+'.repeat(20000)]
+  ])('normalizes 40k characters of %s in linear time', (name, text) => {
+    const started = Date.now();
+    normalizeText(text);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,31 @@
+const DetectionRule = require('../models/DetectionRule');
+const JobScan = require('../models/JobScan');
+const { analyzeJobScan } = require('../utils/analyzer');
+
+// Analyze with the built-in detectors only, without a database, and return the off-platform flag
+const offPlatformFlag = async (jobDescription) => {
+  jest.spyOn(DetectionRule, 'find').mockReturnValue({ lean: async () => [] });
+  const jobScan = new JobScan({ user: '64b000000000000000000000', scanType: 'posting', jobDescription });
+  const result = await analyzeJobScan(jobScan);
+  return result.warningFlags.find(flag => flag.ruleId === 'off-platform-contact' && flag.detected);
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('off-platform contact detector', () => {
+  test('ignores the channels a support role serves customers on', async () => {
+    const text = 'Support agent wanted. Our customers contact us via WhatsApp and Telegram, and you will answer them within an hour.';
+    expect(await offPlatformFlag(text)).toBeUndefined();
+  });
+
+  test('flags a request to move the interview to a chat app', async () => {
+    expect(await offPlatformFlag('Contact us on Telegram for the interview with the hiring manager.')).toBeDefined();
+    expect(await offPlatformFlag('Please add me on WhatsApp to continue.')).toBeDefined();
+  });
+
+  test('quotes a phrase and the handle next to it once', async () => {
+    const flag = await offPlatformFlag('For the interview message me on telegram @hr_desk_jobs today.');
+    expect(flag).toBeDefined();
+    expect(flag.description.match(/hr_desk_jobs/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,73 @@
+const { createMatcher } = require('../utils/analyzer/textMatcher');
+const upfrontPayment = require('../utils/analyzer/detectors/upfrontPayment');
+const advanceFee = require('../utils/analyzer/detectors/advanceFee');
+const untraceablePayment = require('../utils/analyzer/detectors/untraceablePayment');
+
+// The part of the analyzer context the phrase detectors use
+const contextFor = (jobDescription) => {
+  const matcher = createMatcher(jobDescription);
+  return {
+    findPhrase: (field, spec) => matcher.findPhrase(spec),
+    hasAnyPhrase: (field, specs) => matcher.hasAnyPhrase(specs),
+    quote: (field, spans) => spans.map(span => `"${span.text}"`).join(', ')
+  };
+};
+
+describe('upfront payment detector', () => {
+  test.each([
+    'Pay: $18.00 - $22.00 per hour',
+    'We will cover your certification fee',
+    'Competitive pay and a $500 signing bonus.',
+    'Your fee for referrals is $200 per hire, paid by the company.'
+  ])('does not flag "%s"', (text) => {
+    expect(upfrontPayment.match(contextFor(text))).toBe(false);
+  });
+
+  test.each([
+    'Before you start, you must pay a $150 registration fee.',
+    'Send us $99 by Zelle to reserve your starter kit.',
+    'A one-time onboarding fee is required.',
+    'You will pay the deposit upfront and it is refunded after 30 days.'
+  ])('flags "%s"', (text) => {
+    expect(upfrontPayment.match(contextFor(text))).toBe(true);
+  });
+});
+
+describe('advance fee detector', () => {
+  test.each([
+    'We will cover your certification fee',
+    'The company reimburses the training fee after your first month.',
+    'Background check fee is paid by the employer.'
+  ])('does not flag "%s"', (text) => {
+    expect(advanceFee.match(contextFor(text))).toBe(false);
+  });
+
+  test.each([
+    'You must pay a $200 certification fee before the interview.',
+    'A training fee of $300 is required to start.',
+    'Send the visa processing payment to our agent.',
+    'There is a $45 application fee.'
+  ])('flags "%s"', (text) => {
+    expect(advanceFee.match(contextFor(text))).toBe(true);
+  });
+});
+
+describe('untraceable payment detector', () => {
+  test.each([
+    'We need 3 years of experience in Bitcoin and Ethereum to build our crypto wallet infrastructure.',
+    'Cashier duties include processing payments with gift cards, cash and credit cards.',
+    'The accountant processes vendor payments via wire transfer and Zelle each week.',
+    'We reimburse travel through Zelle or Venmo.'
+  ])('does not flag "%s"', (text) => {
+    expect(untraceablePayment.match(contextFor(text))).toBe(false);
+  });
+
+  test.each([
+    'Buy three Google Play cards and send us the codes.',
+    'You must pay the training fee in Bitcoin.',
+    'Deposit the check and send the balance by Zelle to our vendor.',
+    'Send us $200 via Cash App for the software license.'
+  ])('flags "%s"', (text) => {
+    expect(untraceablePayment.match(contextFor(text))).toBeTruthy();
+  });
+});
@@ -0,0 +1,27 @@
+const { createMatcher } = require('../utils/analyzer/textMatcher');
+const personalInfoRequest = require('../utils/analyzer/detectors/personalInfoRequest');
+
+const contextFor = (jobDescription) => {
+  const matcher = createMatcher(jobDescription);
+  return { hasAnyPhrase: (field, specs) => matcher.hasAnyPhrase(specs) };
+};
+
+describe('personal info request detector', () => {
+  test.each([
+    'Paychecks go by direct deposit to your bank account',
+    'Company credit card provided for travel expenses.',
+    'Experience reconciling bank account statements is a plus.'
+  ])('does not flag "%s"', (text) => {
+    expect(personalInfoRequest.match(contextFor(text))).toBe(false);
+  });
+
+  test.each([
+    'Please send your bank account and routing number to set up payroll.',
+    'Provide your bank account details before the interview.',
+    'Verify your identity by entering your credit card number.',
+    'We need your SSN to start the background check.',
+    'Reply with your social security number.'
+  ])('flags "%s"', (text) => {
+    expect(personalInfoRequest.match(contextFor(text))).toBe(true);
+  });
+});
@@ -0,0 +1,138 @@
+const http = require('http');
+const { safeFetch } = require('../utils/safeFetch');
+const { fetchJobPage } = require('../utils/jobPageFetcher');
+
+const POSTING = {
+  '@context': 'https://schema.org',
+  '@graph': [{
+    '@type': 'JobPosting',
+    title: 'Remote Data Entry Clerk',
+    hiringOrganization: { '@type': 'Organization', name: 'Acme Logistics' },
+    jobLocation: { '@type': 'Place', address: { addressLocality: 'Austin', addressRegion: 'TX' } },
+    description: '<p>Enter shipping records into our system.</p><p>Training provided.</p>'
+  }]
+};
+
+const PAGES = {
+  '/posting': `<html><head><script type="application/ld+json">${JSON.stringify(POSTING)}</script></head>` +
+    '<body><p>Ignored page text</p></body></html>',
+  '/plain-page': '<html><head><title>Warehouse Associate | Globex</title></head>' +
+    '<body><nav>Menu</nav><main><p>Pick and pack orders on the night shift.</p></main></body></html>'
+};
+
+// Local fixture server, reached through allowedHosts since 127.0.0.1 is a private address
+let server;
+let base;
+const allowedHosts = ['127.0.0.1'];
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const redirect = req.url.match(/^\/redirect\/(\d+)$/);
+    if (redirect) {
+      const remaining = parseInt(redirect[1], 10);
+      res.writeHead(302, { Location: remaining > 0 ? `/redirect/${remaining - 1}` : '/posting' });
+      return res.end();
+    }
+
+    switch (req.url) {
+      case '/to-private':
+        res.writeHead(302, { Location: 'http://localhost:1/admin' });
+        return res.end();
+      case '/large':
+        // Streamed without a Content-Length, so only the running count can catch it
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.write('x'.repeat(4096));
+        return res.end('x'.repeat(4096));
+      case '/slow':
+        // Headers arrive but the body never finishes
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        return res.write('still loading');
+      default:
+        if (PAGES[req.url]) {
+          res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+          return res.end(PAGES[req.url]);
+        }
+        res.writeHead(404);
+        return res.end();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('safeFetch private addresses', () => {
+  test.each([
+    'http://localhost/',
+    'http://[::ffff:7f00:1]/',
+    'http://2130706433/',
+    'http://[::1]/',
+    'http://169.254.169.254/latest/meta-data/'
+  ])('refuses %s', async (url) => {
+    await expect(safeFetch(url)).rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  test('fetches an allowed host', async () => {
+    const page = await safeFetch(`${base}/posting`, { allowedHosts });
+    expect(page.status).toBe(200);
+    expect(page.body.toString()).toContain('JobPosting');
+  });
+
+  test('refuses a redirect into a private address', async () => {
+    await expect(safeFetch(`${base}/to-private`, { allowedHosts }))
+      .rejects.toMatchObject({ statusCode: 422, message: expect.stringMatching(/private address/) });
+  });
+});
+
+describe('safeFetch limits', () => {
+  test('follows redirects up to the limit', async () => {
+    const page = await safeFetch(`${base}/redirect/2`, { allowedHosts, maxRedirects: 3 });
+    expect(page.url).toBe(`${base}/posting`);
+  });
+
+  test('stops after too many redirects', async () => {
+    await expect(safeFetch(`${base}/redirect/5`, { allowedHosts, maxRedirects: 3 }))
+      .rejects.toMatchObject({ statusCode: 422, message: expect.stringMatching(/Too many redirects/) });
+  });
+
+  test('stops reading past the size cap', async () => {
+    await expect(safeFetch(`${base}/large`, { allowedHosts, maxBytes: 5000 }))
+      .rejects.toMatchObject({ statusCode: 422, message: expect.stringMatching(/larger than 5000 bytes/) });
+  });
+
+  test('gives up on a response that does not finish in time', async () => {
+    await expect(safeFetch(`${base}/slow`, { allowedHosts, timeoutMs: 200 }))
+      .rejects.toThrow(/timed out after 200ms/);
+  });
+
+  test('reports a missing page as a URL error', async () => {
+    await expect(safeFetch(`${base}/missing`, { allowedHosts })).rejects.toMatchObject({ statusCode: 422 });
+  });
+});
+
+describe('fetchJobPage', () => {
+  test('reads the posting from JSON-LD', async () => {
+    const page = await fetchJobPage(`${base}/posting`, { allowedHosts });
+    expect(page).toMatchObject({
+      source: 'json-ld',
+      jobTitle: 'Remote Data Entry Clerk',
+      companyName: 'Acme Logistics',
+      location: 'Austin, TX',
+      jobDescription: 'Enter shipping records into our system.\nTraining provided.'
+    });
+  });
+
+  test('falls back to the page title and main text', async () => {
+    const page = await fetchJobPage(`${base}/plain-page`, { allowedHosts });
+    expect(page).toMatchObject({
+      source: 'html',
+      jobTitle: 'Warehouse Associate | Globex',
+      jobDescription: 'Pick and pack orders on the night shift.'
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { validationResult } = require('express-validator');
+const JobScan = require('../models/JobScan');
+const { detectScanType } = require('../utils/analyzer/scanTypes');
+const { paginationValidation } = require('../middleware/validators');
+const { getAllScans } = require('../controllers/adminController');
+
+const INDEED_POSTING = [
+  'We are hiring warehouse associates for our distribution center.',
+  'Job Type: Full-time',
+  'Pay: $18.00 - $22.00 per hour',
+  'Benefits:',
+  'Health insurance',
+  'Schedule:',
+  '8 hour shift',
+  'Experience:',
+  'Warehouse: 1 year (Preferred)',
+  'Forklift: 1 year (Preferred)',
+  'Work Location: In person'
+].join('\n');
+
+const CHAT = [
+  'Recruiter: Hi, we saw your resume and want to offer you a remote data entry role',
+  'Me: What is the company?',
+  'Recruiter: We will send a check for your equipment',
+  'Me: Ok'
+].join('\n');
+
+describe('detectScanType', () => {
+  test('detects a labelled job board posting as a posting', () => {
+    expect(detectScanType({ jobDescription: INDEED_POSTING, jobTitle: 'Warehouse Associate' })).toBe('posting');
+    expect(detectScanType({ jobDescription: `${INDEED_POSTING}\n${'Lift up to 50 lbs. '.repeat(30)}` })).toBe('posting');
+  });
+
+  test('prefers a posting when the job title is given', () => {
+    expect(detectScanType({ jobDescription: CHAT, jobTitle: 'Data Entry Clerk' })).toBe('posting');
+  });
+
+  test('detects speakers taking turns as a conversation', () => {
+    expect(detectScanType({ jobDescription: CHAT })).toBe('conversation');
+  });
+
+  test('does not treat labels that never alternate as a conversation', () => {
+    const text = 'Warehouse: 1 year\nForklift: 1 year\nCustomer service: 2 years\nShipping: 1 year';
+    expect(detectScanType({ jobDescription: text })).not.toBe('conversation');
+  });
+});
+
+describe('scan type filters', () => {
+  const errorsFor = async (query) => {
+    const req = { query };
+    await Promise.all(paginationValidation.map(chain => chain.run(req)));
+    return validationResult(req).array().map(error => error.path);
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('accepts known scan types and rejects others', async () => {
+    expect(await errorsFor({ scanType: 'offer_letter' })).toEqual([]);
+    expect(await errorsFor({ scanType: 'brochure' })).toEqual(['scanType']);
+  });
+
+  test('lets admins filter all scans by type, counting untyped scans as postings', async () => {
+    const chain = { populate: () => chain, sort: () => chain, skip: () => chain, limit: async () => [] };
+    const find = jest.spyOn(JobScan, 'find').mockReturnValue(chain);
+    const count = jest.spyOn(JobScan, 'countDocuments').mockResolvedValue(0);
+    const res = { status: () => res, json: () => res };
+
+    await getAllScans({ query: { scanType: 'posting' } }, res, jest.fn());
+    expect(find).toHaveBeenLastCalledWith({ scanType: { $in: ['posting', null] } });
+    expect(count).toHaveBeenLastCalledWith({ scanType: { $in: ['posting', null] } });
+
+    await getAllScans({ query: { scanType: 'message' } }, res, jest.fn());
+    expect(find).toHaveBeenLastCalledWith({ scanType: 'message' });
+
+    await getAllScans({ query: {} }, res, jest.fn());
+    expect(find).toHaveBeenLastCalledWith({});
+  });
+});
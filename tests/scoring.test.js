@@ -0,0 +1,114 @@
+const { loadConfig, scoreRules, riskLevelFor, coefficientOf } = require('../utils/analyzer/scoring');
+const { calibrate } = require('../utils/analyzer/calibration');
+const { applyProfile } = require('../utils/analyzer/scanTypes');
+
+const config = loadConfig();
+const flag = (severity, detected = true) => ({ type: 'test', severity, detected });
+
+describe('scoreRules', () => {
+  test('combines weights with noisy-OR and shares out the score', () => {
+    const score = scoreRules([{ id: 'a', weight: 50 }, { id: 'b', weight: 50 }], null, config);
+    expect(score.scamProbability).toBe(75);
+    expect(score.contributions).toEqual({ a: 37.5, b: 37.5 });
+  });
+
+  test('blends in the classifier verdict', () => {
+    const score = scoreRules([{ id: 'a', weight: 50 }], { weight: 0.3, probability: 100 }, config);
+    expect(score.blended).toBe(true);
+    expect(score.ruleProbability).toBe(50);
+    expect(score.scamProbability).toBe(65);
+  });
+
+  test('does not blend the classifier into a calibrated config', () => {
+    const calibrated = { ...config, calibration: { examples: 100 } };
+    const score = scoreRules([{ id: 'a', weight: 50 }], { weight: 0.3, probability: 100 }, calibrated);
+    expect(score.blended).toBe(false);
+    expect(score.scamProbability).toBe(50);
+  });
+
+  test('scales a fitted coefficient with the weight it was fitted at', () => {
+    const settings = {
+      ...config,
+      method: 'logistic',
+      logistic: { bias: -2, coefficients: { a: 3 }, weights: { a: 40 } }
+    };
+    expect(coefficientOf({ id: 'a', weight: 40 }, settings)).toBe(3);
+    expect(coefficientOf({ id: 'a', weight: 20 }, settings)).toBe(1.5);
+    expect(coefficientOf({ id: 'a', weight: 0 }, settings)).toBe(0);
+
+    const score = scoreRules([{ id: 'a', weight: 20 }], null, settings);
+    expect(score.scamProbability).toBe(Math.round(100 / (1 + Math.exp(0.5))));
+  });
+});
+
+describe('riskLevelFor', () => {
+  test.each([
+    [70, [], 'high'],
+    [10, [flag('high'), flag('high')], 'high'],
+    [40, [], 'medium'],
+    [10, [flag('high')], 'medium'],
+    [10, [flag('medium'), flag('medium')], 'medium'],
+    [39, [flag('medium')], 'low'],
+    [10, [flag('high', false), flag('high', false)], 'low']
+  ])('rates %i%% with %j as %s', (probability, flags, level) => {
+    expect(riskLevelFor(probability, flags, 100, config)).toBe(level);
+  });
+
+  test('applies configured thresholds', () => {
+    const strict = { ...config, riskLevels: { ...config.riskLevels, high: { minProbability: 50 } } };
+    expect(riskLevelFor(55, [], 100, strict)).toBe('high');
+    expect(riskLevelFor(55, [], 100, config)).toBe('medium');
+  });
+
+  test('reports too little coverage as insufficient data', () => {
+    expect(riskLevelFor(10, [], 39, config)).toBe('insufficient_data');
+    expect(riskLevelFor(10, [], 40, config)).toBe('low');
+  });
+});
+
+describe('calibrate', () => {
+  const rules = [
+    { id: 'equipment-purchase', weight: 40 },
+    { id: 'vague-description', weight: 20 }
+  ];
+
+  // equipment-purchase mostly fires on scams, vague-description on scams and legitimate postings alike
+  const examples = [
+    ...Array(30).fill({ firedRules: ['equipment-purchase'], label: 1, scanType: 'posting' }),
+    ...Array(5).fill({ firedRules: ['equipment-purchase'], label: 0, scanType: 'posting' }),
+    ...Array(20).fill({ firedRules: ['vague-description'], label: 1, scanType: 'posting' }),
+    ...Array(20).fill({ firedRules: ['vague-description'], label: 0, scanType: 'posting' }),
+    ...Array(60).fill({ firedRules: [], label: 0, scanType: 'posting' }),
+    ...Array(10).fill({ firedRules: ['equipment-purchase'], label: 1, scanType: 'offer_letter' }),
+    // Off for offer letters, so these do not count against the rule
+    ...Array(20).fill({ firedRules: ['vague-description'], label: 0, scanType: 'offer_letter' })
+  ];
+
+  test('needs both scam and legitimate examples', () => {
+    expect(() => calibrate(examples.filter(example => example.label === 1), rules, { config }))
+      .toThrow(/both scams and legitimate/);
+  });
+
+  test('fits a logistic config that predicts the labels better', () => {
+    const result = calibrate(examples, rules, { config });
+    const { before, after } = result.calibration;
+
+    expect(result.method).toBe('logistic');
+    expect(result.logistic.weights).toEqual({ 'equipment-purchase': 40, 'vague-description': 20 });
+    expect(after.logLoss).toBeLessThan(before.logLoss);
+    expect(result.logistic.coefficients['equipment-purchase'])
+      .toBeGreaterThan(result.logistic.coefficients['vague-description']);
+  });
+
+  test('scores scans with their scan type profile after calibration', () => {
+    const result = calibrate(examples, rules, { config });
+    const scoreFor = (scanType) => scoreRules(
+      applyProfile(rules, scanType).filter(rule => rule.id === 'equipment-purchase'),
+      null,
+      result
+    ).scamProbability;
+
+    // offer_letter multiplies equipment-purchase by 1.4
+    expect(scoreFor('offer_letter')).toBeGreaterThan(scoreFor('posting'));
+  });
+});
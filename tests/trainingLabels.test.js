@@ -0,0 +1,21 @@
+const { labelOf, labelledQuery } = require('../utils/analyzer/trainingLabels');
+
+describe('training labels', () => {
+  const reported = { isReported: true, status: 'completed', riskLevel: 'low' };
+
+  test('uses admin verdicts by default', () => {
+    expect(labelOf({ review: { verdict: 'scam' } })).toBe(1);
+    expect(labelOf({ review: { verdict: 'legitimate' }, isReported: true })).toBe(0);
+    expect(labelledQuery()).toEqual({ $or: [{ 'review.verdict': { $in: ['scam', 'legitimate'] } }] });
+  });
+
+  test('ignores unreviewed user reports unless asked to include them', () => {
+    expect(labelOf(reported)).toBeNull();
+    expect(labelOf(reported, { includeReports: true })).toBe(1);
+  });
+
+  test('never takes a reported scan as a legitimate example', () => {
+    expect(labelOf(reported, { lowRiskAsLegitimate: true })).toBeNull();
+    expect(labelOf({ status: 'completed', riskLevel: 'low' }, { lowRiskAsLegitimate: true })).toBe(0);
+  });
+});
@@ -0,0 +1,38 @@
+const { analyzeUrl } = require('../utils/analyzer/urlAnalysis');
+
+const checksOf = (url) => analyzeUrl(url).checks.map(item => item.check);
+
+describe('analyzeUrl lookalike detection', () => {
+  test.each([
+    'https://www.amazon.de/jobs',
+    'https://www.google.co.uk',
+    'https://www2.deloitte.co.uk/careers',
+    'https://de.indeed.com',
+    'https://www.indeed.de',
+    'https://www.dhl.de',
+    'https://careers.shell.de'
+  ])('accepts the brand\'s own regional domain %s', (url) => {
+    expect(checksOf(url)).not.toContain('lookalike_domain');
+    expect(analyzeUrl(url).lookalikeOf).toBeNull();
+  });
+
+  test.each([
+    'https://start-ups.io',
+    'https://pop-ups-store.com',
+    'https://target-marketing.com',
+    'https://targets.org',
+    'https://apple-orchard-farms.com',
+    'https://monster-energy.com'
+  ])('does not treat words in %s as a brand', (url) => {
+    expect(checksOf(url)).toEqual([]);
+  });
+
+  test.each([
+    ['https://arnazon.com', 'Amazon'],
+    ['https://lnkedin.com', 'LinkedIn'],
+    ['https://amazon.xyz', 'Amazon'],
+    ['https://linkedin.com.jobs-apply.net', 'LinkedIn']
+  ])('still flags %s as imitating %s', (url, brand) => {
+    expect(analyzeUrl(url).lookalikeOf).toBe(brand);
+  });
+});
@@ -0,0 +1,176 @@
+// Fits the logistic scoring to labelled scans, so a stated probability matches how often scans
+// scored that way turned out to be scams
+const { getScoringConfig, coefficientOf, combine } = require('./scoring');
+const { applyProfile } = require('./scanTypes');
+
+const DEFAULTS = {
+  iterations: 2000,
+  learningRate: 1,
+  // Pull toward the starting coefficients; keeps rarely fired rules near their configured strength
+  l2: 0.001,
+  minExamples: 20,
+  bins: 10
+};
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+const clamp = (probability) => Math.min(1 - 1e-9, Math.max(1e-9, probability));
+
+// Reliability of probabilities (0-1) against labels: per bin, the mean prediction and the
+// observed scam rate, plus the Brier score and log loss over all examples
+const reliability = (predictions, labels, bins = DEFAULTS.bins) => {
+  const table = Array.from({ length: bins }, (value, i) => ({
+    from: Math.round((i / bins) * 100),
+    to: Math.round(((i + 1) / bins) * 100),
+    count: 0,
+    predicted: 0,
+    observed: 0
+  }));
+
+  let brier = 0;
+  let logLoss = 0;
+  predictions.forEach((probability, i) => {
+    const bin = table[Math.min(bins - 1, Math.floor(probability * bins))];
+    bin.count += 1;
+    bin.predicted += probability;
+    bin.observed += labels[i];
+    brier += (probability - labels[i]) ** 2;
+    logLoss -= labels[i] ? Math.log(clamp(probability)) : Math.log(1 - clamp(probability));
+  });
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return {
+    brier: round(brier / predictions.length),
+    logLoss: round(logLoss / predictions.length),
+    bins: table
+      .filter(bin => bin.count > 0)
+      .map(bin => ({
+        from: bin.from,
+        to: bin.to,
+        count: bin.count,
+        predicted: round(bin.predicted / bin.count),
+        observed: round(bin.observed / bin.count)
+      }))
+  };
+};
+
+// Lookup of the rules active for a scan type by ID, with that type's profile weights;
+// scans from before scan types were posting scans
+const profiledRules = (rules) => {
+  const byType = new Map();
+  return (scanType) => {
+    const type = scanType || 'posting';
+    if (!byType.has(type)) {
+      byType.set(type, new Map(applyProfile(rules, type).map(rule => [rule.id, rule])));
+    }
+    return byType.get(type);
+  };
+};
+
+// Rule probability (0-100) the current config gives a labelled example
+const scoreOf = (example, byId, config) => combine(
+  (example.firedRules || []).filter(id => byId.has(id)).map(id => byId.get(id)),
+  config
+);
+
+// Fit a bias and one log-odds coefficient per rule by gradient descent
+// examples are [{ firedRules: [ruleId], label, scanType }] with label 1 for scam and 0 for legitimate;
+// rules are the active rules ([{ id, weight }]) before scan type profiles, whose current
+// coefficients are the starting point. Each coefficient is fitted for the rule's weight here and
+// counts in an example in proportion to the weight the example's scan type profile gives the rule,
+// as coefficientOf scales it when scoring.
+// Classes are not rebalanced: the fitted bias has to reflect how common scams really are.
+// Returns a full scoring config using the fitted logistic method, with a calibration summary
+const calibrate = (examples, rules, options = {}) => {
+  const settings = { ...DEFAULTS, ...options };
+  const config = options.config || getScoringConfig();
+
+  const scams = examples.filter(example => example.label === 1).length;
+  const legitimate = examples.length - scams;
+  if (examples.length < settings.minExamples || scams === 0 || legitimate === 0) {
+    throw new Error(`Calibration needs at least ${settings.minExamples} labelled scans including both scams and legitimate ones, found ${scams} scam and ${legitimate} legitimate`);
+  }
+
+  // Only rules that are active today get a coefficient; stored IDs of deleted rules are ignored
+  const ids = rules.map(rule => rule.id);
+  const position = new Map(ids.map((id, i) => [id, i]));
+  const prior = rules.map(rule => coefficientOf(rule, config));
+  const rulesFor = profiledRules(rules);
+
+  // Per example, the fired rules as [rule position, profile weight relative to the fitted weight]
+  const rows = examples.map(example => {
+    const byId = rulesFor(example.scanType);
+    return (example.firedRules || [])
+      .filter(id => position.has(id) && byId.has(id))
+      .map(id => {
+        const weight = rules[position.get(id)].weight;
+        return [position.get(id), weight > 0 ? byId.get(id).weight / weight : 1];
+      });
+  });
+  const labels = examples.map(example => example.label);
+
+  const predictAll = (bias, coefficients) =>
+    rows.map(row => sigmoid(row.reduce((z, [i, scale]) => z + coefficients[i] * scale, bias)));
+
+  const before = reliability(
+    examples.map(example => clamp(scoreOf(example, rulesFor(example.scanType), config) / 100)),
+    labels,
+    settings.bins
+  );
+
+  const coefficients = Float64Array.from(prior);
+  let bias = config.logistic.bias;
+  const n = examples.length;
+
+  for (let iteration = 0; iteration < settings.iterations; iteration++) {
+    const gradient = new Float64Array(ids.length);
+    let biasGradient = 0;
+
+    predictAll(bias, coefficients).forEach((probability, j) => {
+      const error = probability - labels[j];
+      biasGradient += error;
+      rows[j].forEach(([i, scale]) => {
+        gradient[i] += error * scale;
+      });
+    });
+
+    bias -= settings.learningRate * (biasGradient / n);
+    for (let i = 0; i < ids.length; i++) {
+      coefficients[i] -= settings.learningRate * (gradient[i] / n + settings.l2 * (coefficients[i] - prior[i]));
+    }
+  }
+
+  const after = reliability(predictAll(bias, coefficients), labels, settings.bins);
+  const round = (value) => Math.round(value * 1e4) / 1e4;
+
+  return {
+    ...config,
+    method: 'logistic',
+    logistic: {
+      bias: round(bias),
+      coefficients: ids.reduce((result, id, i) => {
+        result[id] = round(coefficients[i]);
+        return result;
+      }, {}),
+      weights: rules.reduce((result, rule) => {
+        result[rule.id] = rule.weight;
+        return result;
+      }, {})
+    },
+    calibration: {
+      calibratedAt: new Date().toISOString(),
+      examples: n,
+      scam: scams,
+      legitimate,
+      iterations: settings.iterations,
+      l2: settings.l2,
+      before,
+      after
+    }
+  };
+};
+
+module.exports = {
+  reliability,
+  calibrate
+};
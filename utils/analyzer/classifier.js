@@ -0,0 +1,290 @@
+// Statistical scam classifier trained from our own scan history: logistic regression over
+// word and word-pair features, run alongside the keyword rules. Training and scoring are
+// plain JavaScript on the CPU; nothing is sent to an external service
+const fs = require('fs');
+const path = require('path');
+const { normalizeText } = require('./normalizer');
+
+// Layout of the model file; files written by an incompatible trainer are ignored
+const MODEL_FORMAT = 1;
+
+const CLASSIFIER_DIR = process.env.CLASSIFIER_DIR || './classifiers';
+
+// Share of the final scam probability taken from the model; 0 turns the classifier off
+const configuredWeight = parseFloat(process.env.CLASSIFIER_WEIGHT);
+const CLASSIFIER_WEIGHT = isNaN(configuredWeight) ? 0.3 : Math.min(1, Math.max(0, configuredWeight));
+
+// Fields the model reads, normalized the same way the rules see them
+const DOCUMENT_FIELDS = ['jobTitle', 'companyName', 'jobDescription'];
+
+const TOKEN_PATTERN = /[a-z0-9$€£]+(?:['.][a-z0-9]+)*/g;
+
+// Training defaults
+const DEFAULTS = {
+  minCount: 2,
+  maxFeatures: 50000,
+  epochs: 15,
+  learningRate: 0.5,
+  l2: 0.0001,
+  minPerClass: 5
+};
+
+// Features that pushed a scan toward "scam", reported with each prediction
+const MAX_INDICATORS = 5;
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// Lower-cased, normalized title, company name and description of a scan
+const normalizeFields = (jobScan) => DOCUMENT_FIELDS.reduce((fields, field) => {
+  fields[field] = normalizeText(jobScan[field] || '').text.toLowerCase();
+  return fields;
+}, {});
+
+// Words and adjacent word pairs of normalized fields, each counted once
+// Digits are folded so "$45/hr" and "$50/hr" share a feature
+const featuresOf = (fields) => {
+  const text = DOCUMENT_FIELDS.map(field => fields[field] || '').join('\n');
+  const words = (text.match(TOKEN_PATTERN) || []).map(word => word.replace(/\d+/g, '0'));
+  const features = new Set(words);
+
+  for (let i = 1; i < words.length; i++) {
+    features.add(`${words[i - 1]} ${words[i]}`);
+  }
+  return features;
+};
+
+// Deterministic shuffle, so the same history always trains the same model
+const shuffle = (items, seed = 42) => {
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+// Features are binary and scaled to unit length, so long descriptions do not dominate
+const scoreIndices = (weights, bias, indices) => {
+  const scale = indices.length > 0 ? 1 / Math.sqrt(indices.length) : 0;
+  let z = bias;
+  for (let i = 0; i < indices.length; i++) {
+    z += weights[indices[i]] * scale;
+  }
+  return z;
+};
+
+// Train a model from labelled examples
+// loadExamples() returns an (async) iterable of { fields, label } with fields from
+// normalizeFields and label 1 for scam, 0 for legitimate. It is read twice: once to build
+// the vocabulary and once to train, so large histories never have to fit in memory as text
+const trainModel = async (loadExamples, options = {}) => {
+  const settings = { ...DEFAULTS, ...options };
+
+  // Pass 1: how many documents each feature appears in
+  const documentCounts = new Map();
+  const classCounts = [0, 0];
+  for await (const example of loadExamples()) {
+    classCounts[example.label] += 1;
+    featuresOf(example.fields).forEach(feature => {
+      documentCounts.set(feature, (documentCounts.get(feature) || 0) + 1);
+    });
+  }
+
+  if (classCounts[0] < settings.minPerClass || classCounts[1] < settings.minPerClass) {
+    throw new Error(`Training needs at least ${settings.minPerClass} scam and ${settings.minPerClass} legitimate examples, found ${classCounts[1]} and ${classCounts[0]}`);
+  }
+
+  const vocabulary = Array.from(documentCounts.entries())
+    .filter(([, count]) => count >= settings.minCount)
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, settings.maxFeatures)
+    .map(([feature]) => feature);
+  documentCounts.clear();
+
+  const index = new Map(vocabulary.map((feature, i) => [feature, i]));
+
+  // Pass 2: each example as the indices of its known features
+  const documents = [];
+  for await (const example of loadExamples()) {
+    const indices = [];
+    featuresOf(example.fields).forEach(feature => {
+      if (index.has(feature)) {
+        indices.push(index.get(feature));
+      }
+    });
+    documents.push({ indices: Int32Array.from(indices), label: example.label });
+  }
+
+  // Balanced class weights keep a mostly-legitimate history from drowning out the scams
+  const total = documents.length;
+  const classWeights = [total / (2 * classCounts[0]), total / (2 * classCounts[1])];
+  const weights = new Float64Array(vocabulary.length);
+  let bias = 0;
+
+  for (let epoch = 0; epoch < settings.epochs; epoch++) {
+    const rate = settings.learningRate / Math.sqrt(epoch + 1);
+
+    shuffle(documents, epoch + 1).forEach(({ indices, label }) => {
+      const scale = indices.length > 0 ? 1 / Math.sqrt(indices.length) : 0;
+      const error = (sigmoid(scoreIndices(weights, bias, indices)) - label) * classWeights[label];
+
+      for (let i = 0; i < indices.length; i++) {
+        const feature = indices[i];
+        weights[feature] -= rate * (error * scale + settings.l2 * weights[feature]);
+      }
+      bias -= rate * error;
+    });
+  }
+
+  // Fit on the training data itself; a rough check that training converged, not a holdout score
+  let correct = 0;
+  let logLoss = 0;
+  documents.forEach(({ indices, label }) => {
+    const probability = Math.min(1 - 1e-9, Math.max(1e-9, sigmoid(scoreIndices(weights, bias, indices))));
+    correct += (probability >= 0.5 ? 1 : 0) === label ? 1 : 0;
+    logLoss -= label ? Math.log(probability) : Math.log(1 - probability);
+  });
+
+  const createdAt = new Date();
+
+  return {
+    format: MODEL_FORMAT,
+    type: 'logistic_regression',
+    version: `classifier-${createdAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}`,
+    createdAt: createdAt.toISOString(),
+    training: {
+      examples: total,
+      scam: classCounts[1],
+      legitimate: classCounts[0],
+      features: vocabulary.length,
+      epochs: settings.epochs,
+      l2: settings.l2,
+      accuracy: Math.round((correct / total) * 1000) / 1000,
+      logLoss: Math.round((logLoss / total) * 1000) / 1000
+    },
+    bias: Math.round(bias * 1e5) / 1e5,
+    weights: vocabulary.reduce((result, feature, i) => {
+      result[feature] = Math.round(weights[i] * 1e5) / 1e5;
+      return result;
+    }, Object.create(null))
+  };
+};
+
+// Scam probability (0-1) of normalized fields under a model, with the features that raised it most
+const predict = (model, fields) => {
+  const known = Array.from(featuresOf(fields)).filter(feature =>
+    Object.prototype.hasOwnProperty.call(model.weights, feature)
+  );
+  const scale = known.length > 0 ? 1 / Math.sqrt(known.length) : 0;
+
+  const z = known.reduce((sum, feature) => sum + model.weights[feature] * scale, model.bias);
+
+  // Very short words ("a", "on") carry weight only in combination, so they make poor explanations
+  const indicators = known
+    .filter(feature => model.weights[feature] > 0 && feature.length >= 3)
+    .sort((a, b) => model.weights[b] - model.weights[a])
+    .slice(0, MAX_INDICATORS);
+
+  return { probability: sigmoid(z), indicators };
+};
+
+// Save a model as <dir>/<version>.json and return the path
+const saveModel = (model, dir = CLASSIFIER_DIR) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${model.version}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(model));
+  return filePath;
+};
+
+// CLASSIFIER_MODEL when set, otherwise the newest model in CLASSIFIER_DIR
+const resolveModelPath = () => {
+  if (process.env.CLASSIFIER_MODEL) {
+    return process.env.CLASSIFIER_MODEL;
+  }
+
+  let files;
+  try {
+    files = fs.readdirSync(CLASSIFIER_DIR);
+  } catch (error) {
+    return null;
+  }
+
+  // Versions are timestamps, so the last name in order is the newest model
+  const newest = files.filter(file => /^classifier-.*\.json$/.test(file)).sort().pop();
+  return newest ? path.join(CLASSIFIER_DIR, newest) : null;
+};
+
+// The loaded model, reloaded when a newer file appears or the file changes
+let cache = { filePath: null, mtimeMs: 0, model: null };
+
+const loadModel = () => {
+  const filePath = resolveModelPath();
+  if (!filePath) {
+    return null;
+  }
+
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (error) {
+    return null;
+  }
+
+  if (cache.filePath === filePath && cache.mtimeMs === stat.mtimeMs) {
+    return cache.model;
+  }
+
+  // A broken model file is reported once and skipped; the rules still run without it
+  let model = null;
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.format !== MODEL_FORMAT || !data.weights) {
+      throw new Error(`unsupported model format ${data.format}`);
+    }
+    model = data;
+  } catch (error) {
+    console.error(`Ignoring classifier model ${filePath}: ${error.message}`);
+  }
+
+  cache = { filePath, mtimeMs: stat.mtimeMs, model };
+  return model;
+};
+
+// Classifier verdict for a scan's normalized fields, or null when no model is loaded
+// Returns { modelVersion, probability (0-100), weight, indicators }
+const classify = (fields) => {
+  if (CLASSIFIER_WEIGHT === 0) {
+    return null;
+  }
+
+  const model = loadModel();
+  if (!model) {
+    return null;
+  }
+
+  const prediction = predict(model, fields);
+  return {
+    modelVersion: model.version,
+    probability: Math.round(prediction.probability * 100),
+    weight: CLASSIFIER_WEIGHT,
+    indicators: prediction.indicators
+  };
+};
+
+module.exports = {
+  MODEL_FORMAT,
+  CLASSIFIER_DIR,
+  CLASSIFIER_WEIGHT,
+  normalizeFields,
+  featuresOf,
+  trainModel,
+  predict,
+  saveModel,
+  loadModel,
+  classify
+};
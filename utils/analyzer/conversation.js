@@ -0,0 +1,178 @@
+// Recruiter chat transcripts: speaker turns from pasted text, WhatsApp exports and Telegram exports,
+// and the escalation stages a scam conversation moves through
+
+// Longest transcript analyzed turn by turn; later turns still count toward the verdict
+const MAX_TURNS = 300;
+
+const DATE = '\\d{1,4}[/.-]\\d{1,2}[/.-]\\d{1,4}';
+const TIME = '\\d{1,2}:\\d{2}(?::\\d{2})?(?:\\s?[ap]\\.?\\s?m\\.?)?';
+const SPEAKER = '[^:\\n]{1,60}?';
+
+// Header lines that start a new turn, one per export format
+// Each yields the speaker, a timestamp and (except Telegram) the first line of the message
+const TURN_FORMATS = [
+  // Android WhatsApp: "12/31/23, 9:15 PM - Jane Doe: message"
+  { platform: 'whatsapp', pattern: new RegExp(`^(${DATE},?\\s+${TIME})\\s+[-–]\\s+(${SPEAKER}):\\s(.*)$`, 'i') },
+  // iOS WhatsApp: "[31/12/2023, 21:15:03] Jane Doe: message"
+  { platform: 'whatsapp', pattern: new RegExp(`^\\u200e?\\[(${DATE},?\\s+${TIME})\\]\\s+(${SPEAKER}):\\s(.*)$`, 'i') },
+  // Telegram copy: "Jane Doe, [31.12.23 21:15]" with the message on the following lines
+  { platform: 'telegram', pattern: new RegExp(`^(${SPEAKER}),\\s\\[(${DATE}\\s+${TIME})\\]\\s*$`, 'i'), speakerFirst: true },
+  // Pasted chat: "Recruiter: message", optionally after a "[9:15]" timestamp
+  { platform: 'text', pattern: /^(?:\[([^\]\n]{1,30})\]\s*)?([a-z][\w .'()-]{0,39}?):\s+(.*)$/i }
+];
+
+// Export lines that are not messages
+const SYSTEM_MESSAGE = /end-to-end encrypted|<media omitted>|this message was deleted|created group|joined using this group|changed the subject|security code changed/i;
+
+// "Subject: ...", "Salary: ..." and the field labels of job board postings ("Job Type:",
+// "Benefits:") are not speakers
+const NOT_SPEAKERS = [
+  'subject', 'salary', 'location', 'note', 'http', 'https', 're', 'fwd', 'position', 'title', 'requirements', 'pay', 'rate',
+  'job type', 'job title', 'job description', 'job id', 'job summary', 'employment type', 'benefits', 'schedule', 'shift',
+  'hours', 'experience', 'education', 'work location', 'work remotely', 'remote', 'qualifications', 'responsibilities',
+  'duties', 'skills', 'license/certification', 'language', 'compensation', 'salary range', 'pay range', 'company',
+  'department', 'reports to', 'start date', 'application deadline', 'application question(s)', 'ability to commute',
+  'ability to relocate', 'travel', 'summary', 'overview', 'about us', 'contact', 'email', 'phone', 'website'
+];
+
+const readHeader = (line) => {
+  for (const format of TURN_FORMATS) {
+    const match = line.match(format.pattern);
+    if (!match) {
+      continue;
+    }
+
+    const [speaker, timestamp, text] = format.speakerFirst
+      ? [match[1], match[2], '']
+      : [match[2], match[1], match[3]];
+
+    if (NOT_SPEAKERS.includes(speaker.trim().toLowerCase())) {
+      return null;
+    }
+    return { platform: format.platform, speaker: speaker.trim(), timestamp: timestamp ? timestamp.trim() : null, text, textOffset: match[0].length - text.length };
+  }
+  return null;
+};
+
+// Split a transcript into speaker turns
+// Returns { platform, participants, turns: [{ speaker, timestamp, text, start, end }] } with
+// start/end offsets of each message in the transcript, or null when no speaker labels are found
+const parseConversation = (transcript) => {
+  const turns = [];
+  const platforms = {};
+  let offset = 0;
+
+  (transcript || '').split('\n').forEach(rawLine => {
+    const lineStart = offset;
+    offset += rawLine.length + 1;
+    const line = rawLine.replace(/\r$/, '');
+
+    const header = readHeader(line);
+    if (header) {
+      platforms[header.platform] = (platforms[header.platform] || 0) + 1;
+      turns.push({
+        speaker: header.speaker,
+        timestamp: header.timestamp,
+        text: header.text,
+        start: header.text ? lineStart + header.textOffset : null,
+        end: lineStart + line.length
+      });
+      return;
+    }
+
+    // Continuation of a multi-line message
+    const current = turns[turns.length - 1];
+    if (current && line.trim()) {
+      current.text = current.text ? `${current.text}\n${line}` : line;
+      current.start = current.start === null ? lineStart : current.start;
+      current.end = lineStart + line.length;
+    }
+  });
+
+  const messages = turns.filter(turn => turn.text.trim() && !SYSTEM_MESSAGE.test(turn.text));
+  if (messages.length === 0) {
+    return null;
+  }
+
+  const platform = Object.keys(platforms).sort((a, b) => platforms[b] - platforms[a])[0];
+
+  return {
+    platform,
+    participants: Array.from(new Set(messages.map(turn => turn.speaker))),
+    turns: messages.slice(0, MAX_TURNS).map(turn => ({ ...turn, text: turn.text.trim() }))
+  };
+};
+
+// True for WhatsApp and Telegram exports, which are recognizable from their line format
+const isChatExport = (text) => {
+  const conversation = parseConversation(text);
+  return !!conversation && conversation.platform !== 'text' && conversation.turns.length >= 2;
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Telegram Desktop's machine-readable export (result.json) as a transcript in Telegram's copy format
+// Throws when the data is not a Telegram chat export
+const formatTelegramExport = (data) => {
+  if (!data || !Array.isArray(data.messages)) {
+    throw new Error('Not a Telegram chat export');
+  }
+
+  return data.messages
+    .filter(message => message.type === 'message')
+    .map(message => {
+      const text = [].concat(message.text || [])
+        .map(part => (typeof part === 'string' ? part : part.text || ''))
+        .join('')
+        .trim();
+      if (!text) {
+        return null;
+      }
+
+      const date = new Date(message.date);
+      const stamp = isNaN(date.getTime())
+        ? message.date
+        : `${pad(date.getDate())}.${pad(date.getMonth() + 1)}.${String(date.getFullYear()).slice(2)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+      return `${message.from || 'Unknown'}, [${stamp}]\n${text}`;
+    })
+    .filter(Boolean)
+    .join('\n');
+};
+
+// The escalation a recruitment scam chat typically follows, and the rules that mark each step
+const ESCALATION_STAGES = [
+  { stage: 'off_platform', label: 'a move to a chat app', rules: ['off-platform-contact'] },
+  { stage: 'text_interview', label: 'a text-only interview', rules: ['text-only-interview'] },
+  { stage: 'offer_without_interview', label: 'an offer without a real interview', rules: ['offer-without-interview'] },
+  { stage: 'equipment_purchase', label: 'an equipment purchase', rules: ['equipment-purchase'] },
+  { stage: 'check_deposit', label: 'a check deposit', rules: ['check-cashing'] }
+];
+
+const stageOf = (ruleId) => ESCALATION_STAGES.find(entry => entry.rules.includes(ruleId)) || null;
+
+// Escalation stages reached, in the order they appeared in the timeline
+const describeEscalation = (timeline) => {
+  const reached = [];
+  timeline.forEach(entry => {
+    const stage = stageOf(entry.ruleId);
+    if (stage && !reached.some(item => item.stage === stage.stage)) {
+      reached.push({ ...stage, turn: entry.turn });
+    }
+  });
+
+  const details = reached.length > 0
+    ? `Conversation escalated through ${reached.map(item => `${item.label} (turn ${item.turn})`).join(', then ')}`
+    : 'No escalation pattern found';
+
+  return { stages: reached.map(item => item.stage), details };
+};
+
+module.exports = {
+  MAX_TURNS,
+  ESCALATION_STAGES,
+  parseConversation,
+  isChatExport,
+  formatTelegramExport,
+  stageOf,
+  describeEscalation
+};
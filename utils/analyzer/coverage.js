@@ -0,0 +1,225 @@
+// How much of a scan the analyzer could actually assess: which inputs were given and which
+// analyzers had something to work with. Low coverage turns a low or medium verdict into
+// insufficient_data, since an absence of warning signs means little when nothing was checked
+const { hasProviders } = require('./domainIntel');
+
+// Description length (characters) that counts as complete for each scan type
+const DESCRIPTION_TARGETS = {
+  posting: 400,
+  offer_letter: 400,
+  recruiter_email: 300,
+  message: 120,
+  conversation: 300
+};
+
+// Improvements worth fewer coverage points than this are not suggested
+const MIN_GAIN = 2;
+
+const isGiven = (value) => typeof value === 'string' ? value.trim().length > 0 : !!value;
+
+const hasEntity = (context, type) => context.entities.some(entity => entity.type === type);
+
+// Words that describe the job itself rather than just name it
+const JOB_CONTENT_CUES = [
+  'responsibilities', 'requirements', 'qualifications', 'duties', 'experience', 'skills',
+  'you will', 'we offer', 'benefits', 'schedule', 'apply', 'interview', 'start date', 'team'
+];
+
+// Sentences of some substance; headings and one-word lines do not count
+const MIN_SENTENCE_LENGTH = 20;
+const FULL_SENTENCE_COUNT = 4;
+
+// Each input has a weight and measures how much it contributed (0-1), or null when it does not
+// apply to the scan. fields are the submission fields that would supply it (or a function of the
+// scan returning them), reason says why
+const INPUTS = [
+  {
+    id: 'description',
+    weight: 70,
+    fields: ['jobDescription'],
+    reason: 'Most checks read the description; paste the full posting, letter or message',
+    measure: (jobScan, context) => {
+      const target = DESCRIPTION_TARGETS[jobScan.scanType] || DESCRIPTION_TARGETS.posting;
+      return Math.min(1, context.fields.jobDescription.trim().length / target);
+    }
+  },
+  {
+    id: 'descriptionContent',
+    weight: 20,
+    fields: ['jobDescription'],
+    reason: 'Most checks read the description; paste the full posting, letter or message',
+    // What the description says: several sentences, the work and requirements, pay, and how to
+    // apply or get in touch. Messages and chats are judged on length alone
+    measure: (jobScan, context) => {
+      if (jobScan.scanType === 'message' || jobScan.scanType === 'conversation') {
+        return null;
+      }
+      const sentences = context.fields.jobDescription
+        .split(/[.!?\n]+/)
+        .filter(sentence => sentence.trim().length >= MIN_SENTENCE_LENGTH).length;
+      const cues = JOB_CONTENT_CUES.filter(phrase => context.findPhrase('jobDescription', { phrase, negatable: false }).length > 0).length;
+      const signals = [
+        Math.min(1, sentences / FULL_SENTENCE_COUNT),
+        Math.min(1, cues / 2),
+        context.salary ? 1 : 0,
+        context.entities.length > 0 ? 1 : 0
+      ];
+      return signals.reduce((sum, signal) => sum + signal, 0) / signals.length;
+    }
+  },
+  {
+    id: 'jobTitle',
+    weight: 5,
+    fields: ['jobTitle'],
+    reason: 'The job title selects the salary benchmark',
+    measure: (jobScan) => (isGiven(jobScan.jobTitle) ? 1 : 0)
+  },
+  {
+    id: 'companyName',
+    weight: 5,
+    fields: ['companyName'],
+    reason: 'The company name is compared with its website and email address',
+    measure: (jobScan) => (isGiven(jobScan.companyName) ? 1 : 0)
+  },
+  {
+    id: 'companyWebsite',
+    weight: 10,
+    fields: ['companyWebsite'],
+    reason: 'The company website is checked for lookalike and newly registered domains',
+    // A link in the posting says something about the domain, but not which one is the company's
+    measure: (jobScan, context) => {
+      if (isGiven(jobScan.companyWebsite)) {
+        return 1;
+      }
+      return isGiven(jobScan.jobUrl) || hasEntity(context, 'url') ? 0.5 : 0;
+    }
+  },
+  {
+    id: 'companyEmail',
+    weight: 10,
+    fields: ['companyEmail'],
+    reason: 'The recruiter\'s email address is checked for free, disposable and lookalike domains',
+    measure: (jobScan, context) => {
+      if (isGiven(jobScan.companyEmail)) {
+        return 1;
+      }
+      return hasEntity(context, 'email') ? 0.5 : 0;
+    }
+  },
+  {
+    id: 'jobUrl',
+    weight: 5,
+    fields: ['jobUrl'],
+    reason: 'The link to the posting is checked for shorteners, lookalike domains and job board impersonation',
+    measure: (jobScan) => (isGiven(jobScan.jobUrl) ? 1 : 0)
+  },
+  {
+    id: 'location',
+    weight: 5,
+    fields: ['location'],
+    reason: 'The location selects the regional salary range',
+    measure: (jobScan) => (isGiven(jobScan.location) ? 1 : 0)
+  },
+  {
+    id: 'domainIntel',
+    weight: 10,
+    fields: ['companyWebsite', 'companyEmail', 'jobUrl'],
+    reason: 'Domain age and TLS are only known for domains the scan names',
+    measure: (jobScan, context) => {
+      if (!hasProviders()) {
+        return null;
+      }
+      return Object.keys(context.domainIntel || {}).length > 0 ? 1 : 0;
+    }
+  },
+  {
+    id: 'salaryBenchmark',
+    weight: 5,
+    // Without stated pay there is nothing to compare, whatever the title
+    fields: (jobScan, context) => (context.salary ? ['jobTitle'] : ['jobDescription']),
+    reason: 'Stated pay is compared with the benchmark for the role',
+    measure: (jobScan, context) => {
+      if (!context.salaryAnalysis) {
+        return 0;
+      }
+      return context.salaryAnalysis.plausible === null ? 0.5 : 1;
+    }
+  },
+  {
+    id: 'emailHeaders',
+    weight: 10,
+    fields: ['file'],
+    reason: 'Upload the original email as an .eml file so its sender and authentication headers can be checked',
+    measure: (jobScan, context) => {
+      if (jobScan.scanType !== 'recruiter_email') {
+        return null;
+      }
+      return context.emailAnalysis.headers ? 1 : 0;
+    }
+  }
+];
+
+// Whether a submission field already has a value; the description counts as given only when complete
+const fieldGiven = (jobScan, field, measured) => {
+  if (field === 'jobDescription') {
+    return measured.description === 1;
+  }
+  if (field === 'file') {
+    return !!(jobScan.uploadedFile && jobScan.uploadedFile.filename);
+  }
+  return isGiven(jobScan[field]);
+};
+
+// Coverage of a scan after its rules have run
+// Returns { score (0-100), inputs: [{ input, weight, contributed }], improvements: [{ field, gain, reason }] }
+// where improvements are the missing fields ordered by the coverage points they would add
+const assessCoverage = (jobScan, context) => {
+  const measured = {};
+  const inputs = [];
+
+  INPUTS.forEach(input => {
+    const contributed = input.measure(jobScan, context);
+    if (contributed === null) {
+      return;
+    }
+    measured[input.id] = contributed;
+    inputs.push({ input: input.id, weight: input.weight, contributed: Math.round(contributed * 100) / 100 });
+  });
+
+  const total = inputs.reduce((sum, input) => sum + input.weight, 0);
+  const covered = inputs.reduce((sum, input) => sum + input.weight * measured[input.input], 0);
+
+  // Gain of a field: what every input it supplies still lacks, in coverage points
+  const gains = new Map();
+  INPUTS.forEach(input => {
+    if (measured[input.id] === undefined || measured[input.id] === 1) {
+      return;
+    }
+    const points = (input.weight * (1 - measured[input.id]) / total) * 100;
+    const fields = typeof input.fields === 'function' ? input.fields(jobScan, context) : input.fields;
+    fields
+      .filter(field => !fieldGiven(jobScan, field, measured))
+      .forEach(field => {
+        const gain = gains.get(field) || { field, gain: 0, reasons: [] };
+        gain.gain += points;
+        gain.reasons.push(input.reason);
+        gains.set(field, gain);
+      });
+  });
+
+  const improvements = Array.from(gains.values())
+    .filter(item => item.gain >= MIN_GAIN)
+    .sort((a, b) => b.gain - a.gain)
+    .map(({ field, gain, reasons }) => ({ field, gain: Math.round(gain), reason: reasons[0] }));
+
+  return {
+    score: total > 0 ? Math.round((covered / total) * 100) : 0,
+    inputs,
+    improvements
+  };
+};
+
+module.exports = {
+  INPUTS,
+  assessCoverage
+};
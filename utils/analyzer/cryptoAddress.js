@@ -0,0 +1,97 @@
+// Cryptocurrency wallet address recognition with checksum validation, so random tokens are not mistaken for wallets
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+const CANDIDATES = [
+  { network: 'btc', pattern: /\b[13][1-9A-HJ-NP-Za-km-z]{25,34}\b/g, validate: (value) => [0x00, 0x05].includes(base58Version(value)) },
+  { network: 'btc', pattern: /\bbc1[ac-hj-np-z02-9]{11,71}\b/gi, validate: (value) => isBech32(value.toLowerCase()) },
+  { network: 'usdt-trc20', pattern: /\bT[1-9A-HJ-NP-Za-km-z]{33}\b/g, validate: (value) => base58Version(value) === 0x41 },
+  { network: 'eth', pattern: /\b0x[a-fA-F0-9]{40}\b/g, validate: () => true }
+];
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest();
+
+// Version byte of a valid Base58Check string, or null when the checksum fails
+const base58Version = (value) => {
+  let number = 0n;
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) {
+      return null;
+    }
+    number = number * 58n + BigInt(digit);
+  }
+
+  let hex = number.toString(16);
+  if (hex.length % 2) {
+    hex = `0${hex}`;
+  }
+  const leadingZeros = value.match(/^1*/)[0].length;
+  const bytes = Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(number === 0n ? '' : hex, 'hex')]);
+
+  if (bytes.length < 5) {
+    return null;
+  }
+
+  const payload = bytes.subarray(0, -4);
+  const checksum = sha256(sha256(payload)).subarray(0, 4);
+  return checksum.equals(bytes.subarray(-4)) ? payload[0] : null;
+};
+
+const bech32Polymod = (values) => {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  values.forEach(value => {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    generators.forEach((generator, i) => {
+      if ((top >>> i) & 1) {
+        checksum ^= generator;
+      }
+    });
+  });
+  return checksum >>> 0;
+};
+
+// Accepts both bech32 (segwit v0) and bech32m (taproot) checksums
+const isBech32 = (value) => {
+  const separator = value.lastIndexOf('1');
+  const prefix = value.slice(0, separator);
+  const data = Array.from(value.slice(separator + 1)).map(char => BECH32_ALPHABET.indexOf(char));
+
+  if (data.some(digit => digit < 0)) {
+    return false;
+  }
+
+  const expanded = [
+    ...Array.from(prefix).map(char => char.charCodeAt(0) >> 5),
+    0,
+    ...Array.from(prefix).map(char => char.charCodeAt(0) & 31)
+  ];
+  const checksum = bech32Polymod([...expanded, ...data]);
+  return checksum === 1 || checksum === 0x2bc830a3;
+};
+
+// Find wallet addresses in raw (case-preserved) text
+// Returns [{ network, value, start, end }]
+const findWalletAddresses = (text) => {
+  const wallets = [];
+
+  CANDIDATES.forEach(({ network, pattern, validate }) => {
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+      if (validate(match[0])) {
+        wallets.push({ network, value: match[0], start: match.index, end: match.index + match[0].length });
+      }
+    }
+  });
+
+  return wallets.sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  findWalletAddresses
+};
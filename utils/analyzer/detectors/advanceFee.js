@@ -0,0 +1,35 @@
+const { APPLICANT_PAYS_WORDS, EMPLOYER_PAYS } = require('../payerPhrases');
+
+// Fees that only exist to be charged to the applicant
+const chargedFees = [
+  'processing fee',
+  'application fee',
+  'registration fee',
+  'work permit fee',
+  'onboarding fee',
+  'visa processing',
+  'refundable deposit'
+];
+
+// Costs employers often pay themselves; only flagged when the applicant is the one paying
+const sharedCosts = [
+  'training fee',
+  'certification fee',
+  'background check fee',
+  'visa fee'
+];
+
+const phrases = [
+  ...chargedFees.map(phrase => ({ phrase })),
+  ...sharedCosts.map(phrase => ({ phrase, near: APPLICANT_PAYS_WORDS, window: 5 })),
+  { phrase: 'pay for your training' }
+].map(spec => ({ ...spec, unlessClause: EMPLOYER_PAYS }));
+
+module.exports = {
+  id: 'advance-fee',
+  flagType: 'advance_fee',
+  severity: 'high',
+  weight: 30,
+  description: 'Job charges a processing, visa, training or registration fee before employment starts',
+  match: (context) => context.hasAnyPhrase('jobDescription', phrases)
+};
@@ -0,0 +1,34 @@
+// Fake-check scheme: deposit our check, keep your pay, send the rest on to a "vendor"
+const checkPhrases = [
+  { phrase: 'deposit the check' },
+  { phrase: 'deposit the cheque' },
+  { phrase: 'cash the check' },
+  { phrase: 'cash the cheque' },
+  { phrase: 'mobile deposit', unless: ['direct deposit'] },
+  { phrase: 'mobile check deposit' },
+  { phrase: 'check will be sent', near: ['equipment', 'supplies', 'vendor', 'deposit', 'purchase'], window: 10 },
+  { phrase: 'send a check', near: ['equipment', 'supplies', 'vendor', 'deposit', 'purchase'], window: 10 },
+  { phrase: 'send the remaining' },
+  { phrase: 'send back the difference' },
+  { phrase: 'send the balance' },
+  { phrase: 'our approved vendor' },
+  { phrase: 'from our vendor', near: ['purchase', 'buy', 'equipment'], window: 6 },
+  { phrase: 'purchase equipment', near: ['vendor', 'check', 'cheque'], window: 10 }
+];
+
+module.exports = {
+  id: 'check-cashing',
+  flagType: 'payment_channel',
+  severity: 'high',
+  weight: 30,
+  description: 'Asks the candidate to deposit a check and forward part of the money',
+  match: (context) => {
+    const matches = checkPhrases.flatMap(spec => context.findPhrase('jobDescription', spec));
+
+    if (matches.length === 0) {
+      return false;
+    }
+
+    return { description: `Describes a check deposit and forwarding scheme: ${context.quote('jobDescription', matches)}` };
+  }
+};
@@ -0,0 +1,26 @@
+// No employer pays or collects money through a wallet address pasted into a job post
+const NETWORK_NAMES = {
+  btc: 'Bitcoin',
+  eth: 'Ethereum',
+  'usdt-trc20': 'USDT (TRC20)'
+};
+
+module.exports = {
+  id: 'crypto-wallet',
+  flagType: 'payment_channel',
+  severity: 'high',
+  weight: 35,
+  description: 'Contains a cryptocurrency wallet address',
+  match: (context) => {
+    const wallets = context.entities.filter(entity => entity.type === 'wallet');
+
+    if (wallets.length === 0) {
+      return false;
+    }
+
+    const networks = Array.from(new Set(wallets.map(wallet => NETWORK_NAMES[wallet.platform])));
+    return {
+      description: `Contains ${networks.join(', ')} wallet address${wallets.length === 1 ? '' : 'es'}: ${context.quote('jobDescription', wallets, { raw: true })}`
+    };
+  }
+};
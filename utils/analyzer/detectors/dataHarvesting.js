@@ -0,0 +1,14 @@
+// Identity documents requested before any real hiring step
+const identityDocuments = [
+  /\b(send|provide|submit|upload|email|forward)\b[^.]{0,60}\b(copy of your|your)\b[^.]{0,30}\b(id|passport|driver'?s licen[cs]e|national id|birth certificate|home address|date of birth)\b/i,
+  /\b(passport|driver'?s licen[cs]e|id card|photo id|home address|date of birth)\b[^.]{0,60}\bbefore (the|your|an) (interview|call|meeting)\b/i
+];
+
+module.exports = {
+  id: 'identity-data-harvesting',
+  flagType: 'data_harvesting',
+  severity: 'high',
+  weight: 25,
+  description: 'Job asks for identity documents or home address before any interview takes place',
+  match: (context) => context.matchesAny('jobDescription', identityDocuments)
+};
@@ -0,0 +1,15 @@
+// "Amazon Careers" <hiring.team@gmail.com>, or a sender name that shows another address
+const SPOOFING_CHECKS = ['display_name_spoofing', 'display_name_address'];
+
+module.exports = {
+  id: 'display-name-spoofing',
+  flagType: 'phishing',
+  severity: 'high',
+  weight: 35,
+  description: 'Email sender name impersonates a company the address does not belong to',
+  match: (context) => {
+    const headers = context.emailAnalysis.headers;
+    const findings = headers ? headers.checks.filter(check => SPOOFING_CHECKS.includes(check.check)) : [];
+    return findings.length > 0 ? { description: findings.map(check => check.description).join('; ') } : false;
+  }
+};
@@ -0,0 +1,10 @@
+// Throwaway inboxes exist to be abandoned; no employer recruits from one
+module.exports = {
+  id: 'disposable-email',
+  flagType: 'suspicious_email',
+  severity: 'high',
+  weight: 30,
+  evidenceFields: ['companyEmail'],
+  description: 'Company email uses a disposable email service',
+  match: (context) => context.emailAnalysis.isDisposable
+};
@@ -0,0 +1,14 @@
+const { headerCheck } = require('../emailHeaders');
+
+// The receiving server could not verify the sender with SPF, DKIM or DMARC
+module.exports = {
+  id: 'email-authentication-failure',
+  flagType: 'suspicious_email',
+  severity: 'high',
+  weight: 30,
+  description: 'Email failed sender authentication',
+  match: (context) => {
+    const check = headerCheck(context, 'authentication_failed');
+    return check ? { description: check.description } : false;
+  }
+};
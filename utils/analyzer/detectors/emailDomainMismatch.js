@@ -0,0 +1,14 @@
+const hasCheck = (context, name) => context.emailAnalysis.checks.find(check => check.check === name);
+
+module.exports = {
+  id: 'email-domain-mismatch',
+  flagType: 'suspicious_email',
+  severity: 'medium',
+  weight: 15,
+  evidenceFields: ['companyEmail', 'companyWebsite'],
+  description: 'Company email domain does not match the company website',
+  match: (context) => {
+    const check = hasCheck(context, 'website_mismatch');
+    return check ? { description: check.description } : false;
+  }
+};
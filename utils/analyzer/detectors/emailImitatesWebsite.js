@@ -0,0 +1,16 @@
+// acme-careers.com or acrne.com writing on behalf of acme.com, or amaz0n-careers.com for Amazon
+// when there is no website to compare with
+const hasCheck = (context, name) => context.emailAnalysis.checks.find(check => check.check === name);
+
+module.exports = {
+  id: 'email-imitates-website',
+  flagType: 'suspicious_email',
+  severity: 'high',
+  weight: 30,
+  evidenceFields: ['companyEmail', 'companyWebsite'],
+  description: 'Company email domain imitates the company website domain',
+  match: (context) => {
+    const check = hasCheck(context, 'lookalike_website') || hasCheck(context, 'lookalike_company_name');
+    return check ? { description: check.description } : false;
+  }
+};
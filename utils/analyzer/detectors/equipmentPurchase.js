@@ -0,0 +1,28 @@
+// Buying a laptop or "home office" kit up front, usually from a vendor the recruiter picks
+const EQUIPMENT_WORDS = ['equipment', 'laptop', 'laptops', 'computer', 'macbook', 'imac', 'software', 'supplies', 'printer', 'gear', 'devices'];
+
+const purchasePhrases = [
+  { phrase: 'purchase', near: EQUIPMENT_WORDS, window: 4 },
+  { phrase: 'buy', near: EQUIPMENT_WORDS, window: 4 },
+  { phrase: 'order', near: ['equipment', 'laptop', 'macbook', 'supplies'], window: 3 },
+  { phrase: 'reimbursed', near: EQUIPMENT_WORDS, window: 6 },
+  { phrase: 'reimburse you', near: EQUIPMENT_WORDS, window: 6 },
+  { phrase: 'equipment vendor' }
+];
+
+module.exports = {
+  id: 'equipment-purchase',
+  flagType: 'upfront_payment',
+  severity: 'high',
+  weight: 25,
+  description: 'Asks the candidate to buy work equipment up front',
+  match: (context) => {
+    const matches = purchasePhrases.flatMap(spec => context.findPhrase('jobDescription', spec));
+
+    if (matches.length === 0) {
+      return false;
+    }
+
+    return { description: `Asks the candidate to pay for work equipment: ${context.quote('jobDescription', matches)}` };
+  }
+};
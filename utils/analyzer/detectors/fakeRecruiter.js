@@ -0,0 +1,25 @@
+// Unsolicited selection or interviews held only over chat apps
+const recruiterPhrases = [
+  'you have been selected',
+  'you have been shortlisted',
+  'we found your resume',
+  'we came across your resume',
+  'your profile was selected',
+  'interview will be conducted via chat',
+  'interview via telegram',
+  'interview via whatsapp',
+  'interview on google hangouts',
+  'text-based interview',
+  'online chat interview',
+  'no interview required',
+  'hired without an interview'
+];
+
+module.exports = {
+  id: 'fake-recruiter',
+  flagType: 'fake_recruiter',
+  severity: 'high',
+  weight: 25,
+  description: 'Recruiter offers unsolicited selection or a chat-only interview instead of a real hiring process',
+  match: (context) => context.hasAnyPhrase('jobDescription', recruiterPhrases)
+};
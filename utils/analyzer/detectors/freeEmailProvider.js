@@ -0,0 +1,9 @@
+module.exports = {
+  id: 'free-email-provider',
+  flagType: 'suspicious_email',
+  severity: 'medium',
+  weight: 15,
+  evidenceFields: ['companyEmail'],
+  description: 'Company uses a free email provider instead of a corporate domain',
+  match: (context) => context.emailAnalysis.isFreeProvider
+};
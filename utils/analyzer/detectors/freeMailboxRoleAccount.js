@@ -0,0 +1,15 @@
+// "careers.acme@gmail.com" dresses a personal mailbox up as a company department
+const hasCheck = (context, name) => context.emailAnalysis.checks.find(check => check.check === name);
+
+module.exports = {
+  id: 'role-account-free-mailbox',
+  flagType: 'suspicious_email',
+  severity: 'medium',
+  weight: 10,
+  evidenceFields: ['companyEmail'],
+  description: 'Company or department address hosted on a personal email provider',
+  match: (context) => {
+    const check = hasCheck(context, 'role_account_on_free_provider');
+    return check ? { description: check.description } : false;
+  }
+};
@@ -0,0 +1,23 @@
+// Pay far above what the role normally earns is the classic lure; the explanation comes from the salary assessment
+module.exports = {
+  id: 'implausible-salary',
+  flagType: 'unrealistic_salary',
+  severity: 'high',
+  weight: 30,
+  description: 'Offered pay is far above the typical salary for this role',
+  match: (context) => {
+    const assessment = context.salaryAnalysis;
+
+    if (!assessment || assessment.plausible !== false) {
+      return false;
+    }
+
+    // The salary figure, when it was read from the description
+    const at = context.salary.text ? context.fields.jobDescription.indexOf(context.salary.text) : -1;
+    if (at >= 0) {
+      context.cite('jobDescription', [{ start: at, end: at + context.salary.text.length }]);
+    }
+
+    return { description: assessment.details };
+  }
+};
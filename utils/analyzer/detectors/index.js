@@ -0,0 +1,43 @@
+const { registerDetector } = require('../ruleEngine');
+
+// Built-in detectors, registered in evaluation order
+[
+  require('./unrealisticSalary'),
+  require('./implausibleSalary'),
+  require('./upfrontPayment'),
+  require('./pressureTactics'),
+  require('./vagueDescription'),
+  require('./personalInfoRequest'),
+  require('./phishing'),
+  require('./lookalikeDomain'),
+  require('./suspiciousUrl'),
+  require('./linkMismatch'),
+  require('./youngDomain'),
+  require('./missingTls'),
+  require('./dataHarvesting'),
+  require('./advanceFee'),
+  require('./mlmDisguised'),
+  require('./fakeRecruiter'),
+  require('./textOnlyInterview'),
+  require('./offerWithoutInterview'),
+  require('./equipmentPurchase'),
+  require('./startDatePressure'),
+  require('./letterheadContactMismatch'),
+  require('./offPlatformContact'),
+  require('./internationalPhone'),
+  require('./untraceablePayment'),
+  require('./cryptoWallet'),
+  require('./checkCashing'),
+  require('./obfuscatedText'),
+  require('./maliciousDocument'),
+  require('./freeEmailProvider'),
+  require('./disposableEmail'),
+  require('./freeMailboxRoleAccount'),
+  require('./emailImitatesWebsite'),
+  require('./emailDomainMismatch'),
+  require('./replyToMismatch'),
+  require('./displayNameSpoofing'),
+  require('./emailAuthenticationFailure'),
+  require('./suspiciousReceivedChain'),
+  require('./missingWebsite')
+].forEach(registerDetector);
@@ -0,0 +1,17 @@
+// A bare phone number is weak evidence on its own, but scam posts lean on foreign WhatsApp numbers
+module.exports = {
+  id: 'international-phone-number',
+  flagType: 'off_platform_contact',
+  severity: 'medium',
+  weight: 10,
+  description: 'Lists a phone number in international format as the contact channel',
+  match: (context) => {
+    const phones = context.entities.filter(entity => entity.type === 'phone');
+
+    if (phones.length === 0) {
+      return false;
+    }
+
+    return { description: `Lists an international phone number to contact: ${context.quote('jobDescription', phones, { raw: true })}` };
+  }
+};
@@ -0,0 +1,41 @@
+const { analyzeEmail } = require('../emailAnalysis');
+
+// Offer letters on a company's letterhead that ask for replies at a personal mailbox or another domain
+const MISMATCH_CHECKS = ['free_provider', 'disposable_provider', 'website_mismatch', 'lookalike_website'];
+
+module.exports = {
+  id: 'letterhead-contact-mismatch',
+  flagType: 'fake_recruiter',
+  severity: 'high',
+  weight: 25,
+  scanTypes: ['offer_letter'],
+  description: 'Offer letter contact details do not belong to the company it claims to be from',
+  match: (context) => {
+    const { jobScan, entities, urlAnalysis } = context;
+
+    // The letter's own website: the one submitted, or the first link printed on it
+    const site = urlAnalysis.companyWebsite ||
+      (entities.find(entity => entity.type === 'url' && !entity.analysis.isShortener) || {}).analysis;
+
+    const findings = entities
+      .filter(entity => entity.type === 'email')
+      .map(entity => ({
+        entity,
+        check: analyzeEmail(entity.value, {
+          companyWebsite: site ? site.hostname : undefined,
+          companyName: jobScan.companyName
+        }).checks.find(check => MISMATCH_CHECKS.includes(check.check))
+      }))
+      .filter(finding => finding.check);
+
+    if (findings.length === 0) {
+      return false;
+    }
+
+    context.cite('jobDescription', findings.map(finding => finding.entity), { raw: true });
+
+    return {
+      description: `Offer letter contacts do not match the company: ${findings.map(finding => `${finding.entity.value} (${finding.check.description})`).join('; ')}`
+    };
+  }
+};
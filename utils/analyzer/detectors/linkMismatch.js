@@ -0,0 +1,16 @@
+// HTML links that show one address and open another, the oldest phishing trick there is
+module.exports = {
+  id: 'link-text-mismatch',
+  flagType: 'phishing',
+  severity: 'high',
+  weight: 30,
+  description: 'A link in the description shows one domain but opens another',
+  match: (context) => {
+    if (context.linkMismatches.length === 0) {
+      return false;
+    }
+
+    context.cite('jobDescription', context.linkMismatches, { raw: true });
+    return { description: context.linkMismatches.map(mismatch => mismatch.description).join('; ') };
+  }
+};
@@ -0,0 +1,25 @@
+const { IMPERSONATION_CHECKS } = require('../urlAnalysis');
+
+// Job board or employer domains, in links, websites or email addresses, imitated by misspelling, lookalike characters or subdomain padding
+module.exports = {
+  id: 'lookalike-domain',
+  flagType: 'phishing',
+  severity: 'high',
+  weight: 35,
+  description: 'A job link, website or email domain imitates a known job board or employer domain',
+  match: (context) => {
+    const findings = context.domainAnalyses
+      .flatMap(analysis => analysis.checks)
+      .filter(check => IMPERSONATION_CHECKS.includes(check.check));
+
+    if (findings.length === 0) {
+      return false;
+    }
+
+    context.citeDomains(analysis => analysis.checks.some(check => IMPERSONATION_CHECKS.includes(check.check)));
+
+    // The same domain can appear in several places; describe it once
+    const descriptions = new Set(findings.map(finding => finding.description));
+    return { description: Array.from(descriptions).join('; ') };
+  }
+};
@@ -0,0 +1,20 @@
+// Macros, remote templates and embedded objects have no place in a job description or offer letter
+module.exports = {
+  id: 'malicious-document',
+  flagType: 'malicious_document',
+  severity: 'high',
+  weight: 35,
+  description: 'Uploaded document contains active or remote content commonly used to deliver malware',
+  match: (context) => {
+    const file = context.jobScan.uploadedFile;
+    const findings = (file && file.securityFindings) || [];
+
+    if (findings.length === 0) {
+      return false;
+    }
+
+    return {
+      description: `Uploaded document is dangerous: ${findings.map(finding => finding.description).join('; ')}`
+    };
+  }
+};
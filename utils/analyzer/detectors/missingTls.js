@@ -0,0 +1,20 @@
+// Real careers sites and applicant tracking systems all serve valid HTTPS
+module.exports = {
+  id: 'missing-tls',
+  flagType: 'domain_reputation',
+  severity: 'medium',
+  weight: 10,
+  description: 'A domain used by the posting has no valid TLS certificate',
+  match: (context) => {
+    const insecure = Object.values(context.domainIntel)
+      .filter(intel => intel.tls && intel.tls.valid === false);
+
+    if (insecure.length === 0) {
+      return false;
+    }
+
+    return {
+      description: `No valid TLS certificate for ${insecure.map(intel => intel.domain).join(', ')}`
+    };
+  }
+};
@@ -0,0 +1,8 @@
+module.exports = {
+  id: 'missing-company-website',
+  flagType: 'no_company_presence',
+  severity: 'medium',
+  weight: 10,
+  description: 'No company website provided',
+  match: (context) => context.fields.companyWebsite.length === 0
+};
@@ -0,0 +1,21 @@
+module.exports = {
+  id: 'mlm-recruitment',
+  flagType: 'mlm_disguised',
+  severity: 'medium',
+  weight: 20,
+  description: 'Job pays for recruiting others or requires buying a starter kit, typical of multi-level marketing',
+  match: (context) => context.hasAnyPhrase('jobDescription', [
+    'recruit your friends',
+    'recruit friends',
+    'recruit others',
+    'build your team',
+    'build your own team',
+    'starter kit',
+    'starter pack',
+    'downline',
+    'upline',
+    'be your own boss',
+    'residual income',
+    'commission on every person you recruit'
+  ])
+};
@@ -0,0 +1,9 @@
+// Scammers disguise keywords to slip past filters; legitimate postings have no reason to
+module.exports = {
+  id: 'obfuscated-text',
+  flagType: 'obfuscated_text',
+  severity: 'medium',
+  weight: 20,
+  description: 'Text uses lookalike characters, hidden characters, leetspeak or spaced-out words to disguise keywords',
+  match: (context) => context.obfuscation.length > 0
+};
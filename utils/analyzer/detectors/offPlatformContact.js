@@ -0,0 +1,55 @@
+// Moving the conversation to a chat app takes the victim away from the job board's moderation.
+// Only requests aimed at the applicant count: "our customers contact us via WhatsApp" is the job
+const CONTACT_WORDS = [
+  'contact', 'message', 'text', 'chat', 'reach', 'add', 'call', 'interview', 'send', 'dm',
+  'via', 'on', 'through', 'download', 'install', 'join', 'number', 'handle', 'app'
+];
+
+const APPLICANT_CONTACT = [
+  'add me', 'message me', 'text me', 'contact me', 'reach me', 'call me', 'dm me', 'chat with me',
+  'write to me', 'send me', 'reach out to me', 'my number', 'my handle', 'my username',
+  'add us', 'message us', 'text us', 'dm us', 'write to us', 'contact us', 'reach us', 'reach out to us',
+  'contact you', 'reach you', 'you will be contacted', 'you can reach', 'get in touch',
+  'interview', 'hiring manager', 'recruiter', 'your application', 'further instructions', 'onboarding',
+  'download', 'install'
+];
+
+// Support and sales roles mention the channels customers use
+const CUSTOMER_FACING = ['customer', 'customers', 'client', 'clients', 'users', 'buyers', 'guests', 'patients'];
+
+const platformPhrases = [
+  { phrase: 'whatsapp', near: CONTACT_WORDS },
+  { phrase: 'telegram', near: CONTACT_WORDS },
+  { phrase: 'signal app' },
+  { phrase: 'signal messenger' },
+  { phrase: 'on signal', near: CONTACT_WORDS },
+  { phrase: 'via signal' },
+  { phrase: 'google hangouts' },
+  { phrase: 'hangouts', near: CONTACT_WORDS },
+  { phrase: 'wickr' },
+  { phrase: 'kik', near: CONTACT_WORDS },
+  { phrase: 'wechat', near: CONTACT_WORDS }
+].map(spec => ({ ...spec, inSentenceWith: APPLICANT_CONTACT, unlessClause: CUSTOMER_FACING }));
+
+module.exports = {
+  id: 'off-platform-contact',
+  flagType: 'off_platform_contact',
+  severity: 'high',
+  weight: 25,
+  description: 'Asks to move the conversation to WhatsApp, Telegram, Signal, Hangouts or another chat app',
+  match: (context) => {
+    const phrases = platformPhrases.flatMap(spec => context.findPhrase('jobDescription', spec));
+    // A handle on its own counts when the description asks the applicant to get in touch
+    const asksApplicant = phrases.length > 0 ||
+      APPLICANT_CONTACT.some(phrase => context.findPhrase('jobDescription', { phrase, unlessClause: CUSTOMER_FACING }).length > 0);
+    const handles = asksApplicant
+      ? context.entities.filter(entity => entity.type === 'handle').map(handle => ({ start: handle.start, end: handle.end, raw: true }))
+      : [];
+
+    if (phrases.length === 0 && handles.length === 0) {
+      return false;
+    }
+
+    return { description: `Asks to continue the conversation on a chat app: ${context.quote('jobDescription', [...phrases, ...handles])}` };
+  }
+};
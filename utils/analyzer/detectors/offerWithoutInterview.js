@@ -0,0 +1,77 @@
+// In a chat, a job offer that arrives before any call or video interview has taken place;
+// in an offer letter, a statement that no interview was needed
+const offerPhrases = [
+  'you are hired',
+  "you're hired",
+  'you have been hired',
+  "you've been hired",
+  'you got the job',
+  'pleased to offer you',
+  'offer you the position',
+  'welcome aboard',
+  'welcome to the team',
+  'your offer letter',
+  'you have been selected for the position',
+  'you have been approved for the position'
+];
+
+// Anything that would count as actually meeting the candidate
+const interviewPhrases = [
+  'video interview',
+  'video call',
+  'phone interview',
+  'phone call',
+  'zoom',
+  'microsoft teams',
+  'google meet',
+  'in person interview',
+  'onsite interview',
+  'on site interview',
+  'face to face'
+];
+
+// Offer letters that say so outright
+const noInterviewPhrases = [
+  { phrase: 'no interview required', negatable: false },
+  { phrase: 'no interview is required', negatable: false },
+  { phrase: 'without an interview', negatable: false },
+  { phrase: 'without any interview', negatable: false },
+  { phrase: 'interview is not required', negatable: false },
+  { phrase: 'no need for an interview', negatable: false }
+];
+
+module.exports = {
+  id: 'offer-without-interview',
+  flagType: 'fake_recruiter',
+  severity: 'high',
+  weight: 25,
+  description: 'A job is offered in the conversation or letter without any real interview',
+  match: (context) => {
+    if (context.jobScan.scanType === 'offer_letter') {
+      const stated = noInterviewPhrases.flatMap(spec => context.findPhrase('jobDescription', spec));
+      return stated.length > 0
+        ? { description: `Offer letter says no interview was needed: ${context.quote('jobDescription', stated, { limit: 1 })}` }
+        : false;
+    }
+
+    if (!context.conversation) {
+      return false;
+    }
+
+    const offers = offerPhrases.flatMap(phrase => context.findPhrase('jobDescription', phrase));
+    if (offers.length === 0) {
+      return false;
+    }
+
+    const firstOffer = Math.min(...offers.map(match => match.start));
+    const interviewed = interviewPhrases
+      .flatMap(phrase => context.findPhrase('jobDescription', phrase))
+      .some(match => match.start < firstOffer);
+
+    if (interviewed) {
+      return false;
+    }
+
+    return { description: `Offers the job before any call or video interview: ${context.quote('jobDescription', offers, { limit: 1 })}` };
+  }
+};
@@ -0,0 +1,20 @@
+// Identity numbers are a red flag on their own; bank and card details only when the
+// text asks for them, since postings also say how pay reaches your bank account
+const REQUEST_VERBS = [
+  'send', 'sending', 'provide', 'providing', 'share', 'sharing', 'enter', 'entering',
+  'verify', 'verifying', 'confirm', 'confirming'
+];
+
+module.exports = {
+  id: 'personal-info-request',
+  flagType: 'personal_info_request',
+  severity: 'high',
+  weight: 30,
+  description: 'Job requests sensitive personal or financial information',
+  match: (context) => context.hasAnyPhrase('jobDescription', [
+    'social security',
+    'ssn',
+    { phrase: 'bank account', near: REQUEST_VERBS, window: 6 },
+    { phrase: 'credit card', near: REQUEST_VERBS, window: 6 }
+  ])
+};
@@ -0,0 +1,29 @@
+// Requests for account credentials and links that collect them
+const credentialRequests = [
+  'your password',
+  'login credentials',
+  'log in with your email',
+  'sign in with your email',
+  'verify your account',
+  'confirm your account',
+  'verify your identity',
+  'one-time code',
+  'verification code'
+];
+
+// Links to form builders or login/verify pages are common credential harvesters
+const harvestingLinks = [
+  /https?:\/\/(docs\.google\.com\/forms|forms\.gle|forms\.office\.com|form\.jotform\.com|[a-z0-9-]+\.typeform\.com)\S*/i,
+  /https?:\/\/\S*(login|signin|sign-in|verify|verification|account-update|secure-)\S*/i
+];
+
+module.exports = {
+  id: 'credential-phishing',
+  flagType: 'phishing',
+  severity: 'high',
+  weight: 30,
+  description: 'Job posting asks for account credentials or links to a credential-harvesting page',
+  match: (context) =>
+    context.hasAnyPhrase('jobDescription', credentialRequests) ||
+    context.matchesAny('jobDescription', harvestingLinks)
+};
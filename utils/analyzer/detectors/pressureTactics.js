@@ -0,0 +1,13 @@
+module.exports = {
+  id: 'pressure-tactics',
+  flagType: 'pressure_tactics',
+  severity: 'medium',
+  weight: 15,
+  description: 'Job posting uses pressure or urgency language',
+  match: (context) => context.hasAnyPhrase('jobDescription', [
+    'act now',
+    'limited time',
+    'urgent',
+    'immediate start'
+  ])
+};
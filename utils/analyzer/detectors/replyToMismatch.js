@@ -0,0 +1,14 @@
+const { headerCheck } = require('../emailHeaders');
+
+// Mail sent from one domain that asks for replies at another, often a free mailbox
+module.exports = {
+  id: 'reply-to-mismatch',
+  flagType: 'suspicious_email',
+  severity: 'medium',
+  weight: 20,
+  description: 'Email replies are redirected to a different domain than the sender',
+  match: (context) => {
+    const check = headerCheck(context, 'reply_to_mismatch');
+    return check ? { description: check.description } : false;
+  }
+};
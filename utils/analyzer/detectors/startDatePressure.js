@@ -0,0 +1,36 @@
+// Offers that must be accepted, signed or started on a deadline of hours or days
+const pressurePhrases = [
+  { phrase: 'start immediately', negatable: false },
+  { phrase: 'start tomorrow', negatable: false },
+  { phrase: 'start today', negatable: false },
+  { phrase: 'offer expires' },
+  { phrase: 'offer will expire' },
+  { phrase: 'offer is only valid', near: ['hours', 'today', 'tomorrow'], window: 6 },
+  { phrase: 'sign and return', near: ['today', 'tomorrow', 'hours', 'immediately'], window: 8 },
+  { phrase: 'accept', near: ['today', 'tonight', 'hours', 'immediately'], window: 5 },
+  { phrase: 'position will be given to', near: ['another', 'next'], window: 3 }
+];
+
+// "within 24 hours", "in 48 hrs"
+const DEADLINE_PATTERN = /\b(?:within|in|next)\s+(?:24|48|72|12|twenty[- ]four|forty[- ]eight)\s*(?:hours|hrs|h)\b/;
+
+module.exports = {
+  id: 'start-date-pressure',
+  flagType: 'pressure_tactics',
+  severity: 'medium',
+  weight: 15,
+  description: 'Pushes the candidate to accept or start on a deadline of hours or days',
+  match: (context) => {
+    const matches = pressurePhrases.flatMap(spec => context.findPhrase('jobDescription', spec));
+    const deadline = context.fields.jobDescription.match(DEADLINE_PATTERN);
+
+    if (deadline) {
+      matches.push({ start: deadline.index, end: deadline.index + deadline[0].length });
+    }
+    if (matches.length === 0) {
+      return false;
+    }
+
+    return { description: `Sets a deadline to accept or start: ${context.quote('jobDescription', matches)}` };
+  }
+};
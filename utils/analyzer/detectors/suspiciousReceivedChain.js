@@ -0,0 +1,13 @@
+// Received headers showing a home connection, a forged HELO, a missing reverse DNS name or a reordered chain
+module.exports = {
+  id: 'suspicious-received-chain',
+  flagType: 'suspicious_email',
+  severity: 'medium',
+  weight: 15,
+  description: 'Email was relayed through a suspicious delivery path',
+  match: (context) => {
+    const headers = context.emailAnalysis.headers;
+    const findings = headers ? headers.checks.filter(check => check.check.startsWith('received_')) : [];
+    return findings.length > 0 ? { description: findings.map(check => check.description).join('; ') } : false;
+  }
+};
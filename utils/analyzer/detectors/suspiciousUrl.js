@@ -0,0 +1,25 @@
+const { IMPERSONATION_CHECKS } = require('../urlAnalysis');
+
+// Links that hide where they lead: raw IPs, shorteners, punycode, throwaway TLDs and padded hosts
+module.exports = {
+  id: 'suspicious-url',
+  flagType: 'phishing',
+  severity: 'medium',
+  weight: 15,
+  description: 'A job link, website or email domain uses a domain pattern common in phishing',
+  match: (context) => {
+    const findings = context.domainAnalyses
+      .flatMap(analysis => analysis.checks)
+      .filter(check => !IMPERSONATION_CHECKS.includes(check.check));
+
+    if (findings.length === 0) {
+      return false;
+    }
+
+    context.citeDomains(analysis => analysis.checks.some(check => !IMPERSONATION_CHECKS.includes(check.check)));
+
+    // The same domain can appear in several places; describe it once
+    const descriptions = new Set(findings.map(finding => finding.description));
+    return { description: Array.from(descriptions).join('; ') };
+  }
+};
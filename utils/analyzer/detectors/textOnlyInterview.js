@@ -0,0 +1,27 @@
+// "Interviews" held by typing answers into a chat app instead of talking to anyone
+const CHAT_WORDS = ['chat', 'texting', 'typed', 'telegram', 'whatsapp', 'signal', 'hangouts', 'messenger', 'wickr'];
+
+const interviewPhrases = [
+  { phrase: 'interview', near: CHAT_WORDS, window: 6, unless: ['video interview', 'phone interview', 'video call', 'phone call'] },
+  { phrase: 'interview questions will be sent' },
+  { phrase: 'answer the following questions', near: ['interview', 'assessment'], window: 10 },
+  { phrase: 'instant messaging interview' },
+  { phrase: 'interviewed online via' }
+];
+
+module.exports = {
+  id: 'text-only-interview',
+  flagType: 'fake_recruiter',
+  severity: 'high',
+  weight: 20,
+  description: 'The interview is held over text chat rather than by phone, video or in person',
+  match: (context) => {
+    const matches = interviewPhrases.flatMap(spec => context.findPhrase('jobDescription', spec));
+
+    if (matches.length === 0) {
+      return false;
+    }
+
+    return { description: `Interview is conducted by text chat: ${context.quote('jobDescription', matches)}` };
+  }
+};
@@ -0,0 +1,13 @@
+module.exports = {
+  id: 'unrealistic-salary-claims',
+  flagType: 'unrealistic_salary',
+  severity: 'high',
+  weight: 25,
+  description: 'Job posting contains unrealistic salary claims',
+  match: (context) => context.hasAnyPhrase('jobDescription', [
+    'earn $',
+    'make money fast',
+    'unlimited income',
+    'get rich'
+  ])
+};
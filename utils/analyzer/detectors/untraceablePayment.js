@@ -0,0 +1,37 @@
+const { APPLICANT_PAYS, EMPLOYER_PAYS } = require('../payerPhrases');
+
+// Gift cards, crypto and instant transfer apps cannot be reversed once the victim pays.
+// A channel only counts in a sentence where the applicant is the one paying, buying or
+// sending: "experience with Bitcoin" or "processing payments with gift cards" describe the job
+const APPLICANT_SENDS = [
+  ...APPLICANT_PAYS,
+  'pay with', 'pay via', 'pay using', 'pay through', 'pay in', 'pay us', 'pay me', 'pay it',
+  'send us', 'send me', 'send the', 'send it', 'send them', 'send money', 'send payment',
+  'buy', 'purchase', 'you buy', 'you purchase', 'load', 'redeem',
+  'deposit the check', 'deposit the cheque'
+];
+
+const CHANNELS = [
+  'gift card', 'gift cards', 'itunes card', 'itunes cards', 'apple card', 'google play card', 'google play cards',
+  'steam card', 'steam cards', 'ebay card', 'ebay cards', 'bitcoin', 'btc', 'usdt', 'ethereum', 'cryptocurrency', 'crypto wallet', 'bitcoin atm',
+  'zelle', 'cash app', 'cashapp', 'venmo', 'western union', 'moneygram'
+];
+
+const channelPhrases = CHANNELS.map(phrase => ({ phrase, inSentenceWith: APPLICANT_SENDS, unlessClause: EMPLOYER_PAYS }));
+
+module.exports = {
+  id: 'untraceable-payment',
+  flagType: 'payment_channel',
+  severity: 'high',
+  weight: 30,
+  description: 'Involves payment through gift cards, cryptocurrency, Zelle or other irreversible channels',
+  match: (context) => {
+    const matches = channelPhrases.flatMap(spec => context.findPhrase('jobDescription', spec));
+
+    if (matches.length === 0) {
+      return false;
+    }
+
+    return { description: `Mentions an irreversible payment channel: ${context.quote('jobDescription', matches)}` };
+  }
+};
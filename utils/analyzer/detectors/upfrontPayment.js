@@ -0,0 +1,46 @@
+const { APPLICANT_PAYS, EMPLOYER_PAYS } = require('../payerPhrases');
+
+// Everyday payroll and compensation wording that mentions pay without asking for it
+const compensationPhrases = [
+  'competitive pay',
+  'base pay',
+  'pay rate',
+  'pay range',
+  'pay scale',
+  'pay period',
+  'pay raise',
+  'holiday pay',
+  'sick pay',
+  'overtime pay',
+  'equal pay',
+  'pay you',
+  'we pay',
+  'employer will pay',
+  'company will pay',
+  'direct deposit'
+];
+
+// Only payments the applicant makes count: "Pay: $18.00 - $22.00 per hour" is a wage and
+// "we will cover your certification fee" is the employer paying
+const phrases = [
+  ...APPLICANT_PAYS,
+  { phrase: 'pay', near: ['fee', 'fees', 'deposit', 'upfront', 'kit', 'registration'], window: 3, unless: compensationPhrases },
+  { phrase: 'send us', near: ['$', '€', '£', 'payment', 'money', 'fee', 'fees', 'deposit', 'funds'], window: 4 },
+  'send payment',
+  'send the payment',
+  'make a payment',
+  'investment required',
+  'pay upfront',
+  'payment upfront',
+  'upfront payment',
+  'upfront fee'
+].map(spec => ({ ...(typeof spec === 'string' ? { phrase: spec } : spec), unlessClause: EMPLOYER_PAYS }));
+
+module.exports = {
+  id: 'upfront-payment',
+  flagType: 'upfront_payment',
+  severity: 'high',
+  weight: 30,
+  description: 'Job requires upfront payment or fees',
+  match: (context) => context.hasAnyPhrase('jobDescription', phrases)
+};
@@ -0,0 +1,11 @@
+module.exports = {
+  id: 'vague-description',
+  flagType: 'vague_description',
+  severity: 'medium',
+  weight: 10,
+  description: 'Job description is unusually vague or short',
+  match: (context) => {
+    const description = context.fields.jobDescription;
+    return description.length > 0 && description.length < 100;
+  }
+};
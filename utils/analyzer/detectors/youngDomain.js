@@ -0,0 +1,24 @@
+// Scam sites are registered days before the campaign and abandoned soon after
+const YOUNG_DOMAIN_DAYS = parseInt(process.env.YOUNG_DOMAIN_DAYS) || 90;
+
+module.exports = {
+  id: 'young-domain',
+  flagType: 'domain_reputation',
+  severity: 'high',
+  weight: 25,
+  description: `A domain used by the posting was registered less than ${YOUNG_DOMAIN_DAYS} days ago`,
+  match: (context) => {
+    const young = Object.values(context.domainIntel)
+      .filter(intel => intel.ageDays !== null && intel.ageDays < YOUNG_DOMAIN_DAYS);
+
+    if (young.length === 0) {
+      return false;
+    }
+
+    return {
+      description: young
+        .map(intel => `Domain ${intel.domain} was registered ${intel.ageDays} day${intel.ageDays === 1 ? '' : 's'} ago`)
+        .join('; ')
+    };
+  }
+};
@@ -0,0 +1,26 @@
+const fs = require('fs');
+
+// Domain facts from a JSON file: an array of records or an object keyed by domain
+// Handy for fixtures and for air-gapped installs that sync a snapshot by hand
+const createFileProvider = (filePath) => {
+  let records = null;
+
+  const load = () => {
+    if (!records) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const list = Array.isArray(data)
+        ? data
+        : Object.keys(data).map(domain => ({ domain, ...data[domain] }));
+
+      records = new Map(list.map(record => [record.domain.toLowerCase(), record]));
+    }
+    return records;
+  };
+
+  return {
+    name: 'file',
+    lookup: async (domain) => load().get(domain) || null
+  };
+};
+
+module.exports = createFileProvider;
@@ -0,0 +1,66 @@
+const path = require('path');
+const createFileProvider = require('./fileProvider');
+const createMongoProvider = require('./mongoProvider');
+
+// Domain-intelligence providers answer lookup(domain) with
+// { domain, registeredAt, registrar, tls: { valid, issuer, expiresAt } } or null when unknown.
+// DOMAIN_INTEL_PROVIDERS is a comma-separated list tried in order: "mongo", "file"
+// (reads DOMAIN_INTEL_FILE), "none", or a path to a module exporting { name, lookup }
+// so a WHOIS/RDAP client can be plugged in without touching the analyzer.
+const createProvider = (name) => {
+  switch (name) {
+    case 'mongo':
+      return createMongoProvider();
+    case 'file':
+      if (!process.env.DOMAIN_INTEL_FILE) {
+        throw new Error('DOMAIN_INTEL_FILE must be set to use the file domain-intelligence provider');
+      }
+      return createFileProvider(process.env.DOMAIN_INTEL_FILE);
+    default:
+      return require(path.resolve(name));
+  }
+};
+
+let providers = null;
+
+const getProviders = () => {
+  if (!providers) {
+    providers = (process.env.DOMAIN_INTEL_PROVIDERS || 'mongo')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => name && name !== 'none')
+      .map(createProvider);
+  }
+  return providers;
+};
+
+// Replace the configured providers (tests and custom setups)
+exports.setProviders = (list) => {
+  providers = list;
+};
+
+// Whether any provider is configured; with none, no scan can have domain facts
+exports.hasProviders = () => getProviders().length > 0;
+
+// Look up a domain with each provider in turn; the first answer wins
+// A failing provider is skipped so missing intelligence never fails a scan
+exports.lookupDomain = async (domain) => {
+  for (const provider of getProviders()) {
+    try {
+      const record = await provider.lookup(domain);
+      if (record) {
+        return { ...record, domain, provider: provider.name };
+      }
+    } catch (error) {
+      console.error(`Domain lookup for ${domain} via ${provider.name} failed: ${error.message}`);
+    }
+  }
+  return null;
+};
+
+// Look up several domains at once, returning a map of domain to record (or null)
+exports.lookupDomains = async (domains) => {
+  const unique = Array.from(new Set(domains.filter(Boolean)));
+  const records = await Promise.all(unique.map(domain => exports.lookupDomain(domain)));
+  return new Map(unique.map((domain, i) => [domain, records[i]]));
+};
@@ -0,0 +1,9 @@
+const DomainRecord = require('../../../models/DomainRecord');
+
+// Domain facts stored in the domainrecords collection
+const createMongoProvider = () => ({
+  name: 'mongo',
+  lookup: async (domain) => await DomainRecord.findOne({ domain }).lean()
+});
+
+module.exports = createMongoProvider;
@@ -0,0 +1,201 @@
+// Company email checks: free and disposable providers, website mismatch, lookalike domains and role accounts
+const fs = require('fs');
+const { domainToASCII } = require('url');
+const bundled = require('./data/emailProviders.json');
+const reputation = require('./data/domainReputation.json');
+const { analyzeUrl, getRegistrableDomain, editDistance, skeleton, brandPart } = require('./urlAnalysis');
+
+// EMAIL_PROVIDERS_FILE can add domains to the bundled lists without a code change
+const loadProviders = () => {
+  const lists = {
+    free: new Set(bundled.free),
+    disposable: new Set(bundled.disposable),
+    recruitingPlatforms: new Set(bundled.recruitingPlatforms)
+  };
+
+  if (process.env.EMAIL_PROVIDERS_FILE) {
+    const extra = JSON.parse(fs.readFileSync(process.env.EMAIL_PROVIDERS_FILE, 'utf8'));
+    Object.keys(lists).forEach(key => (extra[key] || []).forEach(domain => lists[key].add(domain.toLowerCase())));
+  }
+
+  return lists;
+};
+
+const providers = loadProviders();
+
+// Local parts that name a department rather than a person
+const ROLE_ACCOUNTS = [
+  'hr', 'jobs', 'job', 'careers', 'career', 'recruitment', 'recruiting', 'recruiter', 'hiring', 'talent',
+  'apply', 'applications', 'employment', 'personnel', 'staffing', 'info', 'admin', 'office', 'contact',
+  'support', 'team', 'hello', 'noreply', 'no-reply', 'humanresources', 'onboarding', 'payroll'
+];
+
+const LOCAL_PART_PATTERN = /^[a-z0-9._%+-]+$/i;
+const HOSTNAME_PATTERN = /^([a-z0-9-]+\.)+[a-z0-9-]{2,}$/i;
+
+// Shortest company name word worth looking for inside an address
+const MIN_NAME_LENGTH = 4;
+
+// True when a provider list contains the domain or a parent of it
+const listed = (list, domain) => {
+  const labels = domain.split('.');
+  return labels.some((_, i) => list.has(labels.slice(i).join('.')));
+};
+
+const companyWords = (companyName) =>
+  (companyName || '')
+    .toLowerCase()
+    .replace(/\b(inc|llc|ltd|limited|corp|corporation|company|co|group|plc|gmbh)\b/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= MIN_NAME_LENGTH);
+
+// Role-style addresses ("hr.department", "careers-acme") split into words
+const isRoleAccount = (localPart) =>
+  localPart.split(/[._+-]+/).some(word => ROLE_ACCOUNTS.includes(word)) || ROLE_ACCOUNTS.includes(localPart);
+
+// The company's own name under another public suffix (acme.co.uk for acme.com), as companies
+// register for their regional offices; a suffix scammers favour (acme.xyz) does not count
+// Both domains are registrable domains
+const isRegionalDomain = (emailDomain, websiteDomain) => {
+  const emailLabel = emailDomain.split('.')[0];
+  const suffix = emailDomain.slice(emailLabel.length + 1);
+  return emailLabel === websiteDomain.split('.')[0] && !reputation.suspiciousTlds.includes(suffix.split('.').pop());
+};
+
+// Email domain that imitates the company's own website domain: same name on a suspicious
+// suffix, the name plus extra words (acme-careers.com), a misspelling or lookalike characters
+const imitatesWebsite = (emailDomain, websiteDomain) => {
+  const emailLabel = emailDomain.split('.')[0];
+  const websiteLabel = websiteDomain.split('.')[0];
+
+  if (emailLabel === websiteLabel) {
+    return !isRegionalDomain(emailDomain, websiteDomain);
+  }
+  if (websiteLabel.length < MIN_NAME_LENGTH) {
+    return false;
+  }
+
+  const allowed = websiteLabel.length >= 8 ? 2 : 1;
+  const parts = emailLabel.split('-');
+  return [emailLabel, ...(parts.length > 1 ? parts : [])].some(word =>
+    word === websiteLabel ||
+    skeleton(word) === skeleton(websiteLabel) ||
+    editDistance(word, websiteLabel) <= allowed
+  );
+};
+
+// Without a website the real domain is unknown, so only a company name spelled with lookalike
+// characters, alone or next to recruiting words (amaz0n-careers.com for Amazon), counts
+const imitatesName = (emailDomain, name) => {
+  const emailLabel = emailDomain.split('.')[0];
+  return [emailLabel, brandPart(emailLabel)].some(word =>
+    word && word !== name && skeleton(word) === skeleton(name));
+};
+
+// Analyze the company email against the website and company name
+// Returns the emailAnalysis fields plus the domain's URL reputation (domainAnalysis)
+const analyzeEmail = (email, { companyWebsite, companyName } = {}) => {
+  const address = (email || '').trim().toLowerCase();
+  const result = {
+    address: address || null,
+    domain: null,
+    isValidDomain: false,
+    isFreeProvider: false,
+    isDisposable: false,
+    isRoleAccount: false,
+    matchesWebsite: null,
+    websiteDomain: null,
+    lookalikeOf: null,
+    checks: [],
+    domainAnalysis: null
+  };
+
+  const addCheck = (check, description) => result.checks.push({ check, description });
+
+  if (!address) {
+    return result;
+  }
+
+  // Internationalized domains are checked in their punycode form, like URLs
+  const at = address.lastIndexOf('@');
+  const localPart = address.slice(0, at);
+  const hostname = domainToASCII(address.slice(at + 1));
+
+  if (at < 1 || !LOCAL_PART_PATTERN.test(localPart) || !HOSTNAME_PATTERN.test(hostname)) {
+    addCheck('invalid_address', `${address} is not a valid email address`);
+    return result;
+  }
+
+  const domain = getRegistrableDomain(hostname);
+  const website = companyWebsite ? analyzeUrl(companyWebsite) : null;
+
+  result.domain = hostname;
+  result.isFreeProvider = listed(providers.free, hostname);
+  result.isDisposable = listed(providers.disposable, hostname);
+  result.isValidDomain = !result.isDisposable;
+  result.isRoleAccount = isRoleAccount(localPart);
+  result.domainAnalysis = analyzeUrl(hostname);
+
+  if (result.isDisposable) {
+    addCheck('disposable_provider', `${hostname} is a disposable email service`);
+  } else if (result.isFreeProvider) {
+    addCheck('free_provider', `${hostname} is a free email provider, not a company domain`);
+  }
+
+  // Department or company names on a free mailbox pretend to be a corporate address
+  const freeMailbox = result.isFreeProvider || result.isDisposable;
+  const namedAfterCompany = companyWords(companyName).some(word => localPart.includes(word));
+  if (freeMailbox && (result.isRoleAccount || namedAfterCompany)) {
+    addCheck('role_account_on_free_provider', `${address} looks like a company ${result.isRoleAccount ? 'department' : 'address'} but is a personal ${hostname} mailbox`);
+  }
+
+  if (result.domainAnalysis && result.domainAnalysis.lookalikeOf) {
+    result.lookalikeOf = result.domainAnalysis.lookalikeOf;
+  }
+
+  if (website && !website.isIpHost && !freeMailbox) {
+    result.websiteDomain = website.domain;
+    result.matchesWebsite = domain === website.domain || isRegionalDomain(domain, website.domain);
+
+    if (!result.matchesWebsite && !listed(providers.recruitingPlatforms, hostname)) {
+      if (imitatesWebsite(domain, website.domain)) {
+        result.lookalikeOf = result.lookalikeOf || website.domain;
+        addCheck('lookalike_website', `Email domain ${domain} imitates the company website domain ${website.domain}`);
+      } else {
+        addCheck('website_mismatch', `Email domain ${domain} does not match the company website domain ${website.domain}`);
+      }
+    }
+  } else if (!website && !freeMailbox) {
+    const imitated = companyWords(companyName).find(word => imitatesName(domain, word));
+    if (imitated) {
+      result.lookalikeOf = result.lookalikeOf || companyName;
+      addCheck('lookalike_company_name', `Email domain ${domain} imitates the company name ${companyName}`);
+    }
+  }
+
+  return result;
+};
+
+// Summary line for emailAnalysis.details
+const describeEmail = (analysis) => {
+  const headerChecks = analysis.headers ? analysis.headers.checks : [];
+  if (!analysis.address) {
+    return headerChecks.length > 0 ? headerChecks.map(check => check.description).join('; ') : 'No company email provided';
+  }
+  const checks = [
+    ...analysis.checks,
+    ...(analysis.domainAnalysis ? analysis.domainAnalysis.checks : []),
+    ...headerChecks
+  ];
+  if (checks.length > 0) {
+    return checks.map(check => check.description).join('; ');
+  }
+  return analysis.matchesWebsite
+    ? `Email domain ${analysis.domain} matches the company website`
+    : `Email domain ${analysis.domain} analyzed, no issues found`;
+};
+
+module.exports = {
+  analyzeEmail,
+  describeEmail
+};
@@ -0,0 +1,178 @@
+// Header checks for uploaded recruiter emails: Reply-To diversion, display-name spoofing,
+// SPF/DKIM/DMARC results and the Received chain
+const net = require('net');
+const reputation = require('./data/domainReputation.json');
+const { getRegistrableDomain } = require('./urlAnalysis');
+const { isBlockedAddress } = require('../safeFetch');
+
+// More relays than any normal delivery path needs
+const MAX_RECEIVED_HOPS = 15;
+
+// How far a hop's timestamp may run ahead of the next one before the chain looks forged
+const CLOCK_SKEW_MS = 60 * 60 * 1000;
+
+// Authentication results that mean the sender could not be verified
+const FAILED_RESULTS = ['fail', 'softfail', 'permerror'];
+
+// Reverse DNS names given to home and mobile connections rather than mail servers
+const DYNAMIC_HOST = /\b(?:a?dsl|dyn|dynamic|dhcp|pool|pppoe?|cable|dial-?up|broadband|residential)\b|\d{1,3}[-.]\d{1,3}[-.]\d{1,3}[-.]\d{1,3}/i;
+
+const EMAIL_IN_TEXT = /[a-z0-9._%+-]+@([a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})/i;
+
+const domainOf = (address) => {
+  const at = (address || '').lastIndexOf('@');
+  return at > 0 ? getRegistrableDomain(address.slice(at + 1).toLowerCase()) : null;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Well-known brand named in the display name while the address belongs to someone else
+const spoofedBrand = (name, fromDomain) => {
+  const brand = reputation.brands.find(candidate =>
+    new RegExp(`\\b${escapeRegExp(candidate.name)}\\b`, 'i').test(name)
+  );
+  if (!brand) {
+    return null;
+  }
+  const owned = brand.domains.map(domain => getRegistrableDomain(domain));
+  return owned.includes(fromDomain) ? null : brand;
+};
+
+// First result for each method, taking the topmost header first: it was added by the
+// receiving server, while lower ones may have been written by the sender
+const readAuthentication = (headers) => {
+  const results = { spf: null, dkim: null, dmarc: null };
+
+  headers.forEach(header => {
+    const pattern = /\b(spf|dkim|dmarc)\s*=\s*([a-z]+)/gi;
+    let match;
+    while ((match = pattern.exec(header)) !== null) {
+      const method = match[1].toLowerCase();
+      if (!results[method]) {
+        results[method] = match[2].toLowerCase();
+      }
+    }
+  });
+
+  return results;
+};
+
+// "from helo (rdns [ip]) by host ...; date" split into its parts
+const parseReceived = (header) => {
+  const text = header.replace(/\s+/g, ' ');
+  const helo = text.match(/^\s*from\s+([^\s()]+)/i);
+  const peer = text.match(/\(\s*([^\s()[\]]*)\s*\[(?:ipv6:)?([0-9a-f.:]+)\]/i);
+  const semicolon = text.lastIndexOf(';');
+  const date = semicolon >= 0 ? new Date(text.slice(semicolon + 1).trim()) : null;
+
+  return {
+    helo: helo ? helo[1].toLowerCase() : null,
+    host: peer && peer[1] ? peer[1].toLowerCase().replace(/\.$/, '') : null,
+    ip: peer ? peer[2] : null,
+    date: date && !isNaN(date.getTime()) ? date : null
+  };
+};
+
+// Oldest hop that came from the public internet: where the message really entered the mail system
+const findOrigin = (hops) =>
+  [...hops].reverse().find(hop => hop.ip && net.isIP(hop.ip) && !isBlockedAddress(hop.ip)) || null;
+
+const checkReceivedChain = (received, fromDomain, addCheck) => {
+  const hops = received.map(parseReceived);
+
+  if (hops.length > MAX_RECEIVED_HOPS) {
+    addCheck('received_hops', `The message passed through ${hops.length} mail servers, more than normal delivery needs`);
+  }
+
+  const origin = findOrigin(hops);
+  if (origin) {
+    if (!origin.host || origin.host === 'unknown') {
+      addCheck('received_no_reverse_dns', `The message was sent from ${origin.ip}, which has no reverse DNS name`);
+    } else if (DYNAMIC_HOST.test(origin.host)) {
+      addCheck('received_dynamic_origin', `The message was sent from ${origin.host}, a home or dynamic connection rather than a mail server`);
+    }
+
+    // A HELO naming the sender's own domain from a server on another domain
+    const heloDomain = origin.helo && !net.isIP(origin.helo.replace(/^\[|\]$/g, '')) ? getRegistrableDomain(origin.helo) : null;
+    const hostDomain = origin.host && origin.host !== 'unknown' ? getRegistrableDomain(origin.host) : null;
+    if (fromDomain && heloDomain === fromDomain && hostDomain && hostDomain !== fromDomain) {
+      addCheck('received_forged_helo', `The sending server introduced itself as ${origin.helo} but is ${origin.host}`);
+    }
+  }
+
+  // Headers run newest first, so each hop should be no older than the one below it
+  const reversed = hops.findIndex((hop, i) =>
+    i + 1 < hops.length && hop.date && hops[i + 1].date && hops[i + 1].date - hop.date > CLOCK_SKEW_MS
+  );
+  if (reversed >= 0) {
+    addCheck('received_time_anomaly', 'Received headers are out of time order, which suggests some were forged');
+  }
+
+  return { hops: hops.length, origin };
+};
+
+// Analyze stored email headers ({ from, replyTo, returnPath, subject, authenticationResults, received })
+// Returns the emailAnalysis.headers fields with a list of checks
+const analyzeEmailHeaders = (headers) => {
+  const from = headers.from || {};
+  const fromDomain = domainOf(from.address);
+  const result = {
+    from: from.address || null,
+    fromName: from.name || null,
+    replyTo: headers.replyTo ? headers.replyTo.address : null,
+    returnPath: headers.returnPath || null,
+    subject: headers.subject || null,
+    spf: null,
+    dkim: null,
+    dmarc: null,
+    hops: 0,
+    originHost: null,
+    originIp: null,
+    spoofedBrand: null,
+    checks: []
+  };
+
+  const addCheck = (check, description) => result.checks.push({ check, description });
+
+  const replyToDomain = domainOf(result.replyTo);
+  if (fromDomain && replyToDomain && replyToDomain !== fromDomain) {
+    addCheck('reply_to_mismatch', `Replies go to ${result.replyTo}, not to the sender's domain ${fromDomain}`);
+  }
+
+  if (result.fromName && fromDomain) {
+    const shownAddress = result.fromName.match(EMAIL_IN_TEXT);
+    if (shownAddress && getRegistrableDomain(shownAddress[1].toLowerCase()) !== fromDomain) {
+      addCheck('display_name_address', `Sender name shows ${shownAddress[0]} but the message came from ${result.from}`);
+    }
+
+    const brand = spoofedBrand(result.fromName, fromDomain);
+    if (brand) {
+      result.spoofedBrand = brand.name;
+      addCheck('display_name_spoofing', `Sender name "${result.fromName}" claims to be ${brand.name}, but the message came from ${fromDomain}`);
+    }
+  }
+
+  Object.assign(result, readAuthentication(headers.authenticationResults || []));
+  const failed = ['spf', 'dkim', 'dmarc'].filter(method => FAILED_RESULTS.includes(result[method]));
+  if (failed.length > 0) {
+    addCheck('authentication_failed', `The sender failed ${failed.map(method => `${method.toUpperCase()} (${result[method]})`).join(', ')} authentication`);
+  }
+
+  const chain = checkReceivedChain(headers.received || [], fromDomain, addCheck);
+  result.hops = chain.hops;
+  if (chain.origin) {
+    result.originHost = chain.origin.host;
+    result.originIp = chain.origin.ip;
+  }
+
+  return result;
+};
+
+// The named header check of a scan's context, if the uploaded email raised it
+const headerCheck = (context, name) =>
+  context.emailAnalysis.headers && context.emailAnalysis.headers.checks.find(check => check.check === name);
+
+module.exports = {
+  analyzeEmailHeaders,
+  headerCheck
+};
@@ -0,0 +1,212 @@
+// Extraction of URLs, email addresses, messaging handles, phone numbers and wallets from job description text
+// Offsets refer to the stored description so entities can be highlighted later
+const reputation = require('./data/domainReputation.json');
+const { analyzeUrl, getRegistrableDomain } = require('./urlAnalysis');
+const { findWalletAddresses } = require('./cryptoAddress');
+
+// TLDs accepted for bare domains without a scheme ("apply-now.xyz/form")
+const BARE_TLDS = [
+  'com', 'net', 'org', 'io', 'co', 'info', 'biz', 'us', 'uk', 'me', 'ly', 'gl', 'gg', 'in', 'ng', 'jobs',
+  ...reputation.suspiciousTlds
+];
+
+// Every pattern below starts only at a token boundary and bounds its repeats (64 characters
+// per local part, 63 per label, 10 labels), so a long run of letters or dots is scanned in
+// linear time instead of being retried from every character
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/gi;
+const BARE_DOMAIN_PATTERN = new RegExp(
+  `(?<![@\\w.-])(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\\.){1,10}(?:${BARE_TLDS.join('|')})(?![\\w-])(?:\\/[^\\s<>"'\`]*)?`,
+  'gi'
+);
+const EMAIL_PATTERN = /(?<![a-z0-9._%+-])[a-z0-9._%+-]{1,64}@[a-z0-9-]{1,63}(?:\.[a-z0-9-]{1,63}){0,9}\.[a-z]{2,24}(?![a-z0-9-])/gi;
+
+// "jane [at] example [dot] com" and similar spelled-out addresses
+const SPELLED_EMAIL_PATTERN = /(?<![a-z0-9._%+-])([a-z0-9._%+-]{1,64})\s*[[(]\s*at\s*[\])]\s*([a-z0-9-]{1,63}(?:\s*[[(]\s*dot\s*[\])]\s*[a-z0-9-]{1,63}){1,10})/gi;
+
+// Phone numbers written in international format (+44 20 7946 0958, 00234 803 123 4567)
+const PHONE_PATTERN = /(?<![\w+])(?:\+|00)\d{1,3}(?:[\s.-]?\(?\d{1,5}\)?){2,5}(?!\w)/g;
+const MIN_PHONE_DIGITS = 8;
+const MAX_PHONE_DIGITS = 15;
+
+const ANCHOR_PATTERN = /<a\s[^>]*?href\s*=\s*(["']?)([^"'\s>]+)\1[^>]*>([\s\S]*?)<\/a\s*>/gi;
+
+// Messaging handles written out next to the app name
+const HANDLE_PATTERNS = [
+  { platform: 'telegram', pattern: /\btelegram\b\W{0,3}(?:id|handle|username|user)?\W{0,3}@([a-z][a-z0-9_]{4,31})/gi },
+  { platform: 'skype', pattern: /\bskype\b\W{0,3}(?:id|name|username)?\W{0,3}(live:[\w.-]+|[a-z][\w.,-]{5,31})/gi },
+  { platform: 'wechat', pattern: /\bwechat\b\W{0,3}(?:id)?\W{0,3}([a-z][\w-]{5,19})/gi },
+  { platform: 'discord', pattern: /\bdiscord\b\W{0,3}(?:id|username|user)?\W{0,3}@?([a-z0-9_.]{2,32}(?:#\d{4})?)/gi }
+];
+
+// Messaging invite links and the handle they identify
+const MESSAGING_HOSTS = [
+  { platform: 'telegram', hosts: ['t.me', 'telegram.me', 'telegram.dog'], handle: (url) => url.pathname.split('/')[1] },
+  { platform: 'whatsapp', hosts: ['wa.me'], handle: (url) => url.pathname.split('/')[1] },
+  { platform: 'whatsapp', hosts: ['api.whatsapp.com'], handle: (url) => url.searchParams.get('phone') },
+  { platform: 'whatsapp', hosts: ['chat.whatsapp.com'], handle: (url) => url.pathname.split('/')[1] },
+  { platform: 'signal', hosts: ['signal.me', 'signal.group'], handle: (url) => url.hash.replace(/^#(p\/)?/, '') },
+  { platform: 'discord', hosts: ['discord.gg'], handle: (url) => url.pathname.split('/')[1] },
+  { platform: 'discord', hosts: ['discord.com'], handle: (url) => url.pathname.replace(/^\/invite\//, '') }
+];
+
+// Trailing punctuation belongs to the sentence, not the link
+const trimUrl = (value) => value.replace(/[.,;:!?)\]}>'"]+$/, '');
+
+const overlaps = (entities, start, end) =>
+  entities.some(entity => start < entity.end && end > entity.start);
+
+const isHtml = (text) => /<a\s[^>]*href\s*=/i.test(text) || /<(p|div|br|span|html|body)\b[^>]*>/i.test(text);
+
+const toUrl = (value) => {
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+  } catch (err) {
+    return null;
+  }
+};
+
+const messagingHandle = (value) => {
+  const url = toUrl(value);
+  if (!url) {
+    return null;
+  }
+
+  const entry = MESSAGING_HOSTS.find(candidate => candidate.hosts.includes(url.hostname.replace(/^www\./, '')));
+  const handle = entry && entry.handle(url);
+  return handle ? { platform: entry.platform, value: handle } : null;
+};
+
+// Links whose visible text names a different domain than the one they open
+const findLinkMismatches = (text) => {
+  const mismatches = [];
+  let match;
+
+  ANCHOR_PATTERN.lastIndex = 0;
+  while ((match = ANCHOR_PATTERN.exec(text)) !== null) {
+    const [, , href, inner] = match;
+    const anchorText = inner.replace(/<[^>]*>/g, '').trim();
+    const shown = anchorText.match(/(?:https?:\/\/)?(?:[a-z0-9-]+\.)+[a-z]{2,}/i);
+    const shownUrl = shown && toUrl(shown[0]);
+    const targetUrl = toUrl(href);
+
+    if (!shownUrl || !targetUrl || !/^https?:$/.test(targetUrl.protocol)) {
+      continue;
+    }
+
+    const shownDomain = getRegistrableDomain(shownUrl.hostname);
+    const targetDomain = getRegistrableDomain(targetUrl.hostname);
+
+    if (shownDomain !== targetDomain) {
+      mismatches.push({
+        anchorText,
+        href,
+        start: match.index,
+        end: match.index + match[0].length,
+        description: `Link text shows ${shownDomain} but opens ${targetDomain}`
+      });
+    }
+  }
+
+  return mismatches;
+};
+
+// Pull every URL, email address, messaging handle, phone number and wallet address out of the text
+// Each URL and email domain carries the same reputation checks as jobUrl
+const extractEntities = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  const entities = [];
+  const add = (entity) => {
+    if (!overlaps(entities, entity.start, entity.end)) {
+      entities.push(entity);
+    }
+  };
+  let match;
+
+  // Hrefs first, so the visible anchor text does not shadow the real target
+  if (isHtml(text)) {
+    ANCHOR_PATTERN.lastIndex = 0;
+    while ((match = ANCHOR_PATTERN.exec(text)) !== null) {
+      const href = match[2];
+      const start = match.index + match[0].indexOf(href);
+      if (/^mailto:/i.test(href)) {
+        add({ type: 'email', value: href.slice(7).split('?')[0].toLowerCase(), start, end: start + href.length });
+      } else if (/^https?:\/\//i.test(href)) {
+        add({ type: 'url', value: href, start, end: start + href.length });
+      }
+    }
+  }
+
+  [EMAIL_PATTERN, SPELLED_EMAIL_PATTERN].forEach(pattern => {
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+      const value = pattern === SPELLED_EMAIL_PATTERN
+        ? `${match[1]}@${match[2].replace(/\s*[[(]\s*dot\s*[\])]\s*/gi, '.')}`
+        : match[0];
+      add({ type: 'email', value: value.toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+  });
+
+  [URL_PATTERN, BARE_DOMAIN_PATTERN].forEach(pattern => {
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+      const value = trimUrl(match[0]);
+      add({ type: 'url', value, start: match.index, end: match.index + value.length });
+    }
+  });
+
+  // Wallets before phone numbers, so digits inside an address are not read as a number
+  findWalletAddresses(text).forEach(wallet => add({ type: 'wallet', platform: wallet.network, value: wallet.value, start: wallet.start, end: wallet.end }));
+
+  PHONE_PATTERN.lastIndex = 0;
+  while ((match = PHONE_PATTERN.exec(text)) !== null) {
+    const digits = match[0].replace(/\D/g, '').replace(/^00/, '');
+    if (digits.length >= MIN_PHONE_DIGITS && digits.length <= MAX_PHONE_DIGITS) {
+      add({ type: 'phone', value: `+${digits}`, start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  HANDLE_PATTERNS.forEach(({ platform, pattern }) => {
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+      const value = trimUrl(match[1]);
+      const start = match.index + match[0].lastIndexOf(match[1]);
+      add({ type: 'handle', platform, value, start, end: start + value.length });
+    }
+  });
+
+  // Keep the first occurrence of each value, in text order
+  const seen = new Set();
+  return entities
+    .sort((a, b) => a.start - b.start)
+    .filter(entity => {
+      const key = `${entity.type}:${entity.value.toLowerCase()}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .flatMap(entity => {
+      if (entity.type === 'email') {
+        return [{ ...entity, analysis: analyzeUrl(entity.value.split('@')[1]) }];
+      }
+      if (entity.type !== 'url') {
+        return [entity];
+      }
+
+      const handle = messagingHandle(entity.value);
+      const urlEntity = { ...entity, analysis: analyzeUrl(entity.value) };
+      return handle
+        ? [urlEntity, { type: 'handle', platform: handle.platform, value: handle.value, start: entity.start, end: entity.end }]
+        : [urlEntity];
+    });
+};
+
+module.exports = {
+  extractEntities,
+  findLinkMismatches,
+  isHtml
+};
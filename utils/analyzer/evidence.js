@@ -0,0 +1,126 @@
+// Evidence behind each warning flag: the text a rule matched, as offsets into the stored fields,
+// and the description annotated with the sentences that raised flags
+
+// Most evidence spans kept per flag
+const MAX_EVIDENCE = 10;
+
+// Records the spans rules cite while they run
+// Spans are { start, end } offsets into the normalized field unless raw is set, for all spans
+// or for a span that carries raw: true (entities)
+const createEvidenceRecorder = (jobScan, offsets) => {
+  let current = null;
+
+  const toRaw = (field, span) => {
+    if (span.end <= span.start) {
+      return null;
+    }
+    const map = offsets[field];
+    return map && map[span.start] !== undefined && map[span.end - 1] !== undefined
+      ? [map[span.start], map[span.end - 1] + 1]
+      : null;
+  };
+
+  const cite = (field, spans, { raw = false } = {}) => {
+    if (!current) {
+      return;
+    }
+
+    const original = jobScan[field] || '';
+    spans.forEach(span => {
+      const range = raw || span.raw ? [span.start, span.end] : toRaw(field, span);
+      if (!range || range[0] < 0 || range[1] > original.length || range[1] <= range[0]) {
+        return;
+      }
+      current.push({ field, start: range[0], end: range[1], text: original.slice(range[0], range[1]) });
+    });
+  };
+
+  // Run a rule and return its result with the distinct spans it cited, in text order
+  const collect = (run) => {
+    const previous = current;
+    current = [];
+    try {
+      const result = run();
+      const seen = new Set();
+      const evidence = current
+        .filter(item => {
+          const key = `${item.field}:${item.start}:${item.end}`;
+          return seen.has(key) ? false : seen.add(key);
+        })
+        .sort((a, b) => (a.field === b.field ? a.start - b.start : a.field < b.field ? -1 : 1))
+        .slice(0, MAX_EVIDENCE);
+      return { result, evidence };
+    } finally {
+      current = previous;
+    }
+  };
+
+  // Whole-field evidence for rules about a field's value rather than a phrase in it
+  const citeField = (field) => {
+    const value = jobScan[field] || '';
+    if (value) {
+      cite(field, [{ start: 0, end: value.length }], { raw: true });
+    }
+  };
+
+  return { cite, citeField, collect };
+};
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Sentence boundaries: end punctuation followed by whitespace, or a line break
+const SENTENCE_BOUNDARY = /[.!?]+(?=\s)|\n+/g;
+
+const splitSentences = (text) => {
+  const sentences = [];
+  let start = 0;
+  let match;
+
+  SENTENCE_BOUNDARY.lastIndex = 0;
+  while ((match = SENTENCE_BOUNDARY.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    sentences.push([start, end]);
+    start = end;
+  }
+  if (start < text.length) {
+    sentences.push([start, text.length]);
+  }
+  return sentences;
+};
+
+// The description split into consecutive segments, with the sentences holding evidence marked
+// Returns [{ start, end, text, flags?: [{ ruleId, type, severity }], severity? }]; concatenating
+// the segments' text gives back the description
+const annotateDescription = (description, warningFlags) => {
+  const text = description || '';
+  const cited = (warningFlags || [])
+    .filter(flag => flag.detected !== false)
+    .flatMap(flag => (flag.evidence || [])
+      .filter(item => item.field === 'jobDescription')
+      .map(item => ({ ...item, flag })));
+
+  return splitSentences(text).map(([start, end]) => {
+    const segment = { start, end, text: text.slice(start, end) };
+    const flags = [];
+
+    cited
+      .filter(item => item.start < end && item.end > start)
+      .forEach(({ flag }) => {
+        if (!flags.some(existing => existing.ruleId === flag.ruleId)) {
+          flags.push({ ruleId: flag.ruleId, type: flag.type, severity: flag.severity });
+        }
+      });
+
+    if (flags.length > 0) {
+      segment.flags = flags;
+      segment.severity = flags.reduce((worst, flag) =>
+        (SEVERITY_RANK[flag.severity] || 0) > (SEVERITY_RANK[worst] || 0) ? flag.severity : worst, 'low');
+    }
+    return segment;
+  });
+};
+
+module.exports = {
+  createEvidenceRecorder,
+  annotateDescription
+};
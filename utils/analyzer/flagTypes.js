@@ -0,0 +1,20 @@
+// Warning flag types a detector may emit
+module.exports = [
+  'fake_recruiter',
+  'phishing',
+  'advance_fee',
+  'data_harvesting',
+  'mlm_disguised',
+  'unrealistic_salary',
+  'vague_description',
+  'pressure_tactics',
+  'suspicious_email',
+  'no_company_presence',
+  'upfront_payment',
+  'personal_info_request',
+  'obfuscated_text',
+  'malicious_document',
+  'off_platform_contact',
+  'payment_channel',
+  'domain_reputation'
+];
@@ -0,0 +1,466 @@
+const { loadRules, runRules, getDetectors } = require('./ruleEngine');
+const { createMatcher } = require('./textMatcher');
+const { normalizeText } = require('./normalizer');
+const { extractSalary, assessSalary } = require('./salary');
+const { analyzeUrl } = require('./urlAnalysis');
+const { extractEntities, findLinkMismatches, isHtml } = require('./entities');
+const { analyzeEmail, describeEmail } = require('./emailAnalysis');
+const { analyzeEmailHeaders } = require('./emailHeaders');
+const { parseConversation, stageOf, describeEscalation } = require('./conversation');
+const { lookupDomains } = require('./domainIntel');
+const { applyProfile } = require('./scanTypes');
+const { classify } = require('./classifier');
+const { scoreRules } = require('./scoring');
+const { createEvidenceRecorder } = require('./evidence');
+const { assessCoverage } = require('./coverage');
+
+// Register built-in detectors
+require('./detectors');
+
+// Bump whenever detection logic changes so stored verdicts can be traced and re-run
+// Scans without a version were produced by the original hard-coded analyzer (1.0.0)
+const ANALYZER_VERSION = '3.1.0';
+
+// Fields rules can match against, with the normalization mode each one gets
+const TEXT_FIELDS = {
+  jobDescription: 'full',
+  jobTitle: 'full',
+  companyName: 'full',
+  companyEmail: 'identifier',
+  companyWebsite: 'identifier',
+  jobUrl: 'identifier'
+};
+
+// Characters of surrounding text kept on each side of a quoted match
+const EXCERPT_PADDING = 25;
+
+// Quote spans of the original text with a little context, widened to whole words
+// Spans close enough to share context are quoted together
+const excerpt = (text, spans) => {
+  const ranges = spans
+    .map(([start, end]) => {
+      let from = Math.max(0, start - EXCERPT_PADDING);
+      let to = Math.min(text.length, end + EXCERPT_PADDING);
+
+      while (from > 0 && /\S/.test(text[from - 1])) from -= 1;
+      while (to < text.length && /\S/.test(text[to])) to += 1;
+
+      return [from, to];
+    })
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push(range);
+      }
+      return merged;
+    }, []);
+
+  return ranges.map(([from, to]) => {
+    const body = text.slice(from, to).replace(/\s+/g, ' ').trim();
+    return `"${from > 0 ? '…' : ''}${body}${to < text.length ? '…' : ''}"`;
+  });
+};
+
+// Build the context object passed to every rule
+const buildContext = (jobScan) => {
+  const fields = {};
+  const offsets = {};
+  const matchers = {};
+  const techniques = new Set();
+
+  Object.keys(TEXT_FIELDS).forEach(field => {
+    const normalized = normalizeText(jobScan[field] || '', TEXT_FIELDS[field]);
+
+    fields[field] = normalized.text.toLowerCase();
+    offsets[field] = normalized.offsets;
+    normalized.techniques.forEach(technique => techniques.add(technique));
+  });
+
+  const recorder = createEvidenceRecorder(jobScan, offsets);
+
+  // Tokenize each field once, on first use
+  const matcherFor = (field) => {
+    if (!matchers[field]) {
+      matchers[field] = createMatcher(fields[field]);
+    }
+    return matchers[field];
+  };
+
+  // Salary stated in the description, or read from the fetched posting's structured data,
+  // checked against the role benchmark
+  const stored = jobScan.salary && jobScan.salary.annualMaxUsd !== undefined && jobScan.salary.annualMaxUsd !== null
+    ? {
+      min: jobScan.salary.min,
+      max: jobScan.salary.max,
+      currency: jobScan.salary.currency,
+      period: jobScan.salary.period,
+      text: jobScan.salary.text,
+      annualMinUsd: jobScan.salary.annualMinUsd,
+      annualMaxUsd: jobScan.salary.annualMaxUsd
+    }
+    : null;
+  const salary = extractSalary(fields.jobDescription) || stored;
+  const salaryAnalysis = assessSalary(salary, {
+    jobTitle: fields.jobTitle,
+    location: (jobScan.location || '').toLowerCase(),
+    description: fields.jobDescription
+  });
+
+  // URL reputation works on the raw values, before homoglyphs are folded away
+  const urlAnalysis = {
+    jobUrl: jobScan.jobUrl ? analyzeUrl(jobScan.jobUrl) : null,
+    companyWebsite: jobScan.companyWebsite ? analyzeUrl(jobScan.companyWebsite) : null
+  };
+
+  const emailAnalysis = analyzeEmail(jobScan.companyEmail, {
+    companyWebsite: jobScan.companyWebsite,
+    companyName: jobScan.companyName
+  });
+
+  // Headers of an uploaded recruiter email
+  if (jobScan.emailHeaders && jobScan.emailHeaders.from && jobScan.emailHeaders.from.address) {
+    emailAnalysis.headers = analyzeEmailHeaders(jobScan.emailHeaders);
+  }
+
+  // Links, email addresses and messaging handles embedded in the description
+  const description = jobScan.jobDescription || '';
+  const entities = extractEntities(description);
+  const linkMismatches = isHtml(description) ? findLinkMismatches(description) : [];
+
+  return {
+    jobScan,
+    fields,
+    offsets,
+    // Speaker turns of a chat transcript, for conversation scans
+    conversation: jobScan.scanType === 'conversation' ? parseConversation(jobScan.jobDescription) : null,
+    obfuscation: Array.from(techniques),
+    salary,
+    salaryAnalysis,
+    urlAnalysis,
+    emailAnalysis,
+    entities,
+    linkMismatches,
+    // Every domain checked for reputation: job URL, website, company email and everything in the description
+    domainAnalyses: [
+      urlAnalysis.jobUrl,
+      urlAnalysis.companyWebsite,
+      emailAnalysis.domainAnalysis,
+      ...entities.map(entity => entity.analysis)
+    ].filter(Boolean),
+    // Quote matched spans from the original field text for flag descriptions; quoted spans
+    // are also recorded as the flag's evidence
+    // Spans are normalized offsets unless raw is set, for all of them or per span (entity
+    // offsets are already raw)
+    quote: (field, spans, { raw = false, limit = 3 } = {}) => {
+      recorder.cite(field, spans, { raw });
+      const original = jobScan[field] || '';
+      const ranges = spans.map(span => raw || span.raw
+        ? [span.start, span.end]
+        : [offsets[field][span.start], offsets[field][span.end - 1] + 1]);
+      return excerpt(original, ranges).slice(0, limit).join(', ');
+    },
+    // Record spans as evidence without quoting them
+    cite: recorder.cite,
+    citeField: recorder.citeField,
+    // Cite every place a domain analysis matching the predicate came from: the job URL,
+    // website, company email or a link or address in the description
+    citeDomains: (predicate) => {
+      [['jobUrl', urlAnalysis.jobUrl], ['companyWebsite', urlAnalysis.companyWebsite], ['companyEmail', emailAnalysis.domainAnalysis]]
+        .filter(([, analysis]) => analysis && predicate(analysis))
+        .forEach(([field]) => recorder.citeField(field));
+      recorder.cite('jobDescription', entities.filter(entity => entity.analysis && predicate(entity.analysis)), { raw: true });
+    },
+    // Run a rule, returning its result and the evidence it cited
+    collectEvidence: recorder.collect,
+    findPhrase: (field, spec) => matcherFor(field).findPhrase(spec),
+    // Every match counts as evidence, not just the first
+    hasAnyPhrase: (field, specs) => {
+      const found = specs.flatMap(spec => matcherFor(field).findPhrase(spec));
+      recorder.cite(field, found);
+      return found.length > 0;
+    },
+    matchesAny: (field, expressions) => {
+      const found = expressions
+        .map(re => fields[field].match(re))
+        .filter(Boolean)
+        .map(match => ({ start: match.index, end: match.index + match[0].length }));
+      recorder.cite(field, found);
+      return found.length > 0;
+    }
+  };
+};
+
+// Most domains looked up per scan, so a description stuffed with links cannot fan out
+const MAX_DOMAIN_LOOKUPS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Registration and certificate facts for the domains behind the job URL, website, email and links
+// Returns { domain: { domain, ageDays, registeredAt, registrar, tls, provider } } for known domains
+const gatherDomainIntel = async (context) => {
+  const { urlAnalysis, emailAnalysis, entities } = context;
+  const domains = [
+    urlAnalysis.companyWebsite,
+    urlAnalysis.jobUrl,
+    emailAnalysis.isFreeProvider || emailAnalysis.isDisposable ? null : emailAnalysis.domainAnalysis,
+    ...entities.filter(entity => entity.type === 'url').map(entity => entity.analysis)
+  ]
+    .filter(analysis => analysis && !analysis.isIpHost && !analysis.isShortener)
+    .map(analysis => analysis.domain);
+
+  const records = await lookupDomains(domains.slice(0, MAX_DOMAIN_LOOKUPS));
+  const intel = {};
+
+  records.forEach((record, domain) => {
+    if (!record) {
+      return;
+    }
+    const registeredAt = record.registeredAt ? new Date(record.registeredAt) : null;
+    intel[domain] = {
+      domain,
+      ageDays: registeredAt ? Math.floor((Date.now() - registeredAt.getTime()) / DAY_MS) : null,
+      registeredAt,
+      registrar: record.registrar || null,
+      tls: record.tls || null,
+      provider: record.provider
+    };
+  });
+
+  return intel;
+};
+
+// Age and certificate of the company website, or of the job URL when there is no website
+const describeSiteIntel = (context) => {
+  const site = context.urlAnalysis.companyWebsite || context.urlAnalysis.jobUrl;
+  const intel = site && context.domainIntel[site.domain];
+
+  if (!intel) {
+    return {};
+  }
+
+  return {
+    domainAge: intel.ageDays,
+    registeredAt: intel.registeredAt,
+    registrar: intel.registrar,
+    sslCertificate: intel.tls ? intel.tls.valid : undefined
+  };
+};
+
+// Summary line for websiteAnalysis.details
+const describeUrls = (urlAnalysis, jobScan) => {
+  const checks = Object.values(urlAnalysis).filter(Boolean).flatMap(analysis => analysis.checks);
+
+  if (checks.length > 0) {
+    return Array.from(new Set(checks.map(check => check.description))).join('; ');
+  }
+  if (jobScan.jobUrl || jobScan.companyWebsite) {
+    return 'No suspicious domain patterns found';
+  }
+  return 'No website provided';
+};
+
+// Summary line for linkAnalysis.details
+const describeEntities = (entities, mismatches) => {
+  if (entities.length === 0) {
+    return 'No links, email addresses or messaging handles found in the description';
+  }
+
+  const counts = ['url', 'email', 'handle']
+    .map(type => [type, entities.filter(entity => entity.type === type).length])
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${count} ${type}${count === 1 ? '' : 's'}`);
+  const flagged = entities.filter(entity => entity.analysis && entity.analysis.checks.length > 0).length;
+
+  const mismatched = mismatches.length === 1 ? '1 mismatched link' : `${mismatches.length} mismatched links`;
+
+  return `Found ${counts.join(', ')} in the description; ${flagged} with suspicious domains, ${mismatched}`;
+};
+
+// Longest turn text kept in a timeline entry
+const TIMELINE_EXCERPT_LENGTH = 200;
+
+// For conversation scans, the turn at which each fired rule first fires: rules are re-run on
+// the transcript cut after a turn, binary searching for the shortest prefix that still fires.
+// Rules that already fire on an empty transcript (missing website etc.) have no turn
+const buildTimeline = (jobScan, context, rules, firedRules) => {
+  const { turns } = context.conversation;
+  const snapshot = typeof jobScan.toObject === 'function' ? jobScan.toObject() : { ...jobScan };
+  const results = new Map();
+
+  const firedAfter = (count) => {
+    if (!results.has(count)) {
+      const prefix = count === 0 ? '' : snapshot.jobDescription.slice(0, turns[count - 1].end);
+      const prefixContext = buildContext({ ...snapshot, jobDescription: prefix });
+      prefixContext.domainIntel = context.domainIntel;
+      results.set(count, new Set(runRules(prefixContext, rules).map(rule => rule.id)));
+    }
+    return results.get(count);
+  };
+
+  const baseline = firedAfter(0);
+
+  return firedRules
+    .filter(rule => !baseline.has(rule.id) && firedAfter(turns.length).has(rule.id))
+    .map(rule => {
+      let low = 1;
+      let high = turns.length;
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (firedAfter(middle).has(rule.id)) {
+          high = middle;
+        } else {
+          low = middle + 1;
+        }
+      }
+
+      const turn = turns[low - 1];
+      const stage = stageOf(rule.id);
+      return {
+        turn: low,
+        speaker: turn.speaker,
+        timestamp: turn.timestamp,
+        excerpt: turn.text.length > TIMELINE_EXCERPT_LENGTH ? `${turn.text.slice(0, TIMELINE_EXCERPT_LENGTH)}…` : turn.text,
+        ruleId: rule.id,
+        flagType: rule.flagType,
+        severity: rule.severity,
+        stage: stage ? stage.stage : undefined,
+        description: rule.description
+      };
+    })
+    .sort((a, b) => a.turn - b.turn);
+};
+
+// Summary of a conversation scan for analysisResults.conversationAnalysis
+const describeConversation = (conversation, timeline) => {
+  if (!conversation) {
+    return {
+      turnCount: 0,
+      participants: [],
+      timeline: [],
+      stages: [],
+      details: 'No speaker-labelled turns found in the conversation'
+    };
+  }
+
+  const escalation = describeEscalation(timeline);
+  return {
+    platform: conversation.platform,
+    turnCount: conversation.turns.length,
+    participants: conversation.participants,
+    timeline,
+    stages: escalation.stages,
+    details: escalation.details
+  };
+};
+
+exports.ANALYZER_VERSION = ANALYZER_VERSION;
+exports.getDetectors = getDetectors;
+
+// Run every active rule against a job scan and build the analysis results
+// options.onStage(stage) is awaited after each analyzer stage completes
+exports.analyzeJobScan = async (jobScan, options = {}) => {
+  const onStage = options.onStage || (async () => {});
+
+  // Rules and weights for the kind of text submitted
+  const rules = applyProfile(await loadRules(), jobScan.scanType || 'posting');
+  const context = buildContext(jobScan);
+  context.domainIntel = await gatherDomainIntel(context);
+  await onStage('normalization');
+
+  const firedRules = runRules(context, rules);
+  await onStage('detection');
+
+  let timeline = [];
+  if (context.conversation) {
+    timeline = buildTimeline(jobScan, context, rules, firedRules);
+    await onStage('timeline');
+  }
+
+  // Blend in the trained classifier's probability when a model is installed and the scoring is not calibrated
+  const classifier = classify(context.fields);
+  const score = scoreRules(firedRules, classifier);
+  const { ruleProbability, scamProbability } = score;
+
+  const warningFlags = firedRules.map(rule => ({
+    type: rule.flagType,
+    severity: rule.severity,
+    description: rule.description,
+    ruleId: rule.id,
+    evidence: rule.evidence,
+    contribution: score.contributions[rule.id],
+    detected: true
+  }));
+
+  await onStage('scoring');
+
+  return {
+    analyzerVersion: ANALYZER_VERSION,
+    warningFlags,
+    scamProbability,
+    firedRules: firedRules.map(rule => rule.id),
+    salary: context.salary,
+    entities: context.entities,
+    coverage: assessCoverage(jobScan, context),
+    conversation: context.conversation,
+    details: {
+      scoring: {
+        method: score.method,
+        ruleProbability,
+        details: `${firedRules.length} rule(s) combined with ${score.method.replace('_', '-')} scoring into ${ruleProbability}%` +
+          (score.blended ? `, blended with the classifier into ${scamProbability}%` : '')
+      },
+      companyLegitimacy: {
+        score: 100 - ruleProbability,
+        details: `Analysis based on ${warningFlags.length} warning flags`
+      },
+      websiteAnalysis: {
+        exists: !!jobScan.companyWebsite,
+        ...describeSiteIntel(context),
+        jobUrl: context.urlAnalysis.jobUrl,
+        companyWebsite: context.urlAnalysis.companyWebsite,
+        details: describeUrls(context.urlAnalysis, jobScan)
+      },
+      emailAnalysis: {
+        ...context.emailAnalysis,
+        details: describeEmail(context.emailAnalysis)
+      },
+      contentAnalysis: {
+        clarity: jobScan.jobDescription ? 100 - ruleProbability : 0,
+        authenticity: 100 - ruleProbability,
+        details: 'Job description analyzed for scam patterns'
+      },
+      obfuscation: {
+        detected: context.obfuscation.length > 0,
+        techniques: context.obfuscation,
+        details: context.obfuscation.length > 0
+          ? `Text was obfuscated using: ${context.obfuscation.join(', ')}`
+          : 'No obfuscation detected'
+      },
+      linkAnalysis: {
+        total: context.entities.filter(entity => entity.type === 'url').length,
+        flagged: context.entities.filter(entity => entity.analysis && entity.analysis.checks.length > 0).length,
+        mismatches: context.linkMismatches.map(({ anchorText, href, description }) => ({ anchorText, href, description })),
+        details: describeEntities(context.entities, context.linkMismatches)
+      },
+      salaryAnalysis: context.salaryAnalysis || {
+        plausible: null,
+        details: 'No salary found in the description'
+      },
+      conversationAnalysis: jobScan.scanType === 'conversation'
+        ? describeConversation(context.conversation, timeline)
+        : undefined,
+      classifierAnalysis: classifier
+        ? {
+          ...classifier,
+          ruleProbability,
+          details: `Model ${classifier.modelVersion} rates this ${classifier.probability}% likely to be a scam` +
+            (classifier.indicators.length > 0 ? ` (strongest signs: ${classifier.indicators.map(feature => `"${feature}"`).join(', ')})` : '') +
+            (score.blended ? '' : '; not blended into the calibrated scoring')
+        }
+        : undefined
+    }
+  };
+};
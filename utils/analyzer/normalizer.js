@@ -0,0 +1,259 @@
+// Text normalization run before any detector, undoing common keyword-evasion tricks
+// Every step keeps a map from output characters back to offsets in the original text
+
+// Zero-width, soft hyphen, bidi and other invisible formatting characters
+const INVISIBLE = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/;
+
+// Cyrillic, Greek and Latin-extended letters that render like basic Latin letters
+const HOMOGLYPHS = {
+  'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'і': 'i',
+  'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w', 'һ': 'h', 'ӏ': 'l', 'ո': 'n',
+  'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P',
+  'С': 'C', 'Т': 'T', 'Х': 'X', 'У': 'Y', 'І': 'I', 'Ѕ': 'S', 'Ј': 'J', 'Ԁ': 'D',
+  'α': 'a', 'ο': 'o', 'ρ': 'p', 'ν': 'v', 'ι': 'i', 'κ': 'k', 'υ': 'u',
+  'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M',
+  'Ν': 'N', 'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X',
+  'ı': 'i', 'ɑ': 'a', 'ɡ': 'g', 'ɩ': 'i', 'ʏ': 'y'
+};
+
+// Leetspeak substitutions, only undone inside words that otherwise consist of letters
+const LEET = {
+  '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '|': 'l', '0': 'o', '5': 's', '$': 's', '7': 't'
+};
+
+// Words scammers disguise to slip past keyword filters; leetspeak and spaced-out spellings are
+// only repaired when they spell one of these, so "H1B", "Log4j", "U.S.A." and "A-B-C" stay as written
+const DISGUISED_KEYWORDS = new Set([
+  'fee', 'pay', 'payment', 'deposit', 'upfront', 'money', 'cash', 'check', 'cheque', 'refund',
+  'wire', 'transfer', 'bank', 'account', 'routing', 'invest', 'investment', 'crypto', 'bitcoin',
+  'btc', 'usdt', 'wallet', 'gift', 'card', 'zelle', 'venmo', 'cashapp', 'paypal', 'western',
+  'union', 'moneygram', 'ssn', 'social', 'security', 'password', 'passport', 'license',
+  'dob', 'telegram', 'whatsapp', 'signal', 'urgent', 'processing', 'registration', 'training',
+  'equipment', 'verify', 'verification', 'hire', 'hired', 'hiring', 'job', 'offer', 'interview',
+  'free', 'earn', 'profit', 'scam'
+]);
+
+const isDisguisedKeyword = (word) => {
+  const lower = word.toLowerCase();
+  return DISGUISED_KEYWORDS.has(lower) || (lower.endsWith('s') && DISGUISED_KEYWORDS.has(lower.slice(0, -1)));
+};
+
+const LATIN_LETTER = /[a-z]/i;
+const LETTER = /\p{L}/u;
+
+// URLs, email addresses and long codes (wallet addresses, reference IDs) are left untouched by leetspeak and spacing fixes
+// Email addresses only start at a token boundary and have bounded parts, so long runs of
+// word characters are not rescanned from every position
+const PROTECTED_SPANS = /\b(?:https?:\/\/|www\.)\S+|(?<![\w.+-])[\w.+-]{1,64}@[\w-]{1,63}(?:\.[\w-]{1,63}){1,10}|\b[a-z0-9]{20,}\b/gi;
+
+const LEET_TOKEN = /[\p{L}\d@$!|]+/gu;
+
+// Three or more single letters separated by the same character: "S S N", "f.e.e", "p-a-y"
+const SPACED_WORD = /(?<![\p{L}\d])\p{L}([ .\-_*])\p{L}(?:\1\p{L})+(?![\p{L}\d])/gu;
+
+const toUnits = (text) => {
+  const units = [];
+  let index = 0;
+
+  for (const char of text) {
+    units.push({ char, index });
+    index += char.length;
+  }
+
+  return units;
+};
+
+const protectedRanges = (text) => {
+  const ranges = [];
+  let match;
+
+  PROTECTED_SPANS.lastIndex = 0;
+  while ((match = PROTECTED_SPANS.exec(text)) !== null) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  return ranges;
+};
+
+// Index of the unit at each UTF-16 offset of the joined text, so regex match offsets can be
+// mapped back to units when the text holds emoji or other characters outside the BMP
+const unitIndexes = (units) => {
+  const indexes = [];
+  units.forEach((unit, i) => {
+    for (let j = 0; j < unit.char.length; j++) {
+      indexes.push(i);
+    }
+  });
+  indexes.push(units.length);
+  return indexes;
+};
+
+const overlaps = (ranges, start, end) => ranges.some(([from, to]) => start < to && end > from);
+
+// Unicode compatibility folding (fullwidth, ligatures, math alphabets) and invisible characters
+const foldUnicode = (units, found) => {
+  const result = [];
+
+  units.forEach(({ char, index }) => {
+    if (INVISIBLE.test(char)) {
+      found.invisible += 1;
+      return;
+    }
+
+    const folded = char.normalize('NFKC');
+    if (folded !== char && LATIN_LETTER.test(folded)) {
+      found.compatibility += 1;
+    }
+
+    for (const part of folded) {
+      result.push({ char: part, index });
+    }
+  });
+
+  return result;
+};
+
+// Replace lookalike letters in words that mix scripts or are spelled entirely with lookalikes,
+// leaving genuine non-Latin words alone
+const foldHomoglyphs = (units, found) => {
+  let word = [];
+
+  const flush = () => {
+    const swapped = word.filter(unit => HOMOGLYPHS[unit.char]);
+    const hasLatin = word.some(unit => LATIN_LETTER.test(unit.char));
+    const allLookalikes = word.length > 1 && swapped.length === word.length;
+
+    if (swapped.length === 0 || (!hasLatin && !allLookalikes)) {
+      word = [];
+      return;
+    }
+
+    found.homoglyphs += swapped.length;
+    swapped.forEach(unit => {
+      unit.char = HOMOGLYPHS[unit.char];
+    });
+    word = [];
+  };
+
+  units.forEach(unit => {
+    if (LETTER.test(unit.char)) {
+      word.push(unit);
+    } else {
+      flush();
+    }
+  });
+  flush();
+
+  return units;
+};
+
+// Undo leetspeak in words with at least one substitution sitting between two letters that then
+// spell a disguised keyword; trailing "!" is punctuation, not a letter
+const undoLeetspeak = (units, found) => {
+  const text = units.map(unit => unit.char).join('');
+  const unitAt = unitIndexes(units);
+  const skip = protectedRanges(text);
+  let match;
+
+  LEET_TOKEN.lastIndex = 0;
+  while ((match = LEET_TOKEN.exec(text)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const chars = Array.from(match[0].replace(/!+$/, ''));
+
+    if (overlaps(skip, start, end)) {
+      continue;
+    }
+
+    const letters = chars.filter(char => LETTER.test(char)).length;
+    const interior = chars.some((char, i) =>
+      LEET[char] && i > 0 && i < chars.length - 1 &&
+      LETTER.test(chars[i - 1]) && LETTER.test(chars[i + 1])
+    );
+
+    if (letters < 2 || !interior || !isDisguisedKeyword(chars.map(char => LEET[char] || char).join(''))) {
+      continue;
+    }
+
+    // chars are code points, like units
+    chars.forEach((char, i) => {
+      if (LEET[char]) {
+        units[unitAt[start] + i].char = LEET[char];
+        found.leetspeak += 1;
+      }
+    });
+  }
+
+  return units;
+};
+
+// Join words spelled out with separators between each letter when they spell a disguised keyword
+const collapseSpacedWords = (units, found) => {
+  const text = units.map(unit => unit.char).join('');
+  const unitAt = unitIndexes(units);
+  const skip = protectedRanges(text);
+  const removed = new Set();
+  let match;
+
+  SPACED_WORD.lastIndex = 0;
+  while ((match = SPACED_WORD.exec(text)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+
+    if (overlaps(skip, start, end) || !isDisguisedKeyword(match[0].split(match[1]).join(''))) {
+      continue;
+    }
+
+    found.spacedWords += 1;
+    for (let i = unitAt[start]; i < unitAt[end]; i++) {
+      if (!LETTER.test(units[i].char)) {
+        removed.add(i);
+      }
+    }
+  }
+
+  return units.filter((unit, i) => !removed.has(i));
+};
+
+const TECHNIQUES = {
+  invisible: 'invisible_characters',
+  compatibility: 'unicode_lookalikes',
+  homoglyphs: 'homoglyphs',
+  leetspeak: 'leetspeak',
+  spacedWords: 'spaced_out_words'
+};
+
+// Normalize a piece of text
+// mode 'full' is for prose; 'identifier' (emails, URLs) skips leetspeak and spacing fixes
+const normalizeText = (text, mode = 'full') => {
+  const found = {
+    invisible: 0,
+    compatibility: 0,
+    homoglyphs: 0,
+    leetspeak: 0,
+    spacedWords: 0
+  };
+
+  let units = toUnits(text || '');
+  units = foldUnicode(units, found);
+  units = foldHomoglyphs(units, found);
+
+  if (mode === 'full') {
+    units = undoLeetspeak(units, found);
+    units = collapseSpacedWords(units, found);
+  }
+
+  return {
+    text: units.map(unit => unit.char).join(''),
+    // Original offset of each UTF-16 code unit in the output
+    offsets: units.flatMap(unit => Array(unit.char.length).fill(unit.index)),
+    techniques: Object.keys(TECHNIQUES)
+      .filter(key => found[key] > 0)
+      .map(key => TECHNIQUES[key])
+  };
+};
+
+module.exports = {
+  normalizeText,
+  HOMOGLYPHS
+};
@@ -0,0 +1,47 @@
+// Who pays: wording that makes the applicant the payer, and wording where the employer pays,
+// shared by the payment and fee detectors
+
+// Phrases that put the applicant on the paying end
+const APPLICANT_PAYS = [
+  'you pay',
+  'you must pay',
+  'you will pay',
+  "you'll pay",
+  'you need to pay',
+  'you will need to pay',
+  'you have to pay',
+  'you are required to pay',
+  'required to pay',
+  'pay a fee',
+  'pay the fee',
+  'pay a deposit',
+  'pay the deposit',
+  'pay a one-time',
+  'pay a small',
+  'fee is required',
+  'fee required',
+  'fees are required',
+  'deposit is required',
+  'deposit required',
+  'payment is required',
+  'payment required'
+];
+
+// Single words near a fee that show it is charged to the applicant
+const APPLICANT_PAYS_WORDS = ['pay', 'send', 'required', 'must', 'upfront', 'charge', 'charged', 'responsible', '$', '€', '£'];
+
+// Employer-pays wording; a fee or payment in the same clause is not the applicant's
+const EMPLOYER_PAYS = [
+  'cover', 'covers', 'covered', 'covering',
+  'reimburse', 'reimburses', 'reimbursed', 'reimbursement',
+  'we pay', 'we will pay', "we'll pay",
+  'company pays', 'company will pay', 'employer pays', 'employer will pay',
+  'paid by us', 'paid by the company', 'paid by the employer',
+  'at no cost', 'free of charge', 'no cost to you'
+];
+
+module.exports = {
+  APPLICANT_PAYS,
+  APPLICANT_PAYS_WORDS,
+  EMPLOYER_PAYS
+};
@@ -0,0 +1,133 @@
+const DetectionRule = require('../../models/DetectionRule');
+const FLAG_TYPES = require('./flagTypes');
+const { ruleWeight } = require('./scoring');
+
+// Built-in detectors keyed by rule ID
+const detectors = new Map();
+
+// Register a detector module
+// A detector declares { id, flagType, severity, weight, description, match(context) },
+// optionally with the scanTypes it is limited to and the evidenceFields it is about
+exports.registerDetector = (detector) => {
+  if (!detector.id || typeof detector.match !== 'function') {
+    throw new Error('Detector must have an id and a match function');
+  }
+
+  if (!FLAG_TYPES.includes(detector.flagType)) {
+    throw new Error(`Detector ${detector.id} has unknown flag type ${detector.flagType}`);
+  }
+
+  if (detectors.has(detector.id)) {
+    throw new Error(`Detector ${detector.id} is already registered`);
+  }
+
+  detectors.set(detector.id, detector);
+};
+
+// Get all registered detectors
+exports.getDetectors = () => Array.from(detectors.values());
+
+// Turn a custom rule stored in the database into a matcher
+const compileStoredRule = (doc) => {
+  let match;
+
+  if (doc.matchType === 'regex') {
+    // Rules saved before patterns were checked on save are skipped when unsafe
+    const unsafe = doc.patterns.find(pattern => !DetectionRule.isSafePattern(pattern));
+    if (unsafe !== undefined) {
+      throw new Error(`unsafe regular expression ${unsafe}`);
+    }
+    const expressions = doc.patterns.map(pattern => new RegExp(pattern, 'i'));
+    match = (context) => context.matchesAny(doc.field, expressions);
+  } else {
+    match = (context) => context.hasAnyPhrase(doc.field, doc.patterns);
+  }
+
+  return {
+    id: doc.ruleId,
+    flagType: doc.flagType,
+    severity: doc.severity,
+    weight: doc.weight,
+    description: doc.description || `Matched rule ${doc.ruleId}`,
+    scanTypes: doc.scanTypes && doc.scanTypes.length > 0 ? doc.scanTypes : undefined,
+    match
+  };
+};
+
+// Load active rules: built-in detectors with configured weights, merged with admin overrides and custom rules
+exports.loadRules = async () => {
+  const stored = await DetectionRule.find().lean();
+  const overrides = new Map(stored.map(doc => [doc.ruleId, doc]));
+  const rules = [];
+
+  detectors.forEach(builtin => {
+    const override = overrides.get(builtin.id);
+    overrides.delete(builtin.id);
+
+    // Weights from the scoring config replace the defaults; admin overrides win over both
+    const detector = { ...builtin, weight: ruleWeight(builtin.id, builtin.weight) };
+
+    if (!override) {
+      rules.push(detector);
+      return;
+    }
+
+    if (!override.enabled) {
+      return;
+    }
+
+    rules.push({
+      ...detector,
+      severity: override.severity || detector.severity,
+      weight: override.weight !== undefined ? override.weight : detector.weight,
+      description: override.description || detector.description,
+      scanTypes: override.scanTypes && override.scanTypes.length > 0 ? override.scanTypes : detector.scanTypes
+    });
+  });
+
+  overrides.forEach(doc => {
+    // Builtin overrides whose detector no longer exists have nothing to run
+    if (!doc.enabled || doc.matchType === 'builtin') {
+      return;
+    }
+
+    try {
+      rules.push(compileStoredRule(doc));
+    } catch (err) {
+      console.error(`Skipping detection rule ${doc.ruleId}: ${err.message}`);
+    }
+  });
+
+  return rules;
+};
+
+// Run rules against an analysis context and return the ones that fired
+// A match function may return { description } to explain this particular match
+// Each fired rule carries the evidence it cited; rules with evidenceFields also cite those whole fields
+exports.runRules = (context, rules) => {
+  const fired = [];
+
+  rules.forEach(rule => {
+    try {
+      const { result, evidence } = context.collectEvidence(() => {
+        const matched = rule.match(context);
+        if (matched && rule.evidenceFields) {
+          rule.evidenceFields.forEach(field => context.citeField(field));
+        }
+        return matched;
+      });
+
+      if (result) {
+        fired.push({
+          ...rule,
+          description: result.description || rule.description,
+          evidence
+        });
+      }
+    } catch (err) {
+      console.error(`Detection rule ${rule.id} failed: ${err.message}`);
+    }
+  });
+
+  return fired;
+};
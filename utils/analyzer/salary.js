@@ -0,0 +1,252 @@
+// Salary extraction from job text and plausibility scoring against bundled benchmarks
+const exchangeRates = require('./data/exchangeRates.json');
+const benchmarks = require('./data/salaryBenchmarks.json');
+const { createMatcher } = require('./textMatcher');
+
+// Flag a salary when its top end exceeds the benchmark maximum by this factor
+const OUTLIER_FACTOR = parseFloat(process.env.SALARY_OUTLIER_FACTOR) || 2;
+
+const CURRENCY_SYMBOLS = {
+  'us$': 'USD',
+  'c$': 'CAD',
+  'ca$': 'CAD',
+  'a$': 'AUD',
+  'au$': 'AUD',
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '₦': 'NGN',
+  '₹': 'INR'
+};
+
+const CURRENCY_WORDS = {
+  usd: 'USD',
+  dollars: 'USD',
+  eur: 'EUR',
+  euros: 'EUR',
+  gbp: 'GBP',
+  pounds: 'GBP',
+  cad: 'CAD',
+  aud: 'AUD',
+  inr: 'INR',
+  rupees: 'INR',
+  ngn: 'NGN',
+  naira: 'NGN',
+  zar: 'ZAR',
+  rand: 'ZAR',
+  kes: 'KES',
+  ghs: 'GHS',
+  php: 'PHP',
+  aed: 'AED'
+};
+
+const PERIOD_WORDS = {
+  hour: 'hour', hr: 'hour', hourly: 'hour',
+  day: 'day', daily: 'day',
+  week: 'week', wk: 'week', weekly: 'week',
+  month: 'month', mo: 'month', monthly: 'month',
+  year: 'year', yr: 'year', annum: 'year', yearly: 'year', annually: 'year', annual: 'year', 'p.a': 'year', pa: 'year'
+};
+
+// Working units per year used to annualize pay
+const PERIODS_PER_YEAR = {
+  hour: 2080,
+  day: 260,
+  week: 52,
+  month: 12,
+  year: 1
+};
+
+const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const SYMBOL = Object.keys(CURRENCY_SYMBOLS).map(escape).join('|');
+const WORD = Object.keys(CURRENCY_WORDS).join('|');
+const AMOUNT = `(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d+))?(?:\\s?(k)\\b)?`;
+
+// [prefix currency] amount [- [prefix currency] amount] [suffix currency] [period]
+const SALARY_PATTERN = new RegExp(
+  `(?:(${SYMBOL})\\s?|\\b(${WORD})\\s)?${AMOUNT}` +
+  `(?:\\s?(?:-|–|to)\\s?(?:${SYMBOL})?\\s?${AMOUNT})?` +
+  `(?:\\s?\\b(${WORD})\\b)?` +
+  `(?:\\s*(?:\\/|per|a|an|each|every)\\s*(hour|hr|day|week|wk|month|mo|year|yr|annum)\\b|\\s+(hourly|daily|weekly|monthly|yearly|annually|p\\.a)\\b)?`,
+  'g'
+);
+
+// Words that suggest an amount is pay rather than a fee or a price
+const PAY_CONTEXT = /\b(salary|pay|paid|earn|earning|earnings|income|wage|wages|compensation|rate|make|making|stipend|commission|bonus)\b/;
+const COST_CONTEXT = /\b(fee|fees|deposit|cost|costs|charge|purchase|buy|price|kit|refundable)\b/;
+
+const toNumber = (whole, decimal, thousands) => {
+  let value = parseFloat(`${whole.replace(/,/g, '')}${decimal ? `.${decimal}` : ''}`);
+  if (thousands) {
+    value *= 1000;
+  }
+  return value;
+};
+
+const toUsd = (amount, currency) => amount * (exchangeRates.rates[currency] || 1);
+
+// Find the most salary-like amount in a piece of (lowercased) text
+// Returns { min, max, currency, period, text, annualMinUsd, annualMaxUsd } or null
+const extractSalary = (text) => {
+  const candidates = [];
+  let match;
+
+  SALARY_PATTERN.lastIndex = 0;
+  while ((match = SALARY_PATTERN.exec(text)) !== null) {
+    const [raw, symbol, prefixWord, whole, decimal, k, whole2, decimal2, k2, suffixWord, period1, period2] = match;
+
+    if (match[0].length === 0) {
+      SALARY_PATTERN.lastIndex += 1;
+      continue;
+    }
+
+    const currency = (symbol && CURRENCY_SYMBOLS[symbol]) ||
+      (prefixWord && CURRENCY_WORDS[prefixWord]) ||
+      (suffixWord && CURRENCY_WORDS[suffixWord]);
+
+    // Bare numbers (years, counts, phone numbers) are not salaries
+    if (!currency) {
+      continue;
+    }
+
+    const first = toNumber(whole, decimal, k);
+    const second = whole2 ? toNumber(whole2, decimal2, k2 || k) : first;
+    const period = PERIODS_PER_YEAR[PERIOD_WORDS[period1 || period2]] ? PERIOD_WORDS[period1 || period2] : null;
+    const before = text.slice(Math.max(0, match.index - 40), match.index);
+    const after = text.slice(match.index + raw.length, match.index + raw.length + 20);
+
+    let score = 0;
+    if (period) score += 2;
+    if (PAY_CONTEXT.test(before)) score += 1;
+    if (COST_CONTEXT.test(before) || COST_CONTEXT.test(after)) score -= 3;
+
+    candidates.push({
+      min: Math.min(first, second),
+      max: Math.max(first, second),
+      currency,
+      period,
+      text: raw.trim(),
+      score
+    });
+  }
+
+  const best = candidates
+    .filter(candidate => candidate.score > 0 && candidate.max > 0)
+    .sort((a, b) => b.score - a.score)[0];
+
+  return best ? normalizeSalary(best) : null;
+};
+
+// Annualize a salary and convert it to USD; also used for salaries read from structured data
+const normalizeSalary = ({ min, max, currency, period, text }) => {
+  const code = (currency || 'USD').toUpperCase();
+  const known = PERIODS_PER_YEAR[period] ? period : 'unspecified';
+  // Without a stated period, assume a yearly figure so we never inflate it
+  const perYear = PERIODS_PER_YEAR[known === 'unspecified' ? 'year' : known];
+  const low = Math.min(min, max !== undefined ? max : min);
+  const high = Math.max(min, max !== undefined ? max : min);
+
+  return {
+    min: low,
+    max: high,
+    currency: code,
+    period: known,
+    text: text || `${low.toLocaleString('en-US')}${high !== low ? `-${high.toLocaleString('en-US')}` : ''} ${code}${known === 'unspecified' ? '' : ` per ${known}`}`,
+    annualMinUsd: Math.round(toUsd(low * perYear, code)),
+    annualMaxUsd: Math.round(toUsd(high * perYear, code))
+  };
+};
+
+// Strip seniority and arrangement words so "Senior Remote Data Entry Clerk" matches "data entry"
+const normalizeTitle = (title) =>
+  (title || '')
+    .toLowerCase()
+    .replace(/\b(senior|junior|sr|jr|lead|remote|part[- ]time|full[- ]time|entry[- ]level|work from home|wfh|urgent|hiring)\b/g, ' ')
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Find the benchmark for a job title, falling back to role names mentioned in the description
+const findBenchmark = (jobTitle, description) => {
+  const sources = [normalizeTitle(jobTitle), description || ''].filter(Boolean);
+
+  for (const source of sources) {
+    const matcher = createMatcher(source);
+    const found = benchmarks.titles
+      .map(entry => ({
+        entry,
+        // Prefer the longest alias so "customer service" beats "service"
+        length: Math.max(0, ...entry.aliases
+          .filter(alias => matcher.findPhrase({ phrase: alias, negatable: false }).length > 0)
+          .map(alias => alias.length))
+      }))
+      .filter(candidate => candidate.length > 0)
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (found) {
+      return found.entry;
+    }
+  }
+
+  return null;
+};
+
+const findRegion = (location) => {
+  if (!location) {
+    return null;
+  }
+
+  const matcher = createMatcher(location);
+  return Object.keys(benchmarks.regions).find(code =>
+    matcher.hasAnyPhrase(benchmarks.regions[code].keywords.map(phrase => ({ phrase, negatable: false })))
+  ) || null;
+};
+
+const formatMoney = (amount, currency) =>
+  `${Math.round(amount).toLocaleString('en-US')} ${currency}`;
+
+// Compare an extracted salary against the benchmark for the role and region
+const assessSalary = (salary, { jobTitle, location, description }) => {
+  if (!salary) {
+    return null;
+  }
+
+  const benchmark = findBenchmark(jobTitle, description);
+
+  if (!benchmark) {
+    return {
+      plausible: null,
+      details: 'No salary benchmark for this role'
+    };
+  }
+
+  const region = findRegion(location);
+  const [rangeMin, rangeMax] = benchmark.ranges[region] || benchmark.ranges.default;
+  const regionName = region ? benchmarks.regions[region].name : 'any region';
+  const ratio = Math.round((salary.annualMaxUsd / rangeMax) * 10) / 10;
+  const plausible = salary.annualMaxUsd <= rangeMax * OUTLIER_FACTOR;
+
+  const offered = salary.period === 'unspecified'
+    ? salary.text
+    : `${salary.text} (about ${formatMoney(salary.annualMaxUsd, 'USD')} a year)`;
+
+  return {
+    plausible,
+    benchmarkTitle: benchmark.title,
+    region: region || 'default',
+    benchmarkMinUsd: rangeMin,
+    benchmarkMaxUsd: rangeMax,
+    ratio,
+    details: plausible
+      ? `Offered pay ${offered} is within the expected range for ${benchmark.title} roles in ${regionName}`
+      : `Offered pay ${offered} is ${ratio}x the typical top salary of ${formatMoney(rangeMax, 'USD')} a year for ${benchmark.title} roles in ${regionName}`
+  };
+};
+
+module.exports = {
+  extractSalary,
+  normalizeSalary,
+  assessSalary,
+  normalizeTitle
+};
@@ -0,0 +1,140 @@
+// Scan types, their analyzer profiles and detection of the type from the submission itself
+const { parseConversation, isChatExport } = require('./conversation');
+const { createMatcher } = require('./textMatcher');
+
+const SCAN_TYPES = ['posting', 'offer_letter', 'recruiter_email', 'message', 'conversation'];
+
+// Weight multipliers per rule ID for each scan type; 0 turns a rule off for that type.
+// Rules not listed keep their weight, and admin overrides are applied before the multiplier
+const PROFILES = {
+  posting: {},
+  // Letters are judged on what they ask the new hire to do, not on how the posting looked
+  offer_letter: {
+    'equipment-purchase': 1.4,
+    'check-cashing': 1.2,
+    'start-date-pressure': 1.5,
+    'offer-without-interview': 1.2,
+    'fake-recruiter': 0.6,
+    'vague-description': 0,
+    'missing-company-website': 0.5
+  },
+  // The headers say more about an email than whether a website was given
+  recruiter_email: {
+    'reply-to-mismatch': 1.5,
+    'display-name-spoofing': 1.2,
+    'email-authentication-failure': 1.2,
+    'vague-description': 0.5,
+    'missing-company-website': 0.5
+  },
+  // Text messages and DMs are short and rarely name a website
+  message: {
+    'vague-description': 0,
+    'missing-company-website': 0,
+    'off-platform-contact': 0.8,
+    'international-phone-number': 0.5
+  },
+  conversation: {
+    'vague-description': 0,
+    'missing-company-website': 0,
+    'offer-without-interview': 1.2
+  }
+};
+
+// Longest text still treated as a single message rather than a posting
+const MESSAGE_MAX_LENGTH = 600;
+
+// Phrases that mark an offer letter or a pasted email; two or more settle the type
+const OFFER_LETTER_CUES = [
+  'offer letter',
+  'letter of offer',
+  'offer of employment',
+  'pleased to offer you',
+  'pleased to inform you',
+  'your start date',
+  'start date will be',
+  'sign and return',
+  'employment agreement',
+  'annual salary',
+  'your compensation',
+  'probationary period',
+  'human resources department',
+  'we look forward to welcoming you'
+];
+
+const EMAIL_CUES = [
+  'dear',
+  'regards',
+  'best regards',
+  'kind regards',
+  'sincerely',
+  'thank you for your application',
+  'hiring team',
+  'unsubscribe'
+];
+
+// Turns where a speaker comes back after someone else spoke; a real exchange goes back and
+// forth, while a list of labelled lines ("Warehouse: 1 year", "Forklift: 1 year") never returns
+const returningTurns = (conversation) => {
+  const seen = new Set();
+  return conversation.turns.filter((turn, i) => {
+    const returning = i > 0 && turn.speaker !== conversation.turns[i - 1].speaker && seen.has(turn.speaker);
+    seen.add(turn.speaker);
+    return returning;
+  }).length;
+};
+
+const countCues = (matcher, cues) => cues.filter(phrase => matcher.findPhrase({ phrase, negatable: false }).length > 0).length;
+
+// Guess the scan type from the submission: uploaded email, chat transcript, offer letter,
+// pasted email, short message or, failing all of those, a job posting
+const detectScanType = (jobScan) => {
+  const text = jobScan.jobDescription || '';
+
+  if (jobScan.emailHeaders && jobScan.emailHeaders.from && jobScan.emailHeaders.from.address) {
+    return 'recruiter_email';
+  }
+
+  if (isChatExport(text)) {
+    return 'conversation';
+  }
+
+  // Pasted "Name: message" lines only make a conversation when speakers take turns, and not
+  // when the submission names the job the way a posting does ("Job Type:", "Benefits:" labels)
+  const describesPosting = [jobScan.jobTitle, jobScan.companyName, jobScan.jobUrl]
+    .some(value => typeof value === 'string' && value.trim().length > 0);
+  const conversation = describesPosting ? null : parseConversation(text);
+  if (conversation && conversation.participants.length >= 2 && returningTurns(conversation) >= 1) {
+    return 'conversation';
+  }
+
+  const matcher = createMatcher(text);
+  if (countCues(matcher, OFFER_LETTER_CUES) >= 2) {
+    return 'offer_letter';
+  }
+  if (countCues(matcher, EMAIL_CUES) >= 2 || /^\s*subject\s*:/i.test(text)) {
+    return 'recruiter_email';
+  }
+  if (text.trim().length > 0 && text.length <= MESSAGE_MAX_LENGTH && !jobScan.jobUrl && !jobScan.jobTitle) {
+    return 'message';
+  }
+  return 'posting';
+};
+
+// Rules for a scan type: detectors limited to other types are dropped and profile weights applied
+const applyProfile = (rules, scanType) => {
+  const profile = PROFILES[scanType] || PROFILES.posting;
+
+  return rules
+    .filter(rule => !rule.scanTypes || rule.scanTypes.includes(scanType))
+    .filter(rule => profile[rule.id] !== 0)
+    .map(rule => (profile[rule.id] === undefined
+      ? rule
+      : { ...rule, weight: Math.min(100, Math.round(rule.weight * profile[rule.id])) }));
+};
+
+module.exports = {
+  SCAN_TYPES,
+  PROFILES,
+  detectScanType,
+  applyProfile
+};
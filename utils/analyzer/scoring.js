@@ -0,0 +1,184 @@
+// Turns the rules that fired into scamProbability and a risk level. Rule weights, the
+// combination method and the risk thresholds come from config rather than code
+const fs = require('fs');
+const bundled = require('./data/scoring.json');
+
+// additive: weights summed and capped at 100 (the original scoring)
+// noisy_or: each weight is the chance that rule alone means a scam; independent signs combine
+// logistic: log-odds coefficients per rule plus a bias, as fitted by npm run calibrate-scoring
+const METHODS = ['additive', 'noisy_or', 'logistic'];
+
+// insufficient_data: too little was submitted to call the scan low or medium risk
+const RISK_LEVELS = ['low', 'medium', 'high', 'insufficient_data'];
+
+// SCORING_CONFIG names a JSON file merged over the bundled defaults in data/scoring.json
+const loadConfig = (filePath = process.env.SCORING_CONFIG) => {
+  const custom = filePath ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  const customLogistic = custom.logistic || {};
+  const customLevels = custom.riskLevels || {};
+
+  const config = {
+    ...bundled,
+    ...custom,
+    weights: { ...bundled.weights, ...custom.weights },
+    logistic: {
+      ...bundled.logistic,
+      ...customLogistic,
+      coefficients: { ...bundled.logistic.coefficients, ...customLogistic.coefficients },
+      weights: { ...bundled.logistic.weights, ...customLogistic.weights }
+    },
+    riskLevels: {
+      high: { ...bundled.riskLevels.high, ...customLevels.high },
+      medium: { ...bundled.riskLevels.medium, ...customLevels.medium },
+      insufficientData: { ...bundled.riskLevels.insufficientData, ...customLevels.insufficientData }
+    }
+  };
+
+  if (!METHODS.includes(config.method)) {
+    throw new Error(`Unknown scoring method ${config.method}; use ${METHODS.join(', ')}`);
+  }
+  return config;
+};
+
+const config = loadConfig();
+
+const getScoringConfig = () => config;
+
+// Configured weight for a built-in rule, or its own default
+const ruleWeight = (ruleId, weight, settings = config) =>
+  settings.weights[ruleId] !== undefined ? settings.weights[ruleId] : weight;
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// Weights are read as probabilities, kept short of certainty so no single rule is final
+const asProbability = (weight) => Math.min(0.99, Math.max(0, weight / 100));
+
+// Log-odds a rule adds when it has no fitted coefficient: the same strength noisy-OR gives its weight
+const defaultCoefficient = (weight) => -Math.log(1 - asProbability(weight));
+
+// noisy_or only: the chance (0-1) of a scam that no rule catches
+const leakOf = (settings) => Math.min(0.99, Math.max(0, settings.leak || 0));
+
+// A fitted coefficient holds for the weight it was fitted at (logistic.weights), so scan type
+// multipliers and admin overrides scale it by the same ratio they scale the weight
+const coefficientOf = (rule, settings) => {
+  const coefficient = settings.logistic.coefficients[rule.id];
+  if (coefficient === undefined) {
+    return defaultCoefficient(rule.weight);
+  }
+  const fittedWeight = settings.logistic.weights[rule.id];
+  return fittedWeight > 0 ? coefficient * (rule.weight / fittedWeight) : coefficient;
+};
+
+// How hard each rule pushes the score up under a method, used to share out contributions
+const strengthOf = (rule, settings) => {
+  switch (settings.method) {
+    case 'additive':
+      return rule.weight;
+    case 'logistic':
+      return Math.max(0, coefficientOf(rule, settings));
+    default:
+      return defaultCoefficient(rule.weight);
+  }
+};
+
+// Score (0-100) with no rules fired
+const baselineOf = (settings) => {
+  switch (settings.method) {
+    case 'logistic':
+      return sigmoid(settings.logistic.bias) * 100;
+    case 'noisy_or':
+      return leakOf(settings) * 100;
+    default:
+      return 0;
+  }
+};
+
+// Combine fired rules ({ id, weight }) into a probability between 0 and 100
+const combine = (rules, settings = config) => {
+  switch (settings.method) {
+    case 'additive':
+      return Math.min(100, rules.reduce((total, rule) => total + rule.weight, 0));
+    case 'logistic':
+      return sigmoid(rules.reduce((z, rule) => z + coefficientOf(rule, settings), settings.logistic.bias)) * 100;
+    default: {
+      const clear = rules.reduce((chance, rule) => chance * (1 - asProbability(rule.weight)), 1 - leakOf(settings));
+      return (1 - clear) * 100;
+    }
+  }
+};
+
+// Final scores for the fired rules, blended with the classifier verdict when there is one.
+// A calibrated config is not blended: its probabilities were fitted on the rule score alone
+// Returns { method, blended, ruleProbability, scamProbability, contributions: { ruleId: points } }
+// where the contributions share out the score above the no-flag baseline by rule strength
+const scoreRules = (firedRules, verdict = null, settings = config) => {
+  const classifier = settings.calibration ? null : verdict;
+  const ruleProbability = combine(firedRules, settings);
+  const scamProbability = classifier
+    ? (1 - classifier.weight) * ruleProbability + classifier.weight * classifier.probability
+    : ruleProbability;
+
+  const strengths = firedRules.map(rule => strengthOf(rule, settings));
+  const totalStrength = strengths.reduce((total, strength) => total + strength, 0);
+  const attributable = Math.max(0, ruleProbability - baselineOf(settings)) * (classifier ? 1 - classifier.weight : 1);
+
+  const contributions = {};
+  firedRules.forEach((rule, i) => {
+    contributions[rule.id] = totalStrength > 0
+      ? Math.round((attributable * strengths[i] / totalStrength) * 10) / 10
+      : 0;
+  });
+
+  return {
+    method: settings.method,
+    blended: !!classifier,
+    ruleProbability: Math.round(ruleProbability),
+    scamProbability: Math.round(scamProbability),
+    contributions
+  };
+};
+
+// Risk level from the probability, the detected flags' severities and the scan's coverage (0-100)
+// A level applies when any of its configured thresholds is met; missing thresholds are ignored.
+// A scan that is not high risk but covered too little of what the analyzer checks is
+// insufficient_data rather than low or medium, unless a high-severity flag fired: a finding
+// that serious is reported however little was submitted
+const riskLevelFor = (scamProbability, warningFlags = [], coverage = null, settings = config) => {
+  const detected = warningFlags.filter(flag => flag.detected);
+  const counts = {
+    minHighFlags: detected.filter(flag => flag.severity === 'high').length,
+    minMediumFlags: detected.filter(flag => flag.severity === 'medium').length
+  };
+
+  const meets = (level) => {
+    const thresholds = settings.riskLevels[level] || {};
+    if (thresholds.minProbability !== undefined && scamProbability >= thresholds.minProbability) {
+      return true;
+    }
+    return Object.keys(counts).some(key => thresholds[key] !== undefined && counts[key] >= thresholds[key]);
+  };
+
+  if (meets('high')) {
+    return 'high';
+  }
+
+  const { maxCoverage } = settings.riskLevels.insufficientData || {};
+  if (typeof coverage === 'number' && maxCoverage !== undefined && coverage <= maxCoverage && counts.minHighFlags === 0) {
+    return 'insufficient_data';
+  }
+  return meets('medium') ? 'medium' : 'low';
+};
+
+module.exports = {
+  METHODS,
+  RISK_LEVELS,
+  loadConfig,
+  getScoringConfig,
+  ruleWeight,
+  defaultCoefficient,
+  coefficientOf,
+  combine,
+  scoreRules,
+  riskLevelFor
+};
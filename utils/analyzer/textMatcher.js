@@ -0,0 +1,202 @@
+// Tokenizer and word-boundary phrase matching with negation and context windows
+
+// Words that negate a phrase when they appear shortly before it in the same clause
+const NEGATIONS = [
+  'no', 'not', 'never', 'without', 'nor', 'neither',
+  "don't", "doesn't", "didn't", "won't", "wouldn't", "can't", 'cannot',
+  "isn't", "aren't", "shouldn't", 'nobody', 'nothing'
+];
+
+// Words that start a new clause, so a negation before them does not carry over
+const CLAUSE_BREAKS = ['but', 'unless', 'until', 'however', 'except', 'although', 'though'];
+
+const NEGATION_WINDOW = 5;
+const DEFAULT_NEAR_WINDOW = 5;
+
+const TOKEN_PATTERN = /[a-z0-9]+(?:'[a-z]+)?|[$€£]|[.!?;:,\n]/g;
+const SENTENCE_END = /[.!?\n]/;
+const CLAUSE_END = /[;:,]/;
+
+// Split text into word tokens, tracking character offsets, sentences and clauses
+const tokenize = (text) => {
+  const tokens = [];
+  const source = (text || '').toLowerCase().replace(/[‘’]/g, "'");
+  let sentence = 0;
+  let clause = 0;
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+    const word = match[0];
+
+    if (SENTENCE_END.test(word)) {
+      sentence += 1;
+      clause += 1;
+      continue;
+    }
+
+    if (CLAUSE_END.test(word)) {
+      clause += 1;
+      continue;
+    }
+
+    if (CLAUSE_BREAKS.includes(word)) {
+      clause += 1;
+    }
+
+    tokens.push({
+      word,
+      start: match.index,
+      end: match.index + word.length,
+      sentence,
+      clause
+    });
+  }
+
+  return tokens;
+};
+
+// Phrase specs may be plain strings or { phrase, near, window, unless, unlessClause, inSentenceWith, negatable }
+// unless phrases cancel a match they overlap; unlessClause phrases cancel it from anywhere in
+// the same clause ("we will cover your certification fee"); inSentenceWith phrases, when given,
+// must appear somewhere in the same sentence ("you must pay ... in bitcoin")
+const normalizeSpec = (spec) => {
+  const options = typeof spec === 'string' ? { phrase: spec } : spec;
+  const toWords = phrase => tokenize(phrase).map(token => token.word);
+
+  return {
+    words: toWords(options.phrase),
+    near: (options.near || []).map(word => word.toLowerCase()),
+    window: options.window || DEFAULT_NEAR_WINDOW,
+    unless: (options.unless || []).map(toWords),
+    unlessClause: (options.unlessClause || []).map(toWords),
+    inSentenceWith: options.inSentenceWith ? options.inSentenceWith.map(toWords) : null,
+    negatable: options.negatable !== false
+  };
+};
+
+// Find every token index where a sequence of words starts
+const findSequence = (tokens, words) => {
+  const positions = [];
+
+  if (words.length === 0) {
+    return positions;
+  }
+
+  for (let i = 0; i <= tokens.length - words.length; i++) {
+    let matched = true;
+
+    for (let j = 0; j < words.length; j++) {
+      if (tokens[i + j].word !== words[j] || tokens[i + j].sentence !== tokens[i].sentence) {
+        matched = false;
+        break;
+      }
+    }
+
+    if (matched) {
+      positions.push(i);
+    }
+  }
+
+  return positions;
+};
+
+const isNegated = (tokens, index) => {
+  const { clause } = tokens[index];
+
+  for (let i = index - 1; i >= 0 && i >= index - NEGATION_WINDOW; i--) {
+    if (tokens[i].clause !== clause) {
+      return false;
+    }
+
+    if (NEGATIONS.includes(tokens[i].word)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+const hasNearWord = (tokens, index, length, near, window) => {
+  const { sentence } = tokens[index];
+  const from = Math.max(0, index - window);
+  const to = Math.min(tokens.length - 1, index + length - 1 + window);
+
+  for (let i = from; i <= to; i++) {
+    if (i >= index && i < index + length) {
+      continue;
+    }
+
+    if (tokens[i].sentence === sentence && near.includes(tokens[i].word)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Build a matcher over a piece of text
+const createMatcher = (text) => {
+  const tokens = tokenize(text);
+
+  // Return every match of a phrase spec that survives negation and context checks
+  const findPhrase = (spec) => {
+    const options = normalizeSpec(spec);
+    const excluded = options.unless.flatMap(words =>
+      findSequence(tokens, words).map(index => [index, index + words.length - 1])
+    );
+    const excludedClauses = new Set(options.unlessClause.flatMap(words =>
+      findSequence(tokens, words).map(index => tokens[index].clause)
+    ));
+    const requiredSentences = options.inSentenceWith && new Set(options.inSentenceWith.flatMap(words =>
+      findSequence(tokens, words).map(index => tokens[index].sentence)
+    ));
+
+    return findSequence(tokens, options.words)
+      .filter(index => {
+        const last = index + options.words.length - 1;
+
+        if (excluded.some(([from, to]) => index <= to && last >= from)) {
+          return false;
+        }
+
+        if (excludedClauses.has(tokens[index].clause)) {
+          return false;
+        }
+
+        if (requiredSentences && !requiredSentences.has(tokens[index].sentence)) {
+          return false;
+        }
+
+        if (options.negatable && isNegated(tokens, index)) {
+          return false;
+        }
+
+        if (options.near.length > 0) {
+          return hasNearWord(tokens, index, options.words.length, options.near, options.window);
+        }
+
+        return true;
+      })
+      .map(index => {
+        const last = tokens[index + options.words.length - 1];
+        return {
+          start: tokens[index].start,
+          end: last.end,
+          text: text.slice(tokens[index].start, last.end)
+        };
+      });
+  };
+
+  return {
+    tokens,
+    findPhrase,
+    hasAnyPhrase: (specs) => specs.some(spec => findPhrase(spec).length > 0)
+  };
+};
+
+module.exports = {
+  tokenize,
+  createMatcher
+};
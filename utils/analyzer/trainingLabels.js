@@ -0,0 +1,37 @@
+// Labels for scans used to train the classifier and calibrate the scoring: admin reviews and,
+// only when asked for, user reports and low-risk scans nobody complained about
+
+// 1 for scam, 0 for legitimate, null for scans that are not labelled
+// An admin verdict always wins over a user's report. Reports are unreviewed claims by a single
+// user, so they only count with options.includeReports
+const labelOf = (jobScan, options = {}) => {
+  if (jobScan.review && jobScan.review.verdict) {
+    return jobScan.review.verdict === 'scam' ? 1 : 0;
+  }
+  if (options.includeReports && jobScan.isReported) {
+    return 1;
+  }
+  if (options.lowRiskAsLegitimate && !jobScan.isReported && jobScan.status === 'completed' && jobScan.riskLevel === 'low') {
+    return 0;
+  }
+  return null;
+};
+
+// Query matching every scan labelOf can label under the same options
+const labelledQuery = (options = {}) => {
+  const labelled = [{ 'review.verdict': { $in: ['scam', 'legitimate'] } }];
+
+  if (options.includeReports) {
+    labelled.push({ isReported: true });
+  }
+  if (options.lowRiskAsLegitimate) {
+    labelled.push({ isReported: { $ne: true }, status: 'completed', riskLevel: 'low' });
+  }
+
+  return { $or: labelled };
+};
+
+module.exports = {
+  labelOf,
+  labelledQuery
+};
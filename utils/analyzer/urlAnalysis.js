@@ -0,0 +1,208 @@
+// Reputation checks for a single URL: lookalike domains, punycode, raw IPs, shorteners and odd TLDs
+// Works on the raw URL, since normalization would fold away the homoglyphs we are looking for
+const net = require('net');
+const { domainToUnicode } = require('url');
+const reputation = require('./data/domainReputation.json');
+const { HOMOGLYPHS } = require('./normalizer');
+
+const SHORTENERS = new Set(reputation.shorteners);
+const SUSPICIOUS_TLDS = new Set(reputation.suspiciousTlds);
+const MULTI_PART_SUFFIXES = new Set(reputation.multiPartSuffixes);
+
+// Subdomain labels beyond this count are a sign of host-name padding
+const MAX_SUBDOMAIN_DEPTH = 3;
+
+// Brand labels shorter than this are only compared exactly, edit distance on them is too noisy
+const MIN_TYPO_LENGTH = 6;
+
+// Words scammers pair with a brand name to make a recruiting domain (amazon-careers.com)
+const HIRING_WORDS = new Set([
+  'careers', 'career', 'jobs', 'job', 'hiring', 'hire', 'hr', 'recruit', 'recruiting', 'recruitment',
+  'recruiter', 'talent', 'apply', 'staffing', 'employment', 'onboarding'
+]);
+
+// ASCII sequences that read like another letter at a glance
+const ASCII_LOOKALIKES = [
+  [/rn/g, 'm'],
+  [/vv/g, 'w'],
+  [/cl/g, 'd'],
+  [/0/g, 'o'],
+  [/1/g, 'l'],
+  [/3/g, 'e'],
+  [/5/g, 's'],
+  [/\|/g, 'l']
+];
+
+// Last label, or last two when the suffix is a known second-level one (co.uk)
+const getRegistrableDomain = (hostname) => {
+  const labels = hostname.split('.');
+  const suffixLength = MULTI_PART_SUFFIXES.has(labels.slice(-2).join('.')) ? 2 : 1;
+  return labels.slice(-(suffixLength + 1)).join('.');
+};
+
+// Domain label without its public suffix ("linkedin" for linkedin.com)
+const getLabel = (domain) => domain.split('.')[0];
+
+// Collapse a label to the letters it reads as
+const skeleton = (label) => {
+  const folded = Array.from(label).map(char => (HOMOGLYPHS[char] || char).toLowerCase()).join('');
+  return ASCII_LOOKALIKES.reduce((text, [pattern, letter]) => text.replace(pattern, letter), folded);
+};
+
+// Optimal string alignment distance, counting an adjacent swap as one edit
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+// An English plural of a brand word ("targets", "monsters") is a word in its own right, not a typo
+const isPlural = (word, brandLabel) => word === `${brandLabel}s` || word === `${brandLabel}es`;
+
+const isOwnedBy = (hostname, domain) => hostname === domain || hostname.endsWith(`.${domain}`);
+
+// Brand whose domain this host belongs to, if any
+const findOwner = (hostname) =>
+  reputation.brands.find(brand => brand.domains.some(domain => isOwnedBy(hostname, domain))) || null;
+
+// The one hyphen part of a label that is not a hiring word ("amaz0n" in amaz0n-careers), or null
+// Other words are left alone: splitting them off turns ordinary names into brands
+// (start-ups.io would be UPS, apple-orchard-farms.com Apple)
+const brandPart = (label) => {
+  const parts = label.split('-').filter(Boolean);
+  const others = parts.filter(part => !HIRING_WORDS.has(part));
+  return parts.length > 1 && others.length === 1 ? others[0] : null;
+};
+
+// Compare the registrable label against every brand
+const findLookalike = (hostname, registrable) => {
+  const label = getLabel(registrable);
+  const unicodeDomain = domainToUnicode(registrable) || registrable;
+  const unicodeLabel = getLabel(unicodeDomain);
+  const subdomain = hostname.slice(0, -registrable.length);
+  const namePart = brandPart(unicodeLabel);
+
+  for (const brand of reputation.brands) {
+    for (const domain of brand.domains) {
+      const brandLabel = getLabel(getRegistrableDomain(domain));
+
+      if (unicodeLabel !== brandLabel && skeleton(unicodeLabel) === skeleton(brandLabel)) {
+        return { brand, technique: 'homoglyph', description: `Domain ${unicodeDomain} imitates ${domain} with lookalike characters` };
+      }
+
+      // Only a registrable label that spells the brand exactly on another suffix
+      if (label === brandLabel && registrable !== domain && !reputation.brands.some(other => other.domains.includes(registrable))) {
+        return { brand, technique: 'suffix', description: `Domain ${registrable} uses the ${brand.name} name on a domain ${brand.name} does not own` };
+      }
+
+      if (brandLabel.length >= MIN_TYPO_LENGTH) {
+        const allowed = brandLabel.length >= 8 ? 2 : 1;
+        if (unicodeLabel !== brandLabel && !isPlural(unicodeLabel, brandLabel) && editDistance(unicodeLabel, brandLabel) <= allowed) {
+          return { brand, technique: 'typosquatting', description: `Domain ${registrable} is a misspelling of ${domain}` };
+        }
+      }
+
+      if (namePart && skeleton(namePart) === skeleton(brandLabel)) {
+        return { brand, technique: 'hiring_words', description: `Domain ${unicodeDomain} pairs the ${brand.name} name with recruiting words on a domain ${brand.name} does not own` };
+      }
+
+      if (subdomain && (subdomain.includes(`${domain}.`) || subdomain.split('.').includes(brandLabel))) {
+        return { brand, technique: 'subdomain', description: `Host ${hostname} puts ${domain} in a subdomain of unrelated domain ${registrable}` };
+      }
+    }
+  }
+
+  return null;
+};
+
+// Analyze one URL; returns null when it cannot be parsed
+const analyzeUrl = (rawUrl) => {
+  let parsed;
+  try {
+    const value = /^[a-z][a-z0-9+.-]*:\/\//i.test(rawUrl) ? rawUrl : `http://${rawUrl}`;
+    parsed = new URL(value.trim());
+  } catch (err) {
+    return null;
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  const result = {
+    url: rawUrl,
+    hostname,
+    domain: hostname,
+    unicodeHostname: hostname,
+    isIpHost: false,
+    isPunycode: false,
+    isShortener: false,
+    suspiciousTld: false,
+    lookalikeOf: null,
+    checks: []
+  };
+
+  const addCheck = (check, description) => result.checks.push({ check, description });
+
+  // WHATWG parsing already rewrites decimal and hex IPv4 forms to dotted quads
+  if (net.isIP(hostname)) {
+    result.isIpHost = true;
+    addCheck('ip_host', `URL points at raw IP address ${hostname} instead of a domain name`);
+    return result;
+  }
+
+  const registrable = getRegistrableDomain(hostname);
+  const tld = hostname.split('.').pop();
+  result.domain = registrable;
+  result.unicodeHostname = domainToUnicode(hostname) || hostname;
+
+  if (hostname.split('.').some(label => label.startsWith('xn--'))) {
+    result.isPunycode = true;
+    addCheck('punycode', `Internationalized domain ${result.unicodeHostname} (${hostname}) can hide lookalike characters`);
+  }
+
+  if (SHORTENERS.has(hostname) || SHORTENERS.has(registrable)) {
+    result.isShortener = true;
+    addCheck('shortener', `Link shortener ${hostname} hides the real destination`);
+  }
+
+  if (SUSPICIOUS_TLDS.has(tld)) {
+    result.suspiciousTld = true;
+    addCheck('suspicious_tld', `Domain uses .${tld}, a top-level domain common in throwaway scam sites`);
+  }
+
+  const subdomainDepth = hostname.split('.').length - registrable.split('.').length;
+  if (subdomainDepth > MAX_SUBDOMAIN_DEPTH) {
+    addCheck('deep_subdomain', `Host ${hostname} is nested ${subdomainDepth} subdomains deep`);
+  }
+
+  if (!findOwner(hostname)) {
+    const lookalike = findLookalike(hostname, registrable);
+    if (lookalike) {
+      result.lookalikeOf = lookalike.brand.name;
+      addCheck(lookalike.technique === 'subdomain' ? 'subdomain_impersonation' : 'lookalike_domain', lookalike.description);
+    }
+  }
+
+  return result;
+};
+
+// Checks that on their own suggest impersonation rather than just a risky link
+const IMPERSONATION_CHECKS = ['lookalike_domain', 'subdomain_impersonation'];
+
+module.exports = {
+  analyzeUrl,
+  getRegistrableDomain,
+  editDistance,
+  skeleton,
+  brandPart,
+  IMPERSONATION_CHECKS
+};
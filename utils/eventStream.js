@@ -0,0 +1,55 @@
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Open a Server-Sent Events response
+// Returns { send(event, data), close() }; onClose runs when either side ends the stream
+exports.openEventStream = (req, res, onClose) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+
+  // compression() buffers writes until flushed
+  const flush = () => {
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    flush();
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const cleanup = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    if (onClose) {
+      onClose();
+    }
+  };
+
+  req.on('close', cleanup);
+
+  return {
+    send: (event, data) => {
+      if (closed) {
+        return;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      flush();
+    },
+    close: () => {
+      cleanup();
+      res.end();
+    }
+  };
+};
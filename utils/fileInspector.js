@@ -0,0 +1,428 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const ErrorResponse = require('./errorResponse');
+
+// Archive limits, checked from the zip central directory before anything is decompressed
+const MAX_UNCOMPRESSED_SIZE = parseInt(process.env.MAX_UNCOMPRESSED_SIZE) || 50 * 1024 * 1024; // 50MB
+const MAX_COMPRESSION_RATIO = parseInt(process.env.MAX_COMPRESSION_RATIO) || 100;
+const MAX_ARCHIVE_ENTRIES = 1000;
+
+const SIGNATURES = [
+  { type: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { type: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] }, // PK\3\4
+  { type: 'ole', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { type: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'jpeg', bytes: [0xff, 0xd8, 0xff] }
+];
+
+// Container type each extension must have, and the mimetype we report for it
+const EXPECTED_TYPES = {
+  '.pdf': { container: 'pdf', mimetype: 'application/pdf' },
+  '.docx': {
+    container: 'zip',
+    mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  },
+  '.doc': { container: 'ole', mimetype: 'application/msword' },
+  '.txt': { container: 'text', mimetype: 'text/plain' },
+  '.eml': { container: 'text', mimetype: 'message/rfc822' },
+  '.json': { container: 'text', mimetype: 'application/json' },
+  '.png': { container: 'png', mimetype: 'image/png' },
+  '.jpg': { container: 'jpeg', mimetype: 'image/jpeg' },
+  '.jpeg': { container: 'jpeg', mimetype: 'image/jpeg' }
+};
+
+// Identify the container format from magic bytes
+const sniffType = (buffer) => {
+  const signature = SIGNATURES.find(({ bytes }) =>
+    bytes.every((byte, i) => buffer[i] === byte)
+  );
+
+  if (signature) {
+    return signature.type;
+  }
+
+  // Plain text has no signature, but never contains NUL bytes
+  const sample = buffer.subarray(0, 8192);
+  return sample.includes(0) ? 'unknown' : 'text';
+};
+
+// An RFC 822 message opens with header fields ("Name: value"), From or Received among them
+const looksLikeEmail = (buffer) => {
+  const head = buffer.subarray(0, 16384).toString('latin1');
+  const headerBlock = head.split(/\r?\n\r?\n/)[0];
+  return /^[\x21-\x39\x3b-\x7e]+:/.test(headerBlock) && /^(from|received):/im.test(headerBlock);
+};
+
+const invalidArchive = () => new ErrorResponse('The uploaded document is not a valid archive', 400);
+const unsafeArchive = () => new ErrorResponse('The uploaded document decompresses to an unsafe size and was rejected', 400);
+
+// Read entry sizes from the zip central directory without decompressing anything
+const readZipEntries = (buffer) => {
+  const searchFrom = Math.max(0, buffer.length - 65557);
+  let eocd = -1;
+
+  for (let i = buffer.length - 22; i >= searchFrom; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+
+  if (eocd === -1) {
+    throw invalidArchive();
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+
+  // ZIP64 markers mean sizes beyond what a 5MB job document can legitimately need
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new ErrorResponse('The uploaded archive is too large to process', 400);
+  }
+
+  if (entryCount > MAX_ARCHIVE_ENTRIES) {
+    throw new ErrorResponse('The uploaded archive contains too many files', 400);
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw invalidArchive();
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      uncompressedSize: buffer.readUInt32LE(offset + 24),
+      headerOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// Reject archives that would expand far beyond their upload size
+const checkDecompressionRatio = (entries, archiveSize) => {
+  const totalSize = entries.reduce((total, entry) => total + entry.uncompressedSize, 0);
+
+  const excessiveEntry = entries.some(entry =>
+    entry.uncompressedSize > 1024 * 1024 &&
+    entry.uncompressedSize / Math.max(entry.compressedSize, 1) > MAX_COMPRESSION_RATIO
+  );
+
+  if (
+    totalSize > MAX_UNCOMPRESSED_SIZE ||
+    totalSize / Math.max(archiveSize, 1) > MAX_COMPRESSION_RATIO ||
+    excessiveEntry
+  ) {
+    throw unsafeArchive();
+  }
+};
+
+// Decompress one entry, never past the size the central directory declares for it. The local
+// header must agree with the central directory, since extractors may read either
+const readZipEntry = (buffer, entry) => {
+  const offset = entry.headerOffset;
+  if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== 0x04034b50) {
+    throw invalidArchive();
+  }
+
+  const flags = buffer.readUInt16LE(offset + 6);
+  const compressedSize = buffer.readUInt32LE(offset + 18);
+  const uncompressedSize = buffer.readUInt32LE(offset + 22);
+  const nameLength = buffer.readUInt16LE(offset + 26);
+  const dataStart = offset + 30 + nameLength + buffer.readUInt16LE(offset + 28);
+
+  // With a data descriptor (flag bit 3) the local sizes may be left at zero
+  const deferredSizes = (flags & 0x08) && compressedSize === 0 && uncompressedSize === 0;
+  if (
+    buffer.readUInt16LE(offset + 8) !== entry.method ||
+    buffer.toString('utf8', offset + 30, offset + 30 + nameLength) !== entry.name ||
+    (!deferredSizes && (compressedSize !== entry.compressedSize || uncompressedSize !== entry.uncompressedSize)) ||
+    dataStart + entry.compressedSize > buffer.length
+  ) {
+    throw invalidArchive();
+  }
+
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+  let content;
+
+  if (entry.method === 0) {
+    content = data;
+  } else if (entry.method === 8) {
+    try {
+      content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, entry.uncompressedSize) });
+    } catch (err) {
+      throw err.code === 'ERR_BUFFER_TOO_LARGE' ? unsafeArchive() : invalidArchive();
+    }
+  } else {
+    throw invalidArchive();
+  }
+
+  if (content.length !== entry.uncompressedSize) {
+    throw unsafeArchive();
+  }
+  return content;
+};
+
+// Every entry of a zip archive by name, after the size checks. All entries are decompressed,
+// so a document that passes can be handed to extractors that inflate without limits
+const readZipArchive = (buffer) => {
+  const entries = readZipEntries(buffer);
+  checkDecompressionRatio(entries, buffer.length);
+  return new Map(entries.map(entry => [entry.name, readZipEntry(buffer, entry)]));
+};
+
+// Relationship types that pull remote content into a document when it opens
+const REMOTE_RELATIONSHIP = /\/(attachedTemplate|oleObject|frame|subDocument)"/;
+
+const inspectDocx = (buffer) => {
+  const archive = readZipArchive(buffer);
+  const names = [...archive.keys()];
+  if (!archive.has('[Content_Types].xml') || !archive.has('word/document.xml')) {
+    throw new ErrorResponse('The uploaded file is not a valid DOCX document', 400);
+  }
+
+  const findings = [];
+  const contentTypes = archive.get('[Content_Types].xml').toString('utf8');
+
+  if (names.some(name => /vbaProject\.bin$/i.test(name)) || /macroEnabled/i.test(contentTypes)) {
+    findings.push({
+      type: 'macros',
+      description: 'Document contains VBA macros'
+    });
+  }
+
+  const relationshipFiles = names.filter(name => /^word\/_rels\/.*\.rels$/i.test(name));
+  let externalTemplate = false;
+  let externalReference = false;
+
+  for (const name of relationshipFiles) {
+    const xml = archive.get(name).toString('utf8');
+    const relationships = xml.match(/<Relationship\b[^>]*>/g) || [];
+
+    relationships
+      .filter(relationship => /TargetMode="External"/i.test(relationship))
+      .forEach(relationship => {
+        if (/\/attachedTemplate"/.test(relationship)) {
+          externalTemplate = true;
+        } else if (REMOTE_RELATIONSHIP.test(relationship)) {
+          externalReference = true;
+        }
+      });
+  }
+
+  if (externalTemplate) {
+    findings.push({
+      type: 'external_template',
+      description: 'Document loads its template from a remote location (template injection)'
+    });
+  }
+
+  if (externalReference) {
+    findings.push({
+      type: 'external_reference',
+      description: 'Document loads embedded objects or frames from a remote location'
+    });
+  }
+
+  if (names.some(name => /^word\/(embeddings\/.*\.(bin|exe|dll|js|vbs)|activeX\/)/i.test(name))) {
+    findings.push({
+      type: 'embedded_object',
+      description: 'Document contains embedded OLE or ActiveX objects'
+    });
+  }
+
+  return findings;
+};
+
+// Compound file (OLE) sector chain markers and limits
+const CFB_END_OF_CHAIN = 0xfffffffe;
+const CFB_HEADER_DIFAT_ENTRIES = 109;
+const CFB_DIRECTORY_ENTRY_SIZE = 128;
+const MAX_CFB_SECTORS = 1 << 20;
+
+const invalidDoc = () => new ErrorResponse('The uploaded file is not a valid DOC document', 400);
+
+// Read the names of the storages and streams in a compound file's directory
+const readCompoundDirectory = (buffer) => {
+  if (buffer.length < 512) {
+    throw invalidDoc();
+  }
+
+  const sectorShift = buffer.readUInt16LE(0x1e);
+  if (sectorShift !== 9 && sectorShift !== 12) {
+    throw invalidDoc();
+  }
+
+  const sectorSize = 1 << sectorShift;
+  const sectorOffset = (sector) => {
+    const offset = (sector + 1) * sectorSize;
+    if (offset + sectorSize > buffer.length) {
+      throw invalidDoc();
+    }
+    return offset;
+  };
+
+  // The FAT's own sectors are listed in the header, then in a chain of DIFAT sectors
+  const fatSectorCount = buffer.readUInt32LE(0x2c);
+  if (fatSectorCount > MAX_CFB_SECTORS) {
+    throw invalidDoc();
+  }
+
+  const fatSectors = [];
+  for (let i = 0; i < CFB_HEADER_DIFAT_ENTRIES && fatSectors.length < fatSectorCount; i++) {
+    fatSectors.push(buffer.readUInt32LE(0x4c + i * 4));
+  }
+
+  let difatSector = buffer.readUInt32LE(0x44);
+  const perDifatSector = sectorSize / 4 - 1;
+  while (fatSectors.length < fatSectorCount && difatSector !== CFB_END_OF_CHAIN) {
+    const offset = sectorOffset(difatSector);
+    for (let i = 0; i < perDifatSector && fatSectors.length < fatSectorCount; i++) {
+      fatSectors.push(buffer.readUInt32LE(offset + i * 4));
+    }
+    difatSector = buffer.readUInt32LE(offset + perDifatSector * 4);
+  }
+
+  const nextSector = (sector) => {
+    const perFatSector = sectorSize / 4;
+    const fatSector = fatSectors[Math.floor(sector / perFatSector)];
+    if (fatSector === undefined) {
+      throw invalidDoc();
+    }
+    return buffer.readUInt32LE(sectorOffset(fatSector) + (sector % perFatSector) * 4);
+  };
+
+  // Follow the directory's sector chain, guarding against loops
+  const names = [];
+  const visited = new Set();
+  let sector = buffer.readUInt32LE(0x30);
+
+  while (sector !== CFB_END_OF_CHAIN) {
+    if (visited.has(sector) || visited.size >= MAX_CFB_SECTORS) {
+      throw invalidDoc();
+    }
+    visited.add(sector);
+
+    const offset = sectorOffset(sector);
+    for (let entry = offset; entry < offset + sectorSize; entry += CFB_DIRECTORY_ENTRY_SIZE) {
+      const nameLength = buffer.readUInt16LE(entry + 0x40);
+      const objectType = buffer[entry + 0x42];
+
+      // Storages (1) and streams (2); the length counts the UTF-16 terminator
+      if ((objectType === 1 || objectType === 2) && nameLength >= 2 && nameLength <= 64) {
+        names.push(buffer.toString('utf16le', entry, entry + nameLength - 2));
+      }
+    }
+
+    sector = nextSector(sector);
+  }
+
+  return names;
+};
+
+// Storage and stream names that hold VBA projects or embedded objects
+const OLE_MACRO_STREAMS = ['_vba_project', '_vba_project_cur', 'macros', 'vba'];
+const OLE_OBJECT_POOL = 'objectpool';
+
+const inspectDoc = (buffer) => {
+  const names = readCompoundDirectory(buffer).map(name => name.toLowerCase());
+  const findings = [];
+
+  if (names.some(name => OLE_MACRO_STREAMS.includes(name))) {
+    findings.push({
+      type: 'macros',
+      description: 'Document contains VBA macros'
+    });
+  }
+
+  if (names.includes(OLE_OBJECT_POOL)) {
+    findings.push({
+      type: 'embedded_object',
+      description: 'Document contains embedded OLE objects'
+    });
+  }
+
+  return findings;
+};
+
+const inspectPdf = (buffer) => {
+  // PDF names may hex-escape characters (/J#61vaScript) to hide from scanners
+  const content = buffer.toString('latin1').replace(/#([0-9a-f]{2})/gi, (match, hex) =>
+    String.fromCharCode(parseInt(hex, 16))
+  );
+  const findings = [];
+
+  if (/\/(JavaScript|JS)\b/.test(content)) {
+    findings.push({
+      type: 'pdf_javascript',
+      description: 'PDF contains embedded JavaScript'
+    });
+  }
+
+  if (/\/Launch\b/.test(content)) {
+    findings.push({
+      type: 'pdf_launch_action',
+      description: 'PDF tries to launch an external program'
+    });
+  }
+
+  if (/\/EmbeddedFiles?\b/.test(content)) {
+    findings.push({
+      type: 'pdf_embedded_file',
+      description: 'PDF carries embedded file attachments'
+    });
+  }
+
+  return findings;
+};
+
+// Verify an uploaded file by its contents and look for dangerous document features
+// Resolves to { detectedType, mimetype, findings }; throws a 400 ErrorResponse for files to reject
+exports.inspectFile = async (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const expected = EXPECTED_TYPES[extension];
+
+  if (!expected) {
+    throw new ErrorResponse(`Files with the ${extension || 'given'} extension are not allowed`, 400);
+  }
+
+  const buffer = await fs.readFile(file.path);
+  const detectedType = sniffType(buffer);
+
+  if (detectedType !== expected.container || (extension === '.eml' && !looksLikeEmail(buffer))) {
+    throw new ErrorResponse(
+      `The uploaded file's contents do not match its ${extension} extension`,
+      400
+    );
+  }
+
+  let findings = [];
+
+  if (extension === '.docx') {
+    findings = inspectDocx(buffer);
+  } else if (extension === '.doc') {
+    findings = inspectDoc(buffer);
+  } else if (extension === '.pdf') {
+    findings = inspectPdf(buffer);
+  }
+
+  return {
+    detectedType: extension.slice(1),
+    mimetype: expected.mimetype,
+    findings
+  };
+};
+
+exports.readZipArchive = readZipArchive;
@@ -0,0 +1,31 @@
+// Per-user inbound scan addresses: INBOUND_ADDRESS with the user's secret token added as a
+// subaddress (scan+<token>@example.com)
+
+const INBOUND_ADDRESSES = (process.env.INBOUND_ADDRESS || 'scan@localhost')
+  .split(',')
+  .map(address => address.trim().toLowerCase())
+  .filter(Boolean);
+
+// Tokens are hex, as generated by User.generateInboundToken
+const TOKEN_PATTERN = /^[a-f0-9]{32}$/;
+
+// Token in a recipient address of the form <local>+<token>@<domain>, or null
+const tokenOf = (address) => {
+  const match = (address || '').toLowerCase().match(/^([^@+]+)\+([^@]+)@(.+)$/);
+  if (!match || !INBOUND_ADDRESSES.includes(`${match[1]}@${match[3]}`) || !TOKEN_PATTERN.test(match[2])) {
+    return null;
+  }
+  return match[2];
+};
+
+// A user's inbound address, built on the first INBOUND_ADDRESS
+const inboundAddressFor = (token) => {
+  const [local, domain] = INBOUND_ADDRESSES[0].split('@');
+  return `${local}+${token}@${domain}`;
+};
+
+module.exports = {
+  INBOUND_ADDRESSES,
+  tokenOf,
+  inboundAddressFor
+};
@@ -0,0 +1,243 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+const JobScan = require('../models/JobScan');
+const User = require('../models/User');
+const sendEmail = require('./sendEmail');
+const { extractText } = require('./textExtractor');
+const { inspectFile } = require('./fileInspector');
+const { enqueueScan } = require('./scanQueue');
+const { publishScanEvent } = require('./scanEvents');
+const { tokenOf } = require('./inboundAddress');
+
+// Inbound mail: users forward a suspicious recruiter email to their own secret inbound address
+// (INBOUND_ADDRESS with a per-user token, scan+<token>@...), a scan is queued under their
+// account, and the verdict is mailed back once the worker finishes. Sender addresses are not
+// authenticated by SMTP, so the token, not the From address, decides whose account is used
+
+const INBOUND_MAX_SIZE = parseInt(process.env.INBOUND_MAX_SIZE) || parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+// Same allowance as the API's scan rate limiter
+const INBOUND_MAX_SCANS_PER_HOUR = parseInt(process.env.INBOUND_MAX_SCANS_PER_HOUR) || 20;
+
+const uploadDir = process.env.UPLOAD_PATH || './uploads';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// "From: Recruiter <jobs@example.com>" inside an inline forward names the original sender
+const FORWARDED_FROM = /^[>\s]*(?:from|von|de)\s*:\s*(?:.*<\s*)?([a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})/im;
+
+// Errors carrying an SMTP reply code; smtp-server sends them to the client
+const smtpError = (message, responseCode) => Object.assign(new Error(message), { responseCode });
+
+const uniqueName = (prefix) => `${prefix}-${Date.now()}-${Math.round(Math.random() * 1E9)}.eml`;
+
+const findOwner = (token) =>
+  token ? User.findOne({ inboundToken: token, accountStatus: 'active' }) : Promise.resolve(null);
+
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+// Turn a forwarded message into the fields of a new scan
+// Forwarded-as-attachment messages are kept whole so their headers can be analyzed;
+// inline forwards only carry the user's own headers, so just their text is kept
+const buildScanFields = async (raw, parsed) => {
+  const attached = (parsed.attachments || []).find(attachment => attachment.contentType === 'message/rfc822');
+
+  const filename = uniqueName(attached ? 'inbound' : 'inbound-inline');
+  const filePath = path.join(uploadDir, filename);
+  await fs.writeFile(filePath, attached ? attached.content : raw);
+
+  if (attached) {
+    try {
+      const inspection = await inspectFile({ path: filePath, originalname: filename });
+      return {
+        uploadedFile: {
+          filename,
+          originalName: attached.filename || 'forwarded.eml',
+          path: filePath,
+          size: attached.content.length,
+          mimetype: inspection.mimetype,
+          securityFindings: inspection.findings
+        }
+      };
+    } catch (err) {
+      await fs.unlink(filePath).catch(() => {});
+      throw smtpError('The attached message could not be read', 554);
+    }
+  }
+
+  try {
+    const extracted = await extractText({ path: filePath, originalname: filename, mimetype: 'message/rfc822' });
+    const sender = (parsed.text || '').match(FORWARDED_FROM);
+    return {
+      jobDescription: extracted.text,
+      companyEmail: sender ? sender[1].toLowerCase() : undefined
+    };
+  } catch (err) {
+    throw smtpError('No text found in the forwarded message', 554);
+  } finally {
+    await fs.unlink(filePath).catch(() => {});
+  }
+};
+
+// Create and queue a scan from a message delivered to a user's inbound address
+// Resolves to the JobScan; rejects with an SMTP error for messages to refuse
+exports.acceptInboundMessage = async (raw, envelope = {}) => {
+  const tokens = Array.from(new Set((envelope.rcptTo || []).map(rcpt => tokenOf(rcpt.address)).filter(Boolean)));
+  if (tokens.length !== 1) {
+    throw smtpError('Send to your own JobGuard inbound address, shown in your profile', 550);
+  }
+
+  const user = await findOwner(tokens[0]);
+  if (!user) {
+    throw smtpError('Unknown inbound address', 550);
+  }
+
+  const parsed = await simpleParser(raw, { skipImageLinks: true, skipTextToHtml: true });
+  const fromHeader = parsed.from && parsed.from.value[0] ? parsed.from.value[0].address.toLowerCase() : null;
+  const envelopeFrom = envelope.mailFrom && envelope.mailFrom.address ? envelope.mailFrom.address.toLowerCase() : fromHeader;
+
+  // A leaked address alone is not enough: the message must also come from the account's email
+  if (!fromHeader || fromHeader !== envelopeFrom || fromHeader !== user.email) {
+    throw smtpError('Forward from the email address registered with your JobGuard account', 550);
+  }
+
+  const recent = await JobScan.countDocuments({
+    user: user._id,
+    source: 'email',
+    createdAt: { $gte: new Date(Date.now() - HOUR_MS) }
+  });
+  if (recent >= INBOUND_MAX_SCANS_PER_HOUR) {
+    throw smtpError('Too many scan requests. Please try again later', 452);
+  }
+
+  const fields = await buildScanFields(raw, parsed);
+
+  const jobScan = await JobScan.create({
+    user: user._id,
+    ...fields,
+    // Whatever the user forwards arrived as an email
+    scanType: 'recruiter_email',
+    source: 'email',
+    inboundEmail: {
+      from: user.email,
+      subject: parsed.subject,
+      messageId: parsed.messageId,
+      receivedAt: new Date()
+    },
+    status: 'pending'
+  });
+
+  await publishScanEvent(jobScan, 'status', { status: 'pending' });
+  await enqueueScan(jobScan._id);
+
+  return jobScan;
+};
+
+const replySubject = (jobScan, summary) => {
+  const subject = jobScan.inboundEmail.subject;
+  return subject ? `${summary}: ${subject.replace(/^\s*(fwd?|fw)\s*:\s*/i, '')}` : summary;
+};
+
+const verdictLabel = (jobScan) =>
+  jobScan.riskLevel === 'insufficient_data' ? 'not enough information' : `${jobScan.riskLevel} risk`;
+
+const describeVerdict = (jobScan) => {
+  const flags = jobScan.warningFlags.filter(flag => flag.detected);
+  const insufficient = jobScan.riskLevel === 'insufficient_data';
+  const lines = [
+    'JobGuard has scanned the email you forwarded.',
+    '',
+    `Risk level: ${insufficient ? 'NOT ENOUGH INFORMATION' : jobScan.riskLevel.toUpperCase()}`,
+    `Scam probability: ${jobScan.scamProbability}%`,
+    ''
+  ];
+
+  if (insufficient) {
+    lines.push('The email did not contain enough to judge it either way. Scanning it in JobGuard with these fields filled in would help most:');
+    (jobScan.coverage ? jobScan.coverage.improvements : []).forEach(item => lines.push(`- ${item.field}: ${item.reason}`));
+    lines.push('');
+  }
+
+  if (flags.length > 0) {
+    lines.push('Warning signs:');
+    flags.forEach(flag => lines.push(`- [${flag.severity}] ${flag.description}`));
+  } else {
+    lines.push('No warning signs were found. Stay cautious: never pay to get a job or share bank details before a verified offer.');
+  }
+
+  lines.push('', `The full report is in your JobGuard scan history (scan ${jobScan._id}).`);
+  return lines.join('\n');
+};
+
+// Mail the verdict (or the failure) back to whoever forwarded the scan
+// A failed reply is logged rather than thrown, so it never fails the scan itself
+exports.replyToInboundScan = async (jobScan) => {
+  if (jobScan.source !== 'email' || !jobScan.inboundEmail || jobScan.inboundEmail.repliedAt) {
+    return;
+  }
+
+  const completed = jobScan.status === 'completed';
+  const message = completed
+    ? describeVerdict(jobScan)
+    : `JobGuard could not scan the email you forwarded: ${jobScan.errorReason}`;
+
+  try {
+    await sendEmail({
+      email: jobScan.inboundEmail.from,
+      subject: replySubject(jobScan, completed ? `JobGuard: ${verdictLabel(jobScan)}` : 'JobGuard: scan failed'),
+      message
+    });
+
+    jobScan.inboundEmail.repliedAt = new Date();
+    await jobScan.save();
+  } catch (error) {
+    console.error(`Could not send the scan result for ${jobScan._id}: ${error.message}`);
+  }
+};
+
+// SMTP listener for the inbound addresses. Mail is only accepted for a user's secret address;
+// the sender is checked against that account once the message has arrived
+exports.createInboundServer = (options = {}) => new SMTPServer({
+  name: process.env.INBOUND_HOSTNAME,
+  banner: 'JobGuard inbound scanner',
+  size: INBOUND_MAX_SIZE,
+  authOptional: true,
+  disabledCommands: ['AUTH'],
+  key: options.key,
+  cert: options.cert,
+  hideSTARTTLS: !options.key,
+
+  onRcptTo: (address, session, callback) => {
+    const token = tokenOf(address.address);
+    if (!token) {
+      return callback(smtpError(`${address.address} does not accept mail`, 550));
+    }
+
+    findOwner(token)
+      .then(user => callback(user ? null : smtpError(`${address.address} does not accept mail`, 550)))
+      .catch(() => callback(smtpError('Temporary lookup failure, try again later', 451)));
+  },
+
+  onData: (stream, session, callback) => {
+    readStream(stream)
+      .then(raw => {
+        if (stream.sizeExceeded) {
+          throw smtpError(`Message is larger than ${INBOUND_MAX_SIZE} bytes`, 552);
+        }
+        return exports.acceptInboundMessage(raw, session.envelope);
+      })
+      .then(jobScan => callback(null, `Queued as scan ${jobScan._id}`))
+      .catch(error => {
+        if (!error.responseCode) {
+          console.error(`Inbound message failed: ${error.message}`);
+        }
+        callback(error.responseCode ? error : smtpError('Temporary failure, try again later', 451));
+      });
+  }
+});
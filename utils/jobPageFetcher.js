@@ -0,0 +1,39 @@
+const { safeFetch } = require('./safeFetch');
+const { parseJobPage } = require('./jobPageParser');
+const ErrorResponse = require('./errorResponse');
+
+const SUPPORTED_TYPES = /^(text\/html|application\/xhtml\+xml|text\/plain)\b/i;
+
+// Decode with the charset from the header or a <meta charset>, falling back to UTF-8
+const decodeBody = (body, contentType) => {
+  const head = body.subarray(0, 2048).toString('latin1');
+  const declared = (contentType.match(/charset=["']?([\w-]+)/i) || head.match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+
+  try {
+    return new TextDecoder(declared || 'utf-8').decode(body);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(body);
+  }
+};
+
+// Fetch the posting behind a job URL and extract its fields
+// Returns the parsed fields plus { url, fetchedAt }
+exports.fetchJobPage = async (jobUrl, options) => {
+  const page = await safeFetch(jobUrl, options);
+
+  if (page.contentType && !SUPPORTED_TYPES.test(page.contentType)) {
+    throw new ErrorResponse(`Job URL returned ${page.contentType.split(';')[0]}, not a web page`, 422);
+  }
+
+  const parsed = parseJobPage(decodeBody(page.body, page.contentType), page.contentType);
+
+  if (!parsed.jobDescription) {
+    throw new ErrorResponse('No job posting text could be found at the job URL', 422);
+  }
+
+  return {
+    ...parsed,
+    url: page.url,
+    fetchedAt: new Date()
+  };
+};
@@ -0,0 +1,185 @@
+const { normalizeSalary } = require('./analyzer/salary');
+
+// Pull job fields out of a fetched posting page: schema.org JobPosting JSON-LD when
+// the page has it, otherwise the readable main text
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+  rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', hellip: '…', bull: '•', euro: '€', pound: '£', copy: '©'
+};
+
+// schema.org unitText values mapped to salary periods
+const UNIT_PERIODS = {
+  HOUR: 'hour',
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  YEAR: 'year'
+};
+
+// Elements that never hold the posting itself
+const BOILERPLATE = /<(script|style|noscript|template|svg|nav|header|footer|aside|form|iframe)\b[\s\S]*?<\/\1\s*>/gi;
+const BLOCK_TAGS = /<\/?(p|div|br|li|ul|ol|h[1-6]|tr|section|article|main|table|blockquote|dt|dd)\b[^>]*>/gi;
+
+// Longest description kept from a page, matching the API's own limit
+const MAX_DESCRIPTION_LENGTH = 10000;
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] || entity;
+  });
+
+// HTML fragment to plain text, keeping paragraph breaks
+const htmlToText = (html) =>
+  decodeEntities(
+    (html || '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(BOILERPLATE, ' ')
+      .replace(BLOCK_TAGS, '\n')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .replace(/[ \t\f\v ]+/g, ' ')
+    .replace(/ *\n[\s]*/g, '\n')
+    .trim();
+
+const truncate = (text) => (text.length > MAX_DESCRIPTION_LENGTH ? text.slice(0, MAX_DESCRIPTION_LENGTH) : text);
+
+const typeOf = (node) => [].concat(node['@type'] || []);
+
+// Every object in the JSON-LD graph, including @graph members and nested values
+const walk = (node, found = []) => {
+  if (Array.isArray(node)) {
+    node.forEach(item => walk(item, found));
+  } else if (node && typeof node === 'object') {
+    found.push(node);
+    Object.values(node).forEach(value => walk(value, found));
+  }
+  return found;
+};
+
+const findJobPosting = (html) => {
+  const pattern = /<script[^>]+type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    let data;
+    try {
+      data = JSON.parse(match[1].trim());
+    } catch (error) {
+      // Broken JSON-LD is common; move on to the next block
+      continue;
+    }
+
+    const posting = walk(data).find(node => typeOf(node).includes('JobPosting'));
+    if (posting) {
+      return posting;
+    }
+  }
+
+  return null;
+};
+
+const textValue = (value) => {
+  if (!value) return undefined;
+  if (typeof value === 'string') return htmlToText(value) || undefined;
+  if (Array.isArray(value)) return textValue(value[0]);
+  return textValue(value.name);
+};
+
+const locationOf = (posting) => {
+  if ([].concat(posting.jobLocationType || []).includes('TELECOMMUTE')) {
+    return 'Remote';
+  }
+
+  const place = [].concat(posting.jobLocation || [])[0];
+  if (!place) return undefined;
+  if (typeof place === 'string') return place;
+
+  const address = place.address || {};
+  if (typeof address === 'string') return address;
+
+  const country = address.addressCountry && (address.addressCountry.name || address.addressCountry);
+  const parts = [address.addressLocality, address.addressRegion, country].filter(part => typeof part === 'string' && part);
+  return parts.length > 0 ? parts.join(', ') : textValue(place);
+};
+
+const salaryOf = (posting) => {
+  const base = [].concat(posting.baseSalary || posting.estimatedSalary || [])[0];
+  if (!base) return undefined;
+
+  const value = typeof base.value === 'object' ? base.value : base;
+  const min = parseFloat(value.minValue !== undefined ? value.minValue : value.value);
+  const max = parseFloat(value.maxValue !== undefined ? value.maxValue : value.value);
+
+  if (isNaN(min) && isNaN(max)) {
+    return undefined;
+  }
+
+  return normalizeSalary({
+    min: isNaN(min) ? max : min,
+    max: isNaN(max) ? min : max,
+    currency: base.currency || value.currency,
+    period: UNIT_PERIODS[String(value.unitText || base.unitText || '').toUpperCase()]
+  });
+};
+
+const metaContent = (html, property) => {
+  const pattern = new RegExp(`<meta[^>]+(?:property|name)\\s*=\\s*["']${property}["'][^>]*>`, 'i');
+  const tag = html.match(pattern);
+  const content = tag && tag[0].match(/content\s*=\s*["']([^"']*)["']/i);
+  return content ? decodeEntities(content[1]).trim() || undefined : undefined;
+};
+
+// The part of the page most likely to hold the posting
+const mainContent = (html) => {
+  const candidates = [
+    /<main\b[^>]*>([\s\S]*?)<\/main>/i,
+    /<article\b[^>]*>([\s\S]*?)<\/article>/i,
+    /<(div|section)\b[^>]*(?:id|class)\s*=\s*["'][^"']*job[-_]?(?:description|details|posting)[^"']*["'][^>]*>([\s\S]*)/i,
+    /<body\b[^>]*>([\s\S]*?)<\/body>/i
+  ];
+
+  for (const pattern of candidates) {
+    const match = html.match(pattern);
+    if (match) {
+      return match[match.length - 1];
+    }
+  }
+  return html;
+};
+
+// Parse a posting page into job fields
+// Returns { source: 'json-ld' | 'html', jobTitle, companyName, location, salary, jobDescription }
+exports.parseJobPage = (body, contentType = '') => {
+  if (/text\/plain/i.test(contentType)) {
+    return { source: 'text', jobDescription: truncate(body.trim()) };
+  }
+
+  const posting = findJobPosting(body);
+
+  if (posting) {
+    return {
+      source: 'json-ld',
+      jobTitle: textValue(posting.title),
+      companyName: textValue(posting.hiringOrganization),
+      location: locationOf(posting),
+      salary: salaryOf(posting),
+      jobDescription: truncate(textValue(posting.description) || htmlToText(mainContent(body)))
+    };
+  }
+
+  const title = metaContent(body, 'og:title') ||
+    textValue((body.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i) || [])[1]) ||
+    textValue((body.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i) || [])[1]);
+
+  return {
+    source: 'html',
+    jobTitle: title,
+    companyName: metaContent(body, 'og:site_name'),
+    jobDescription: truncate(htmlToText(mainContent(body)))
+  };
+};
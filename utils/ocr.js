@@ -0,0 +1,45 @@
+const { createWorker } = require('tesseract.js');
+const engData = require('@tesseract.js-data/eng');
+
+// Language data ships with @tesseract.js-data/eng so OCR never downloads anything
+// OCR_LANG_PATH can point at a directory with other (uncompressed) traineddata files
+const langPath = process.env.OCR_LANG_PATH || engData.langPath;
+const gzip = process.env.OCR_LANG_PATH ? false : engData.gzip;
+
+// One worker is shared by all scans, loading the model is the slow part
+let workerPromise = null;
+
+const getWorker = () => {
+  if (!workerPromise) {
+    workerPromise = createWorker(process.env.OCR_LANGUAGES || 'eng', 1, {
+      langPath,
+      gzip,
+      cacheMethod: 'none'
+    }).catch(err => {
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+};
+
+// Recognize text in an image file
+// Returns the text and tesseract's mean confidence (0-100)
+exports.recognizeImage = async (filePath) => {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(filePath);
+
+  return {
+    text: data.text || '',
+    confidence: Math.round(data.confidence || 0)
+  };
+};
+
+// Release the shared worker (used on shutdown)
+exports.terminateOcr = async () => {
+  if (workerPromise) {
+    const worker = await workerPromise;
+    workerPromise = null;
+    await worker.terminate();
+  }
+};
@@ -0,0 +1,194 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const ErrorResponse = require('./errorResponse');
+
+// Limits for fetching user-supplied URLs
+const FETCH_TIMEOUT_MS = parseInt(process.env.FETCH_TIMEOUT_MS) || 10000;
+const FETCH_MAX_BYTES = parseInt(process.env.FETCH_MAX_BYTES) || 2 * 1024 * 1024;
+const FETCH_MAX_REDIRECTS = parseInt(process.env.FETCH_MAX_REDIRECTS) || 5;
+
+// Hosts exempt from the private-address check, e.g. "localhost,127.0.0.1" for a local fixture server
+const ALLOWED_HOSTS = (process.env.FETCH_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const USER_AGENT = 'JobGuardBot/1.0 (+job scam analysis)';
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const BLOCKED_IPV6 = [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+];
+
+const blockList = new net.BlockList();
+BLOCKED_IPV4.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+BLOCKED_IPV6.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1, or ::ffff:a00:1 as URLs write them)
+// are checked as the IPv4 address they carry
+const isBlockedAddress = (address) => {
+  const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) {
+    return blockList.check(dotted[1], 'ipv4');
+  }
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return blockList.check(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`, 'ipv4');
+  }
+  return blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const isAllowedHost = (hostname, allowedHosts) => allowedHosts.includes(hostname.toLowerCase());
+
+// DNS lookup that refuses private addresses. Checking at connect time, rather than
+// before the request, stops a hostname from resolving to a public IP first and a private one later
+const guardedLookup = (allowedHosts) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const list = Array.isArray(addresses) ? addresses : [{ address: addresses, family: options.family }];
+    const blocked = !isAllowedHost(hostname, allowedHosts) && list.find(entry => isBlockedAddress(entry.address));
+
+    if (blocked) {
+      return callback(new ErrorResponse(`Refusing to fetch ${hostname}: it resolves to private address ${blocked.address}`, 422));
+    }
+
+    if (options.all) {
+      return callback(null, list);
+    }
+    callback(null, list[0].address, list[0].family);
+  });
+};
+
+const checkUrl = (url, allowedHosts) => {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ErrorResponse(`Only http and https URLs can be fetched, not ${url.protocol}`, 422);
+  }
+  if (url.username || url.password) {
+    throw new ErrorResponse('URLs with credentials cannot be fetched', 422);
+  }
+
+  // Literal IPs skip DNS, so check them here
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isBlockedAddress(hostname) && !isAllowedHost(hostname, allowedHosts)) {
+    throw new ErrorResponse(`Refusing to fetch private address ${hostname}`, 422);
+  }
+};
+
+// One request without following redirects; resolves with the response and the body buffer
+const request = (url, { timeoutMs, maxBytes, allowedHosts, accept }) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+
+  const req = client.get(url, {
+    lookup: guardedLookup(allowedHosts),
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: accept,
+      'Accept-Encoding': 'identity'
+    }
+  }, (res) => {
+    const length = parseInt(res.headers['content-length'], 10);
+    if (length > maxBytes) {
+      res.destroy();
+      return reject(new ErrorResponse(`Response from ${url.hostname} is larger than ${maxBytes} bytes`, 422));
+    }
+
+    const chunks = [];
+    let received = 0;
+
+    res.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        res.destroy();
+        reject(new ErrorResponse(`Response from ${url.hostname} is larger than ${maxBytes} bytes`, 422));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    res.on('end', () => resolve({ res, body: Buffer.concat(chunks) }));
+    res.on('error', reject);
+  });
+
+  // The whole exchange, not just idle time, must finish within the timeout
+  const timer = setTimeout(() => req.destroy(new Error(`Fetching ${url.hostname} timed out after ${timeoutMs}ms`)), timeoutMs);
+  req.on('close', () => clearTimeout(timer));
+  req.on('error', reject);
+});
+
+// Fetch a user-supplied URL with an SSRF guard, size cap, timeout and redirect limit
+// Returns { url (after redirects), status, contentType, body (Buffer) }
+// Errors caused by the URL itself are 422 ErrorResponses; network failures are plain errors
+exports.safeFetch = async (rawUrl, options = {}) => {
+  const settings = {
+    timeoutMs: options.timeoutMs || FETCH_TIMEOUT_MS,
+    maxBytes: options.maxBytes || FETCH_MAX_BYTES,
+    allowedHosts: options.allowedHosts || ALLOWED_HOSTS,
+    accept: options.accept || 'text/html,application/xhtml+xml,text/plain;q=0.8'
+  };
+  const maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : FETCH_MAX_REDIRECTS;
+
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    throw new ErrorResponse(`${rawUrl} is not a valid URL`, 422);
+  }
+
+  for (let redirects = 0; ; redirects++) {
+    checkUrl(url, settings.allowedHosts);
+
+    const { res, body } = await request(url, settings);
+
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      if (redirects >= maxRedirects) {
+        throw new ErrorResponse(`Too many redirects fetching ${rawUrl}`, 422);
+      }
+      url = new URL(res.headers.location, url);
+      continue;
+    }
+
+    if (res.statusCode >= 400) {
+      // Server errors may clear up on retry, missing pages will not
+      const message = `Fetching ${url.href} failed with status ${res.statusCode}`;
+      throw res.statusCode >= 500 ? new Error(message) : new ErrorResponse(message, 422);
+    }
+
+    return {
+      url: url.href,
+      status: res.statusCode,
+      contentType: res.headers['content-type'] || '',
+      body
+    };
+  }
+};
+
+exports.isBlockedAddress = isBlockedAddress;
@@ -0,0 +1,66 @@
+const EventEmitter = require('events');
+const ScanEvent = require('../models/ScanEvent');
+
+const RETRY_DELAY_MS = 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let tailing = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Publish a progress event for a scan
+// Events go through MongoDB so streams on the API server see events from the worker process
+exports.publishScanEvent = async (jobScan, type, data) => {
+  try {
+    await ScanEvent.create({
+      jobScan: jobScan._id,
+      user: jobScan.user,
+      type,
+      data
+    });
+  } catch (err) {
+    // Progress events are best effort and must never break a scan
+    console.error(`Failed to publish ${type} event for scan ${jobScan._id}: ${err.message}`);
+  }
+};
+
+// Follow the capped collection and re-emit new events in this process
+const tailEvents = async () => {
+  const latest = await ScanEvent.findOne().sort({ $natural: -1 }).select('_id').lean();
+  let lastId = latest ? latest._id : null;
+
+  while (tailing) {
+    try {
+      const cursor = ScanEvent.find(lastId ? { _id: { $gt: lastId } } : {})
+        .tailable(true, { awaitData: true })
+        .lean()
+        .cursor();
+
+      for await (const event of cursor) {
+        lastId = event._id;
+        emitter.emit('event', event);
+      }
+    } catch (err) {
+      console.error(`Scan event stream error: ${err.message}`);
+    }
+
+    // Tailable cursors end when the collection is empty or the cursor is invalidated
+    await sleep(RETRY_DELAY_MS);
+  }
+};
+
+// Listen for scan events; returns a function that removes the listener
+exports.subscribeScanEvents = (listener) => {
+  if (!tailing) {
+    tailing = true;
+    tailEvents().catch(err => {
+      tailing = false;
+      console.error(`Could not follow scan events: ${err.message}`);
+    });
+  }
+
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
@@ -0,0 +1,295 @@
+const JobScan = require('../models/JobScan');
+const { analyzeJobScan } = require('./analyzer');
+const { extractText } = require('./textExtractor');
+const { fetchJobPage } = require('./jobPageFetcher');
+const { detectScanType } = require('./analyzer/scanTypes');
+const { claimNextJob, completeJob, failJob, failAbandonedJobs, keepLock } = require('./scanQueue');
+const { publishScanEvent } = require('./scanEvents');
+const { replyToInboundScan } = require('./inboundMail');
+
+// Longest description analyzed; extracted documents and fetched pages are cut to this, so a huge
+// upload cannot tie up the worker in the text scans
+const MAX_ANALYZED_LENGTH = parseInt(process.env.MAX_ANALYZED_LENGTH) || 20000;
+
+// Errors caused by the submission itself (unreadable file etc.) will not succeed on retry
+const isPermanentError = (error) =>
+  !!error.statusCode && error.statusCode >= 400 && error.statusCode < 500;
+
+// Uploads whose text was never extracted, and URL-only submissions whose page was never fetched
+const needsTextExtraction = (jobScan) =>
+  !!(jobScan.uploadedFile && jobScan.uploadedFile.path && !jobScan.uploadedFile.extractedFormat);
+const needsPageFetch = (jobScan) =>
+  !!(jobScan.jobUrl && !jobScan.jobDescription && !(jobScan.uploadedFile && jobScan.uploadedFile.path));
+
+// Whether processing a scan would run OCR, document extraction or a page fetch first
+exports.needsExtraction = (jobScan) => needsTextExtraction(jobScan) || needsPageFetch(jobScan);
+
+// A queued scan another worker took over after this one's lock lapsed; its results are not saved
+class LockLostError extends Error {}
+
+// Run the analysis pipeline for a scan: text extraction, then the rule engine
+// options.checkLock, when given, is asked before the results are saved whether the queue lock is still held
+exports.processScan = async (jobScan, options = {}) => {
+  jobScan.status = 'analyzing';
+  jobScan.errorReason = undefined;
+  await jobScan.save();
+  await publishScanEvent(jobScan, 'status', { status: 'analyzing' });
+
+  // Extract text from documents, or OCR it from screenshots
+  if (needsTextExtraction(jobScan)) {
+    const extracted = await extractText({
+      path: jobScan.uploadedFile.path,
+      originalname: jobScan.uploadedFile.originalName,
+      mimetype: jobScan.uploadedFile.mimetype
+    });
+
+    jobScan.jobDescription = extracted.text;
+    jobScan.uploadedFile.extractedFormat = extracted.format;
+
+    // Forwarded emails: keep the headers for analysis, and treat the sender as the company email
+    if (extracted.emailHeaders) {
+      jobScan.emailHeaders = extracted.emailHeaders;
+      if (!jobScan.companyEmail && extracted.emailHeaders.from) {
+        jobScan.companyEmail = extracted.emailHeaders.from.address;
+      }
+    }
+
+    if (extracted.format === 'image') {
+      jobScan.ocr = {
+        text: extracted.text,
+        confidence: extracted.confidence
+      };
+    }
+
+    await publishScanEvent(jobScan, 'stage', { stage: 'text_extraction' });
+  }
+
+  // URL-only submissions: fetch the posting and fill in whatever the user left out
+  if (needsPageFetch(jobScan)) {
+    const page = await fetchJobPage(jobScan.jobUrl);
+
+    ['jobTitle', 'companyName', 'location', 'jobDescription'].forEach(field => {
+      if (!jobScan[field] && page[field]) {
+        jobScan[field] = page[field];
+      }
+    });
+    if (page.salary) {
+      jobScan.salary = page.salary;
+    }
+    jobScan.fetchedPage = {
+      url: page.url,
+      source: page.source,
+      fetchedAt: page.fetchedAt
+    };
+
+    await publishScanEvent(jobScan, 'stage', { stage: 'page_fetch' });
+  }
+
+  if (jobScan.jobDescription && jobScan.jobDescription.length > MAX_ANALYZED_LENGTH) {
+    jobScan.jobDescription = jobScan.jobDescription.slice(0, MAX_ANALYZED_LENGTH);
+  }
+
+  // Scans submitted without a type, or whose type was guessed before, are classified from their content
+  if (!jobScan.scanType || jobScan.scanTypeDetected) {
+    jobScan.scanType = detectScanType(jobScan);
+    jobScan.scanTypeDetected = true;
+  }
+
+  const analysisResults = await analyzeJobScan(jobScan, {
+    onStage: (stage) => publishScanEvent(jobScan, 'stage', { stage })
+  });
+
+  if (options.checkLock && !(await options.checkLock())) {
+    throw new LockLostError(`Scan ${jobScan._id} was taken over by another worker`);
+  }
+
+  // Update job scan with analysis results
+  jobScan.warningFlags = analysisResults.warningFlags;
+  jobScan.scamProbability = analysisResults.scamProbability;
+  jobScan.firedRules = analysisResults.firedRules;
+  jobScan.analyzerVersion = analysisResults.analyzerVersion;
+  jobScan.analysisResults = analysisResults.details;
+  jobScan.entities = analysisResults.entities;
+  jobScan.conversation = analysisResults.conversation || undefined;
+  jobScan.coverage = analysisResults.coverage;
+  jobScan.salary = analysisResults.salary ? {
+    min: analysisResults.salary.min,
+    max: analysisResults.salary.max,
+    currency: analysisResults.salary.currency,
+    text: analysisResults.salary.text,
+    period: analysisResults.salary.period,
+    annualMinUsd: analysisResults.salary.annualMinUsd,
+    annualMaxUsd: analysisResults.salary.annualMaxUsd
+  } : undefined;
+  jobScan.riskLevel = jobScan.calculateRiskLevel();
+  jobScan.status = 'completed';
+  jobScan.completedAt = Date.now();
+  await jobScan.save();
+
+  await publishScanEvent(jobScan, 'result', exports.summarizeScan(jobScan));
+  await publishScanEvent(jobScan, 'status', { status: 'completed' });
+  await replyToInboundScan(jobScan);
+
+  return jobScan;
+};
+
+// Risk summary sent to clients when a scan completes
+exports.summarizeScan = (jobScan) => ({
+  id: jobScan._id,
+  jobTitle: jobScan.jobTitle,
+  companyName: jobScan.companyName,
+  riskLevel: jobScan.riskLevel,
+  scamProbability: jobScan.scamProbability,
+  coverage: jobScan.coverage ? jobScan.coverage.score : undefined,
+  warningFlags: jobScan.warningFlags
+    .filter(flag => flag.detected)
+    .map(flag => ({
+      type: flag.type,
+      severity: flag.severity,
+      description: flag.description
+    })),
+  // Fields worth adding when there was too little to go on
+  improvements: jobScan.riskLevel === 'insufficient_data' && jobScan.coverage
+    ? jobScan.coverage.improvements.map(({ field, reason }) => ({ field, reason }))
+    : undefined,
+  completedAt: jobScan.completedAt
+});
+
+// Number of previous verdicts kept per scan
+const MAX_HISTORY = 20;
+
+// Copy of the current verdict, or null when the scan was never analyzed
+const snapshotAnalysis = (jobScan) => {
+  if (jobScan.status !== 'completed') {
+    return null;
+  }
+
+  return {
+    analyzerVersion: jobScan.analyzerVersion || '1.0.0',
+    riskLevel: jobScan.riskLevel,
+    scamProbability: jobScan.scamProbability,
+    coverage: jobScan.coverage ? jobScan.coverage.score : undefined,
+    warningFlags: jobScan.warningFlags
+      .filter(flag => flag.detected)
+      .map(flag => ({
+        type: flag.type,
+        severity: flag.severity,
+        description: flag.description,
+        ruleId: flag.ruleId
+      })),
+    firedRules: jobScan.firedRules,
+    analyzedAt: jobScan.completedAt || jobScan.updatedAt
+  };
+};
+
+// Flags are compared by rule ID, or by type when one side predates rule IDs
+const sameFlag = (a, b) =>
+  a.ruleId && b.ruleId ? a.ruleId === b.ruleId : a.type === b.type;
+
+// Describe what changed between a previous verdict and the scan's current one
+const diffAnalyses = (previous, jobScan) => {
+  const before = previous ? previous.warningFlags : [];
+  const after = jobScan.warningFlags.filter(flag => flag.detected);
+  const summarize = flag => ({ type: flag.type, severity: flag.severity, ruleId: flag.ruleId });
+  const previousProbability = previous ? previous.scamProbability : null;
+
+  return {
+    analyzerVersion: {
+      from: previous ? previous.analyzerVersion : null,
+      to: jobScan.analyzerVersion
+    },
+    riskLevel: {
+      from: previous ? previous.riskLevel : null,
+      to: jobScan.riskLevel
+    },
+    scamProbability: {
+      from: previousProbability,
+      to: jobScan.scamProbability,
+      change: previousProbability === null ? null : jobScan.scamProbability - previousProbability
+    },
+    flagsAdded: after.filter(flag => !before.some(old => sameFlag(old, flag))).map(summarize),
+    flagsRemoved: before.filter(flag => !after.some(current => sameFlag(flag, current))).map(summarize)
+  };
+};
+
+// Re-run analysis on an existing scan, keeping the previous verdict in its history
+// Returns the diff between the previous and new verdicts
+exports.reanalyzeScan = async (jobScan) => {
+  const previous = snapshotAnalysis(jobScan);
+
+  if (previous) {
+    jobScan.analysisHistory.push(previous);
+
+    if (jobScan.analysisHistory.length > MAX_HISTORY) {
+      jobScan.analysisHistory.splice(0, jobScan.analysisHistory.length - MAX_HISTORY);
+    }
+  }
+
+  await exports.processScan(jobScan);
+  return diffAnalyses(previous, jobScan);
+};
+
+// Mark a scan as failed with a reason users can read
+exports.markScanFailed = async (jobScan, error) => {
+  jobScan.status = 'failed';
+  jobScan.errorReason = error.message;
+  await jobScan.save();
+  await publishScanEvent(jobScan, 'status', { status: 'failed', errorReason: error.message });
+  await replyToInboundScan(jobScan);
+  return jobScan;
+};
+
+// Claim and process one queued scan, first failing the scans of abandoned jobs with no attempts left
+// Returns false when the queue had nothing due
+exports.processNextJob = async (workerId) => {
+  for (const abandoned of await failAbandonedJobs()) {
+    const abandonedScan = await JobScan.findById(abandoned.jobScan);
+    if (abandonedScan) {
+      await exports.markScanFailed(abandonedScan, new Error(abandoned.lastError));
+    }
+  }
+
+  const job = await claimNextJob(workerId);
+
+  if (!job) {
+    return false;
+  }
+
+  const jobScan = await JobScan.findById(job.jobScan);
+
+  // Scan was deleted while queued
+  if (!jobScan) {
+    await completeJob(job);
+    return true;
+  }
+
+  const lock = keepLock(job);
+
+  try {
+    await exports.processScan(jobScan, { checkLock: lock.check });
+    await completeJob(job);
+  } catch (error) {
+    // The worker that took over owns the scan now
+    if (error instanceof LockLostError || !(await lock.check())) {
+      console.error(`Scan ${jobScan._id} attempt ${job.attempts} abandoned: lock lost to another worker`);
+      return true;
+    }
+
+    const willRetry = await failJob(job, error, { permanent: isPermanentError(error) });
+
+    if (willRetry) {
+      jobScan.status = 'pending';
+      jobScan.errorReason = error.message;
+      await jobScan.save();
+      await publishScanEvent(jobScan, 'status', { status: 'pending', errorReason: error.message, retrying: true });
+    } else {
+      await exports.markScanFailed(jobScan, error);
+    }
+
+    console.error(`Scan ${jobScan._id} attempt ${job.attempts} failed: ${error.message}`);
+  } finally {
+    lock.stop();
+  }
+
+  return true;
+};
@@ -0,0 +1,121 @@
+const ScanJob = require('../models/ScanJob');
+
+const MAX_ATTEMPTS = parseInt(process.env.SCAN_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.SCAN_RETRY_DELAY_MS) || 5000;
+// A job locked longer than this is assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = parseInt(process.env.SCAN_LOCK_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// Add a scan to the work queue
+exports.enqueueScan = async (jobScanId) => {
+  return await ScanJob.create({
+    jobScan: jobScanId,
+    maxAttempts: MAX_ATTEMPTS
+  });
+};
+
+// Jobs locked by a worker that stopped renewing its lock
+const staleLock = () => ({
+  status: 'processing',
+  lockedAt: { $lte: new Date(Date.now() - LOCK_TIMEOUT_MS) }
+});
+
+// The job as this worker claimed it; a takeover changes the owner and the attempt count
+const heldBy = (job) => ({
+  _id: job._id,
+  status: 'processing',
+  lockedBy: job.lockedBy,
+  attempts: job.attempts
+});
+
+// Atomically claim the next due job, including jobs abandoned by a crashed worker that have
+// attempts left
+exports.claimNextJob = async (workerId) => {
+  const now = new Date();
+
+  return await ScanJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { ...staleLock(), $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Fail abandoned jobs that have used up their attempts
+// Returns the failed jobs, so their scans can be marked failed too
+exports.failAbandonedJobs = async () => {
+  const failed = [];
+  let job;
+
+  while ((job = await ScanJob.findOneAndUpdate(
+    { ...staleLock(), $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    {
+      $set: { status: 'failed', lastError: 'The worker processing this scan stopped responding' },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    },
+    { new: true }
+  )) !== null) {
+    failed.push(job);
+  }
+
+  return failed;
+};
+
+// Push back the lock of a job this worker is running, so it is not taken for abandoned
+// Returns false when the lock was lost to another worker
+exports.renewLock = async (job) => {
+  const result = await ScanJob.updateOne(heldBy(job), { $set: { lockedAt: new Date() } });
+  return result.matchedCount > 0;
+};
+
+// Renew a job's lock periodically while it runs
+// Returns { check, stop }: check() renews immediately and says whether the lock is still held
+exports.keepLock = (job) => {
+  const timer = setInterval(() => {
+    exports.renewLock(job).catch(error => console.error(`Lock renewal for job ${job._id} failed: ${error.message}`));
+  }, Math.max(1000, Math.floor(LOCK_TIMEOUT_MS / 3)));
+
+  return {
+    check: () => exports.renewLock(job),
+    stop: () => clearInterval(timer)
+  };
+};
+
+// Mark a job as finished, unless another worker took it over
+exports.completeJob = async (job) => {
+  const held = heldBy(job);
+  job.status = 'done';
+  job.lockedAt = undefined;
+  job.lockedBy = undefined;
+  await ScanJob.updateOne(held, { $set: { status: 'done' }, $unset: { lockedAt: 1, lockedBy: 1 } });
+  return job;
+};
+
+// Record a failed attempt, unless another worker took the job over
+// Retries with exponential backoff unless the error is permanent or attempts are used up
+// Returns true when the job will be retried
+exports.failJob = async (job, error, { permanent = false } = {}) => {
+  const held = heldBy(job);
+  job.lastError = error.message;
+  job.lockedAt = undefined;
+  job.lockedBy = undefined;
+
+  if (permanent || job.attempts >= job.maxAttempts) {
+    job.status = 'failed';
+  } else {
+    job.status = 'queued';
+    job.runAt = new Date(Date.now() + RETRY_DELAY_MS * Math.pow(2, job.attempts - 1));
+  }
+
+  await ScanJob.updateOne(held, {
+    $set: { status: job.status, lastError: job.lastError, runAt: job.runAt },
+    $unset: { lockedAt: 1, lockedBy: 1 }
+  });
+  return job.status === 'queued';
+};
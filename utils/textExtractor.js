@@ -0,0 +1,194 @@
+const fs = require('fs').promises;
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const { simpleParser } = require('mailparser');
+const { recognizeImage } = require('./ocr');
+const { formatTelegramExport } = require('./analyzer/conversation');
+const { readZipArchive } = require('./fileInspector');
+const ErrorResponse = require('./errorResponse');
+
+const DOCX_MIMETYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Pick an extractor from the mimetype, falling back to the file extension
+const detectFormat = (file) => {
+  const extension = path.extname(file.originalname || file.path).toLowerCase();
+
+  if (file.mimetype === 'application/pdf' || extension === '.pdf') {
+    return 'pdf';
+  }
+  if (file.mimetype === DOCX_MIMETYPE || extension === '.docx') {
+    return 'docx';
+  }
+  if (file.mimetype === 'application/msword' || extension === '.doc') {
+    return 'doc';
+  }
+  if (file.mimetype === 'text/plain' || extension === '.txt') {
+    return 'txt';
+  }
+  if (['image/png', 'image/jpeg'].includes(file.mimetype) || ['.png', '.jpg', '.jpeg'].includes(extension)) {
+    return 'image';
+  }
+  if (file.mimetype === 'message/rfc822' || extension === '.eml') {
+    return 'eml';
+  }
+  if (file.mimetype === 'application/json' || extension === '.json') {
+    return 'telegram';
+  }
+  return null;
+};
+
+const wordText = (document) =>
+  [document.getHeaders(), document.getBody(), document.getFootnotes()]
+    .filter(Boolean)
+    .join('\n');
+
+// Most attachments read from one email; the rest are ignored
+const MAX_EMAIL_ATTACHMENTS = 5;
+
+// Document attachments are read from memory. Images are not OCRed here, since a
+// single email could otherwise queue several slow recognitions
+const attachmentExtractors = {
+  txt: async (buffer) => buffer.toString('utf-8'),
+  pdf: async (buffer) => (await pdfParse(buffer)).text,
+  // Attachments skip upload inspection, so the archive is size-checked before mammoth inflates it
+  docx: async (buffer) => {
+    readZipArchive(buffer);
+    return (await mammoth.extractRawText({ buffer })).value;
+  },
+  doc: async (buffer) => wordText(await new WordExtractor().extract(buffer))
+};
+
+const firstAddress = (field) => {
+  const entry = field && field.value && field.value[0];
+  return entry && entry.address ? { address: entry.address.toLowerCase(), name: entry.name || undefined } : undefined;
+};
+
+const headerList = (value) => [].concat(value || []).map(String);
+
+// The headers utils/analyzer/emailHeaders.js analyzes, in a shape that can be stored on the scan
+const readEmailHeaders = (parsed) => {
+  const returnPath = parsed.headers.get('return-path');
+
+  return {
+    from: firstAddress(parsed.from),
+    replyTo: firstAddress(parsed.replyTo),
+    returnPath: returnPath && returnPath.value && returnPath.value[0] ? returnPath.value[0].address : undefined,
+    subject: parsed.subject,
+    date: parsed.date,
+    messageId: parsed.messageId,
+    authenticationResults: headerList(parsed.headers.get('authentication-results')),
+    received: headerList(parsed.headers.get('received'))
+  };
+};
+
+// Text of the readable document attachments, each under a heading with its file name
+const readAttachments = async (attachments) => {
+  const sections = [];
+
+  for (const attachment of attachments.slice(0, MAX_EMAIL_ATTACHMENTS)) {
+    const format = detectFormat({ originalname: attachment.filename || '', mimetype: attachment.contentType });
+    if (!attachmentExtractors[format]) {
+      continue;
+    }
+
+    try {
+      const text = (await attachmentExtractors[format](attachment.content)).trim();
+      if (text) {
+        sections.push(`Attachment: ${attachment.filename || 'unnamed'}\n${text}`);
+      }
+    } catch (err) {
+      // An unreadable attachment should not lose the rest of the message
+    }
+  }
+
+  return sections;
+};
+
+// Each extractor resolves to { text } plus any format-specific details
+const extractors = {
+  txt: async (filePath) => ({ text: await fs.readFile(filePath, 'utf-8') }),
+
+  pdf: async (filePath) => {
+    const data = await pdfParse(await fs.readFile(filePath));
+    return { text: data.text };
+  },
+
+  docx: async (filePath) => {
+    const result = await mammoth.extractRawText({ path: filePath });
+    return { text: result.value };
+  },
+
+  doc: async (filePath) => ({ text: wordText(await new WordExtractor().extract(filePath)) }),
+
+  // Screenshots of chats and job boards, read with local OCR
+  image: async (filePath) => recognizeImage(filePath),
+
+  // Telegram Desktop chat export (result.json), as a transcript
+  telegram: async (filePath) => ({
+    text: formatTelegramExport(JSON.parse(await fs.readFile(filePath, 'utf-8')))
+  }),
+
+  // Forwarded recruiter emails: subject, body and document attachments, plus the headers
+  eml: async (filePath) => {
+    const parsed = await simpleParser(await fs.readFile(filePath), {
+      skipImageLinks: true,
+      skipTextToHtml: true
+    });
+
+    return {
+      text: [
+        parsed.subject ? `Subject: ${parsed.subject}` : '',
+        parsed.text || '',
+        ...(await readAttachments(parsed.attachments || []))
+      ].filter(Boolean).join('\n\n'),
+      emailHeaders: readEmailHeaders(parsed)
+    };
+  }
+};
+
+const FORMAT_NAMES = {
+  txt: 'TXT',
+  pdf: 'PDF',
+  docx: 'DOCX',
+  doc: 'DOC',
+  image: 'image',
+  eml: 'email',
+  telegram: 'Telegram export'
+};
+
+// Extract plain text from an uploaded job file
+// Resolves to { text, format } and, for images, the OCR confidence (0-100);
+// emails also carry their emailHeaders
+// Throws a 422 ErrorResponse when the file cannot be read or contains no text
+exports.extractText = async (file) => {
+  const format = detectFormat(file);
+
+  if (!format) {
+    throw new ErrorResponse(`Cannot extract text from files of type ${file.mimetype}`, 422);
+  }
+
+  let result;
+  try {
+    result = await extractors[format](file.path);
+  } catch (err) {
+    throw new ErrorResponse(
+      `Could not read the uploaded ${FORMAT_NAMES[format]} file. It may be corrupted or password protected`,
+      422
+    );
+  }
+
+  const text = (result.text || '').replace(/\r\n?/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+  if (!text) {
+    throw new ErrorResponse(
+      format === 'image'
+        ? 'No text could be recognized in the uploaded image. Try a sharper screenshot or paste the text instead'
+        : `The uploaded ${FORMAT_NAMES[format]} file contains no readable text. Scanned documents are not supported; paste the job description instead`,
+      422
+    );
+  }
+
+  return { ...result, text, format };
+};
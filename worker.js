@@ -0,0 +1,49 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before any module reads its settings
+dotenv.config();
+
+const os = require('os');
+const connectDB = require('./config/database');
+const { processNextJob } = require('./utils/scanProcessor');
+const { terminateOcr } = require('./utils/ocr');
+
+const POLL_INTERVAL_MS = parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 2000;
+const workerId = `${os.hostname()}-${process.pid}`;
+
+let running = true;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Process queued scans until asked to stop, polling when the queue is empty
+const run = async () => {
+  await connectDB();
+  console.log(`Scan worker ${workerId} started`);
+
+  while (running) {
+    try {
+      const processed = await processNextJob(workerId);
+
+      if (!processed) {
+        await sleep(POLL_INTERVAL_MS);
+      }
+    } catch (error) {
+      console.error(`Worker error: ${error.message}`);
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+
+  await terminateOcr();
+  process.exit(0);
+};
+
+// Finish the current scan before exiting
+const shutdown = () => {
+  console.log('Scan worker shutting down');
+  running = false;
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+run();